@@ -1,7 +1,8 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
-import OpenAI from "openai";
+import { getLLMProvider, resolveModel } from "../utils/llm/index.server";
+import { adminRateLimitRules, checkRateLimits, formatRetryAfter } from "../utils/rate-limit/index.server";
 
 export const action = async ({ request }) => {
   console.log("🔍 Analytics API called");
@@ -27,6 +28,15 @@ export const action = async ({ request }) => {
       return json({ error: "Shop not found" }, { status: 404 });
     }
 
+    // Each question is an LLM call on the shop's key
+    const rateLimit = await checkRateLimits(adminRateLimitRules(shop.botConfig, { shopId: shop.id, scope: "analytics" }));
+    if (!rateLimit.ok) {
+      return json(
+        { error: `Too many analytics questions. Try again in ${formatRetryAfter(rateLimit.retryAfter)}.` },
+        { status: 429, headers: { "Retry-After": String(rateLimit.retryAfter) } },
+      );
+    }
+
     // Get analytics data
     console.log("📊 Fetching analytics data...");
     const [conversationAnalytics, popularQuestions, productAnalytics] = await Promise.all([
@@ -93,21 +103,16 @@ export const action = async ({ request }) => {
       })),
     };
 
-    // Check if OpenAI API key is configured
-    const apiKey = shop.botConfig.openaiApiKey || process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      return json({ error: "OpenAI API key not configured. Please add your API key in the bot configuration." });
+    // Check if an LLM provider is configured
+    const provider = getLLMProvider(shop.botConfig);
+    if (!provider) {
+      return json({ error: "AI provider not configured. Please add your API key or endpoint in the bot configuration." });
     }
 
-    // Create OpenAI client with the configured API key
-    const openai = new OpenAI({
-      apiKey: apiKey,
-    });
-
     // Create AI response
-    console.log("🤖 Calling OpenAI...");
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    console.log(`🤖 Calling ${provider.name}...`);
+    const completion = await provider.complete({
+      model: resolveModel(shop.botConfig, 'analytics'),
       messages: [
         {
           role: 'system',
@@ -141,8 +146,8 @@ Guidelines:
       max_tokens: 800,
     });
 
-    const response = completion.choices[0].message.content;
-    console.log("✅ OpenAI response received");
+    const response = completion.message.content;
+    console.log("✅ AI response received");
 
     return json({
       response,
@@ -0,0 +1,49 @@
+import { json } from "@remix-run/node";
+import { mirrorSessionCart } from "../utils/cart.server";
+import { loadStorefrontShop } from "../utils/storefront-chat.server";
+import { verifyWidgetToken } from "../utils/widget-token.server";
+
+// POST /api/cart?shop=... with `sessionId`, the widget's current `token` and
+// `cart` (the AJAX Cart API cart JSON the widget got back from the storefront
+// bridge). Mirrors the cart into the chat session so the bot can see what is
+// in the basket. The token is checked but not used up, as cart syncs run
+// alongside chat requests; a rejected token gets a 401 with a `token_*` code.
+export const action = async ({ request }) => {
+  try {
+    const formData = await request.formData();
+    const sessionId = formData.get("sessionId");
+    if (!sessionId) {
+      return json({ error: "Session id is required" }, { status: 400 });
+    }
+
+    let cart;
+    try {
+      cart = JSON.parse(formData.get("cart") || "null");
+    } catch (_) {
+      return json({ error: "Invalid cart" }, { status: 400 });
+    }
+
+    const shop = await loadStorefrontShop(request);
+    const verification = await verifyWidgetToken(request, {
+      token: formData.get("token"),
+      shopDomain: shop.shopDomain,
+      sessionId,
+      consume: false,
+    });
+    if (!verification.ok) {
+      return json({ error: "Chat session needs a new token", code: verification.code }, { status: 401 });
+    }
+
+    const currentCart = await mirrorSessionCart({ shop, sessionId, cart });
+    if (!currentCart) {
+      return json({ error: "Chat session not found" }, { status: 404 });
+    }
+
+    return json({ cart: currentCart });
+  } catch (error) {
+    if (error instanceof Response) return error;
+
+    console.error("❌ Cart mirror error:", error);
+    return json({ error: "Failed to update cart" }, { status: 500 });
+  }
+};
@@ -1,242 +1,76 @@
 import { json } from "@remix-run/node";
-import OpenAI from "openai";
+import { loadSessionHistory, runChatTurn } from "../utils/chat-engine.server";
+import { loadStorefrontShop, readStorefrontChatRequest } from "../utils/storefront-chat.server";
+import { checkRateLimits, clientIp, historyRateLimitRules, RATE_LIMITED_MESSAGE } from "../utils/rate-limit/index.server";
+import { verifyWidgetToken } from "../utils/widget-token.server";
 // import { shouldAutoScrape, triggerAutoScrape } from "../utils/auto-scraper";
 
-// Helper functions
-async function getStoreContext(shopDomain) {
-  // For public API, we'll create a simplified store context
-  // In production, you'd want to cache this or get it from your database
-  return {
-    shop: { name: shopDomain.replace('.myshopify.com', ''), currencyCode: 'EUR' },
-    collections: [],
-    productCount: "Many",
-  };
-}
-
-// Search pre-scraped store content (products, articles, collections, pages)
-async function searchStoreContent(shopId, { query, contentTypes = [], limit = 5 }) {
-  try {
-    const prisma = (await import("../db.server")).default;
-    const where = {
-      shopId,
-      isActive: true,
-    };
-    if (contentTypes && contentTypes.length > 0) {
-      where.contentType = { in: contentTypes };
-    }
-    const text = (query || '').trim();
-    const textLower = text.toLowerCase();
-    if (text) {
-      where.OR = [
-        { searchableContent: { contains: textLower } },
-        { keywords: { contains: textLower } },
-        { tags: { contains: textLower } },
-        { title: { contains: textLower } },
-      ];
-    }
-
-    const items = await prisma.shopContent.findMany({
-      where,
-      orderBy: { updatedAt: 'desc' },
-      take: limit,
-      select: {
-        id: true,
-        contentType: true,
-        title: true,
-        excerpt: true,
-        url: true,
-        publishedAt: true,
-      }
-    });
+// GET /api/chat?shop=...&sessionId=... returns the stored transcript so the
+// widget can resume a conversation after a page reload. With `since` (ISO
+// time) only newer messages are returned; the widget polls this way for
+// staff replies during a handoff. The session's current widget token goes in
+// the X-Widget-Token header; it is checked but not used up, and a rejected
+// token gets a 401 with a `token_*` code. Reads are rate-limited per visitor IP.
+export const loader = async ({ request }) => {
+  const searchParams = new URL(request.url).searchParams;
+  const sessionId = searchParams.get("sessionId");
+  if (!sessionId) {
+    return json({ error: "Session id is required" }, { status: 400 });
+  }
 
-    const total = await prisma.shopContent.count({ where });
+  const shop = await loadStorefrontShop(request);
+
+  const rateLimit = await checkRateLimits(historyRateLimitRules(shop.botConfig, {
+    shopId: shop.id,
+    ip: clientIp(request),
+  }));
+  if (!rateLimit.ok) {
+    return json(
+      { error: RATE_LIMITED_MESSAGE, code: "rate_limited", retryAfter: rateLimit.retryAfter },
+      { status: 429, headers: { "Retry-After": String(rateLimit.retryAfter) } },
+    );
+  }
 
-    return {
-      items,
-      query: text,
-      total,
-      contentTypes: contentTypes.length ? contentTypes : undefined,
-    };
-  } catch (error) {
-    console.error('Error searching store content:', error);
-    return { items: [], query, total: 0, error: 'Failed to search content' };
+  const verification = await verifyWidgetToken(request, {
+    token: request.headers.get("x-widget-token"),
+    shopDomain: shop.shopDomain,
+    sessionId,
+    consume: false,
+  });
+  if (!verification.ok) {
+    return json({ error: "Chat session needs a new token", code: verification.code }, { status: 401 });
   }
-}
+
+  return json(await loadSessionHistory({ shop, sessionId, since: searchParams.get("since") }));
+};
 
 export const action = async ({ request }) => {
   console.log("🚀 Public Chat API called!");
+  let shop = null;
+  let chatRequest = null;
   try {
-    const formData = await request.formData();
-    const message = formData.get("message");
-    const sessionId = formData.get("sessionId");
-    const customerFingerprint = formData.get("fingerprint");
-    
-    // Extract shop domain from referrer or request
-    const shopDomain = new URL(request.url).searchParams.get("shop") || 
-                      request.headers.get("referer")?.match(/shop=([^&]+)/)?.[1];
-    
-    if (!shopDomain) {
-      return json({ error: "Shop domain not found" }, { status: 400 });
-    }
-
-    console.log("📝 Message:", message);
-    console.log("🏪 Shop:", shopDomain);
-
-    // Get shop configuration
-    const prisma = (await import("../db.server")).default;
-    const shop = await prisma.shop.findUnique({
-      where: { shopDomain },
-      include: {
-        botConfig: true,
-        knowledgeBase: true,
-      },
-    });
+    chatRequest = await readStorefrontChatRequest(request);
+    shop = chatRequest.shop;
 
-    if (!shop || !shop.botConfig) {
-      return json({ 
-        error: "Chatbot not configured for this store" 
-      }, { status: 404 });
-    }
+    const result = await runChatTurn(chatRequest);
 
-    // Check if OpenAI API key is configured
-    const apiKey = shop.botConfig.openaiApiKey || process.env.OPENAI_API_KEY;
-    console.log("🔐 OpenAI key source:", shop.botConfig.openaiApiKey ? "shop-configured" : process.env.OPENAI_API_KEY ? "env" : "missing");
-    if (!apiKey) {
-      return json({ 
-        error: shop.botConfig.errorMessage || "Service temporarily unavailable" 
+    if (result.error) {
+      return json({
+        error: shop.botConfig.errorMessage || "Service temporarily unavailable",
+        token: chatRequest.nextToken,
       });
     }
 
-    // Create OpenAI client
-    const openai = new OpenAI({ apiKey });
-
-    // Get or create chat session
-    const prisma2 = (await import("../db.server")).default;
-    let chatSession = await prisma2.chatSession.findUnique({
-      where: { sessionId },
-      include: { messages: { orderBy: { timestamp: 'asc' } } },
-    });
-
-    if (!chatSession) {
-      chatSession = await prisma2.chatSession.create({
-        data: {
-          sessionId,
-          shopId: shop.id,
-          currentCart: "{}",
-          language: "en",
-          isActive: true,
-          customerFingerprint,
-          expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
-        },
-        include: { messages: true },
-      });
-    }
-
-    // Save user message
-    await prisma2.chatMessage.create({
-      data: {
-        sessionId: chatSession.id,
-        role: 'user',
-        content: message,
-      },
-    });
-
-    // Get store context
-    const storeData = await getStoreContext(shopDomain);
-
-    // Helper: retry OpenAI calls on 429s with short capped wait
-    async function createChatCompletionWithRetry(params, maxRetries = 2) {
-      let attempt = 0;
-      while (true) {
-        try {
-          return await openai.chat.completions.create(params);
-        } catch (error) {
-          const status = error?.status;
-          if (status === 429 && attempt < maxRetries) {
-            const retryAfterMs = Number(error?.headers?.["retry-after-ms"]) ||
-              (Number(error?.headers?.["retry-after"]) * 1000) ||
-              (1000 * (attempt + 1));
-            const waitMs = Math.min(retryAfterMs || 1000, 5000);
-            console.warn(`⚠️ OpenAI rate limited. Retrying in ${waitMs}ms (attempt ${attempt + 1}/${maxRetries})`);
-            await new Promise(r => setTimeout(r, waitMs));
-            attempt += 1;
-            continue;
-          }
-          throw error;
-        }
-      }
-    }
-
-    // Retrieve relevant store content for this message
-    const productResults = await searchStoreContent(shop.id, { query: message, contentTypes: ['product'], limit: 6 });
-    const knowledgeResults = await searchStoreContent(shop.id, { query: message, contentTypes: ['article', 'page'], limit: 4 });
-
-    // Build a tiny context for one short, intelligent reply (no tools)
-    const titles = (productResults.items || []).map((p, i) => `${i + 1}. ${p.title}`).join('\n');
-    const snippets = (knowledgeResults.items || [])
-      .map((it, i) => `${i + 1}. ${it.title}: ${(it.excerpt || '').slice(0, 280)}`)
-      .join('\n');
-    const conversationHistory = [
-      {
-        role: 'system',
-        content: `You are a concise, store-only shopping assistant for ${storeData.shop.name}. Respond with ONE short sentence. If intent is unclear, ask ONE brief clarifying question. Do not repeat product details; cards will show them.`
-      },
-      { role: 'user', content: message },
-      { role: 'system', content: `Candidate products (titles only):\n${titles || 'None found'}` },
-      { role: 'system', content: `Relevant store articles/pages (short snippets):\n${snippets || 'None found'}` }
-    ];
-
-    console.log("🤖 Calling OpenAI (single completion)...");
-    const completion = await createChatCompletionWithRetry({
-      model: "gpt-4o-mini",
-      messages: conversationHistory,
-      temperature: Math.min(shop.botConfig.temperature, 0.7),
-      max_tokens: Math.min(shop.botConfig.maxTokens, 120),
-    });
-    console.log("🆔 OpenAI completion id:", completion.id);
-    let assistantMessage = completion.choices[0].message;
-
-    // Save assistant message
-    await prisma.chatMessage.create({
-      data: {
-        sessionId: chatSession.id,
-        role: 'assistant',
-        content: assistantMessage.content ?? '',
-        metadata: JSON.stringify({ products: productResults, knowledge: knowledgeResults }),
-      },
-    });
-
-    // Track analytics if enabled
-    if (shop.botConfig.enableConversationAnalytics) {
-      // Simple analytics tracking for public chatbot
-      const prisma3 = (await import("../db.server")).default;
-      await prisma3.popularQuestions.upsert({
-        where: { 
-          shopId_question: { shopId: shop.id, question: message.toLowerCase().trim() }
-        },
-        update: {
-          frequency: { increment: 1 },
-          lastAsked: new Date(),
-        },
-        create: {
-          shopId: shop.id,
-          question: message.toLowerCase().trim(),
-          frequency: 1,
-          lastAsked: new Date(),
-        }
-      }).catch(() => {}); // Ignore errors for analytics
-    }
-
-    return json({
-      message: assistantMessage.content ?? '',
-      sessionId: sessionId,
-      metadata: { products: productResults, knowledge: knowledgeResults },
-    });
+    return json({ ...result, token: chatRequest.nextToken });
 
   } catch (error) {
+    if (error instanceof Response) return error;
+
     console.error("❌ Public Chat API error:", error);
-    return json({ 
-      error: "I apologize, but I'm having trouble right now. Please try again in a moment." 
+    // The request's token is already used up; hand out the next one
+    return json({
+      error: shop?.botConfig?.errorMessage || "I apologize, but I'm having trouble right now. Please try again in a moment.",
+      token: chatRequest?.nextToken,
     }, { status: 500 });
   }
-};
\ No newline at end of file
+};
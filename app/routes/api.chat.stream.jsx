@@ -0,0 +1,60 @@
+import { runChatTurn } from "../utils/chat-engine.server";
+import { readStorefrontChatRequest } from "../utils/storefront-chat.server";
+
+// Server-Sent Events variant of /api/chat.
+// Emits `token` events while the reply is generated, then a `metadata` event
+// with product/knowledge results and a final `done` event with the full reply.
+// `done` carries `paused: true` instead of a reply while store staff have the
+// chat; their messages reach the widget through GET /api/chat. `done` and
+// `error` carry the widget token for the next request.
+export const action = async ({ request }) => {
+  console.log("🚀 Public Chat API (stream) called!");
+
+  let chatRequest;
+  try {
+    chatRequest = await readStorefrontChatRequest(request);
+  } catch (error) {
+    if (error instanceof Response) return error;
+    throw error;
+  }
+
+  const { shop } = chatRequest;
+  const fallbackError = shop.botConfig.errorMessage || "I apologize, but I'm having trouble right now. Please try again in a moment.";
+  const encoder = new TextEncoder();
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => {
+        controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+      };
+
+      try {
+        const result = await runChatTurn({
+          ...chatRequest,
+          onToken: (text) => send("token", { text }),
+        });
+
+        if (result.error) {
+          send("error", { error: fallbackError, token: chatRequest.nextToken });
+        } else {
+          send("metadata", { metadata: result.metadata });
+          send("done", { message: result.message, sessionId: result.sessionId, paused: result.paused, token: chatRequest.nextToken });
+        }
+      } catch (error) {
+        console.error("❌ Public Chat API (stream) error:", error);
+        send("error", { error: fallbackError, token: chatRequest.nextToken });
+      } finally {
+        controller.close();
+      }
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    },
+  });
+};
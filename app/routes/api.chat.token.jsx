@@ -0,0 +1,42 @@
+import { json } from "@remix-run/node";
+import { loadStorefrontShop } from "../utils/storefront-chat.server";
+import { refreshWidgetToken } from "../utils/widget-token.server";
+import { checkRateLimits, clientIp, RATE_LIMITED_MESSAGE, tokenRateLimitRules } from "../utils/rate-limit/index.server";
+
+// POST /api/chat/token?shop=... with the widget's last `token`. Returns
+// `{ token, sessionId }` for the chat session that token was issued for, or a
+// 401 with a `token_*` code when the old token wasn't issued by this app for
+// this shop and origin or was already used (the widget then has to start a
+// new session).
+export const action = async ({ request }) => {
+  try {
+    const formData = await request.formData();
+    const shop = await loadStorefrontShop(request);
+
+    const rateLimit = await checkRateLimits(tokenRateLimitRules(shop.botConfig, {
+      shopId: shop.id,
+      ip: clientIp(request),
+    }));
+    if (!rateLimit.ok) {
+      return json(
+        { error: RATE_LIMITED_MESSAGE, code: "rate_limited", retryAfter: rateLimit.retryAfter },
+        { status: 429, headers: { "Retry-After": String(rateLimit.retryAfter) } },
+      );
+    }
+
+    const result = await refreshWidgetToken(request, {
+      token: formData.get("token"),
+      shopDomain: shop.shopDomain,
+    });
+    if (!result.token) {
+      return json({ error: "Reload the chat to continue", code: result.code }, { status: 401 });
+    }
+
+    return json({ token: result.token, sessionId: result.sessionId });
+  } catch (error) {
+    if (error instanceof Response) return error;
+
+    console.error("❌ Widget token refresh error:", error);
+    return json({ error: "Failed to refresh token" }, { status: 500 });
+  }
+};
@@ -1,6 +1,10 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
+import { refreshContentEmbeddings } from "../utils/embeddings.server";
+import { refreshContentChunks } from "../utils/content-chunker.server";
+import { refreshShippingCache } from "../utils/shipping.server";
+import { adminRateLimitRules, checkRateLimits, formatRetryAfter } from "../utils/rate-limit/index.server";
 
 // Helper function to clean and process text content
 function processContentForSearch(text) {
@@ -510,6 +514,12 @@ async function performFullScrape(admin, shopId, shopDomain) {
       });
     }
     
+    // Split long articles/pages into passages, embed new and changed content
+    // for semantic search and re-read shipping rates
+    await refreshContentChunks(shopId);
+    await refreshContentEmbeddings(shopId);
+    await refreshShippingCache(admin, shopId);
+    
     // Complete the job
     await prisma.scrapingJob.update({
       where: { id: job.id },
@@ -571,7 +581,7 @@ export const action = async ({ request }) => {
   // Get shop
   let shop = await prisma.shop.findUnique({
     where: { shopDomain: session.shop },
-    include: { scrapingJobs: { orderBy: { createdAt: 'desc' }, take: 5 } }
+    include: { botConfig: true, scrapingJobs: { orderBy: { createdAt: 'desc' }, take: 5 } }
   });
   
   if (!shop) {
@@ -593,6 +603,14 @@ export const action = async ({ request }) => {
           return json({ error: "A scraping job is already running" }, { status: 400 });
         }
         
+        const rateLimit = await checkRateLimits(adminRateLimitRules(shop.botConfig, { shopId: shop.id, scope: "scrape" }));
+        if (!rateLimit.ok) {
+          return json(
+            { error: `Too many scrapes. Try again in ${formatRetryAfter(rateLimit.retryAfter)}.` },
+            { status: 429, headers: { "Retry-After": String(rateLimit.retryAfter) } },
+          );
+        }
+        
         // Start scraping immediately with current admin session
         try {
           const result = await performFullScrape(admin, shop.id, session.shop);
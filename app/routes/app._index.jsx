@@ -20,6 +20,12 @@ import {
 import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
+import { countDiscountsIssuedToday, DISCOUNT_TRIGGERS } from "../utils/discounts.server";
+import { getConversationStats } from "../utils/conversations.server";
+import { readSecretUpdate, toAdminBotConfig } from "../utils/bot-config.server";
+import { checkEndpointUrl } from "../utils/llm/endpoint-url.server";
+import { LLM_PROVIDERS } from "../utils/llm/index.server";
+import { invalidBlocklistEntries, MAX_RATE_LIMIT } from "../utils/rate-limit/index.server";
 
 // Helper function to generate CSS positioning for popup chatbots
 function getPopupPositionStyle(position) {
@@ -45,16 +51,8 @@ export const loader = async ({ request }) => {
     where: { shopDomain: session.shop },
     include: {
       botConfig: true,
-      knowledgeBase: true,
-      chatSessions: {
-        where: {
-          createdAt: {
-            gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), // Last 7 days
-          },
-        },
-        include: {
-          messages: true,
-        },
+      knowledgeBase: {
+        orderBy: [{ priority: "desc" }, { updatedAt: "desc" }],
       },
     },
   });
@@ -71,29 +69,33 @@ export const loader = async ({ request }) => {
       },
       include: {
         botConfig: true,
-        knowledgeBase: true,
-        chatSessions: {
-          include: {
-            messages: true,
-          },
+        knowledgeBase: {
+          orderBy: [{ priority: "desc" }, { updatedAt: "desc" }],
         },
       },
     });
   }
 
-  // Calculate stats
-  const totalSessions = shop.chatSessions.length;
-  const totalMessages = shop.chatSessions.reduce((acc, session) => acc + session.messages.length, 0);
-  const activeToday = shop.chatSessions.filter(session => 
-    session.createdAt > new Date(Date.now() - 24 * 60 * 60 * 1000)
-  ).length;
+  const stats = await getConversationStats(shop.id);
+
+  const [discountsIssuedToday, recentDiscounts] = await Promise.all([
+    countDiscountsIssuedToday(shop.id),
+    prisma.discountIssuance.findMany({
+      where: { shopId: shop.id },
+      orderBy: { createdAt: "desc" },
+      take: 10,
+    }),
+  ]);
 
   return {
-    shop,
-    stats: {
-      totalSessions,
-      totalMessages,
-      activeToday,
+    // The API key never reaches the browser; the form only shows it masked
+    shop: { ...shop, botConfig: toAdminBotConfig(shop.botConfig) },
+    stats,
+    llmProviderOptions: LLM_PROVIDERS,
+    discounts: {
+      triggerOptions: DISCOUNT_TRIGGERS.map(({ value, label }) => ({ value, label })),
+      issuedToday: discountsIssuedToday,
+      recent: recentDiscounts,
     },
     embedCode: shop.botConfig?.position === "hero" 
       ? `<!-- Embedded Chatbot (Hero Section) -->
@@ -104,7 +106,8 @@ export const loader = async ({ request }) => {
   frameborder="0"
   style="border-radius: 8px; max-width: 800px; margin: 0 auto; display: block;"
   title="${shop.botConfig?.chatTitle || 'Shop Assistant'}">
-</iframe>`
+</iframe>
+<script src="${process.env.SHOPIFY_APP_URL}/chat-bridge.js" defer></script>`
       : `<!-- Popup Chatbot (Floating Widget) -->
 <iframe 
   src="${process.env.SHOPIFY_APP_URL}/chatbot?shop=${session.shop}&theme=light&position=${shop.botConfig?.position || 'bottom-right'}"
@@ -113,7 +116,8 @@ export const loader = async ({ request }) => {
   frameborder="0"
   style="position: fixed; ${getPopupPositionStyle(shop.botConfig?.position || 'bottom-right')} width: 350px; height: 500px; border-radius: 12px; z-index: 9999;"
   title="${shop.botConfig?.chatTitle || 'Shop Assistant'}">
-</iframe>`,
+</iframe>
+<script src="${process.env.SHOPIFY_APP_URL}/chat-bridge.js" defer></script>`,
   };
 };
 
@@ -133,8 +137,50 @@ export const action = async ({ request }) => {
     const chatTitle = formData.get("chatTitle");
     const temperature = parseFloat(formData.get("temperature"));
     const isActive = formData.get("isActive") === "true";
-    const openaiApiKey = formData.get("openaiApiKey");
+    // Write-only and encrypted at rest; an empty field keeps the saved key
+    let apiKeyUpdate;
+    try {
+      apiKeyUpdate = readSecretUpdate(formData, "openaiApiKey");
+    } catch (error) {
+      console.error("Error encrypting API key:", error);
+      return { error: "The API key can't be saved until SECRETS_MASTER_KEYS is configured on the server." };
+    }
     const position = formData.get("position");
+    // LLM provider and models
+    const llmProvider = formData.get("llmProvider") || "openai";
+    if (!LLM_PROVIDERS.some(provider => provider.value === llmProvider)) {
+      return { error: `Unknown AI provider "${llmProvider}"` };
+    }
+    const llmBaseUrl = (formData.get("llmBaseUrl") || "").trim() || null;
+    const llmBaseUrlProblem = llmBaseUrl && checkEndpointUrl(llmBaseUrl);
+    if (llmBaseUrlProblem) {
+      return { error: llmBaseUrlProblem };
+    }
+    const llmModel = formData.get("llmModel") || "gpt-4o-mini";
+    const chatModel = formData.get("chatModel") || null;
+    const followUpModel = formData.get("followUpModel") || null;
+    const analyticsModel = formData.get("analyticsModel") || null;
+    const maxToolSteps = Math.min(10, Math.max(1, parseInt(formData.get("maxToolSteps")) || 4));
+    const embeddingModel = formData.get("embeddingModel") || null;
+    // Save-the-sale discounts
+    const discountEnabled = formData.get("discountEnabled") === "true";
+    const discountPercentage = Math.min(100, Math.max(1, parseInt(formData.get("discountPercentage")) || 10));
+    const discountMaxPerSession = Math.max(1, parseInt(formData.get("discountMaxPerSession")) || 1);
+    const discountExpiryHours = Math.max(1, parseInt(formData.get("discountExpiryHours")) || 48);
+    const discountMinCartAmount = Math.max(0, parseFloat(formData.get("discountMinCartAmount")) || 0);
+    const discountTriggers = formData.get("discountTriggers") || "";
+    const discountDailyBudget = Math.max(0, parseInt(formData.get("discountDailyBudget")) || 0);
+    // Rate limits (0 = no limit) and IP blocklist
+    const readRateLimit = (name) => Math.min(MAX_RATE_LIMIT, Math.max(0, parseInt(formData.get(name)) || 0));
+    const rateLimitSessionPerMinute = readRateLimit("rateLimitSessionPerMinute");
+    const rateLimitIpPerHour = readRateLimit("rateLimitIpPerHour");
+    const rateLimitShopPerHour = readRateLimit("rateLimitShopPerHour");
+    const rateLimitAdminPerHour = readRateLimit("rateLimitAdminPerHour");
+    const ipBlocklist = (formData.get("ipBlocklist") || "").trim();
+    const invalidEntries = invalidBlocklistEntries(ipBlocklist);
+    if (invalidEntries.length > 0) {
+      return { error: `Not an IP address or IPv4 range: ${invalidEntries.join(", ")}` };
+    }
     // Learning Options
     const enableCustomerMemory = formData.get("enableCustomerMemory") === "true";
     const enableConversationAnalytics = formData.get("enableConversationAnalytics") === "true";
@@ -162,8 +208,28 @@ export const action = async ({ request }) => {
           chatTitle,
           temperature,
           isActive,
-          openaiApiKey,
+          ...apiKeyUpdate,
           position,
+          llmProvider,
+          llmBaseUrl,
+          llmModel,
+          chatModel,
+          followUpModel,
+          analyticsModel,
+          maxToolSteps,
+          embeddingModel,
+          discountEnabled,
+          discountPercentage,
+          discountMaxPerSession,
+          discountExpiryHours,
+          discountMinCartAmount,
+          discountTriggers,
+          discountDailyBudget,
+          rateLimitSessionPerMinute,
+          rateLimitIpPerHour,
+          rateLimitShopPerHour,
+          rateLimitAdminPerHour,
+          ipBlocklist,
           // Learning Options
           enableCustomerMemory,
           enableConversationAnalytics,
@@ -186,8 +252,28 @@ export const action = async ({ request }) => {
           chatTitle,
           temperature,
           isActive,
-          openaiApiKey,
+          ...apiKeyUpdate,
           position,
+          llmProvider,
+          llmBaseUrl,
+          llmModel,
+          chatModel,
+          followUpModel,
+          analyticsModel,
+          maxToolSteps,
+          embeddingModel,
+          discountEnabled,
+          discountPercentage,
+          discountMaxPerSession,
+          discountExpiryHours,
+          discountMinCartAmount,
+          discountTriggers,
+          discountDailyBudget,
+          rateLimitSessionPerMinute,
+          rateLimitIpPerHour,
+          rateLimitShopPerHour,
+          rateLimitAdminPerHour,
+          ipBlocklist,
           // Learning Options
           enableCustomerMemory,
           enableConversationAnalytics,
@@ -204,6 +290,12 @@ export const action = async ({ request }) => {
     const title = formData.get("title");
     const content = formData.get("content");
     const category = formData.get("category");
+    const tags = (formData.get("tags") || "")
+      .split(",")
+      .map(tag => tag.trim())
+      .filter(Boolean)
+      .join(",");
+    const priority = parseInt(formData.get("priority")) || 0;
 
     const shop = await prisma.shop.findUnique({
       where: { shopDomain: session.shop },
@@ -215,17 +307,35 @@ export const action = async ({ request }) => {
         title,
         content,
         category,
+        tags,
+        priority,
       },
     });
 
     return { success: true, message: "Knowledge added successfully!" };
   }
 
+  if (action === "toggleKnowledge") {
+    const knowledgeId = formData.get("knowledgeId");
+    const isActive = formData.get("isActive") === "true";
+
+    const shop = await prisma.shop.findUnique({
+      where: { shopDomain: session.shop },
+    });
+
+    await prisma.knowledgeBase.updateMany({
+      where: { id: knowledgeId, shopId: shop.id },
+      data: { isActive },
+    });
+
+    return { success: true, message: isActive ? "Knowledge entry enabled" : "Knowledge entry disabled" };
+  }
+
   return { error: "Invalid action" };
 };
 
 export default function Index() {
-  const { shop, stats, embedCode } = useLoaderData();
+  const { shop, stats, llmProviderOptions, discounts, embedCode } = useLoaderData();
   const fetcher = useFetcher();
   const shopify = useAppBridge();
   const [activeTab, setActiveTab] = useState("dashboard");
@@ -240,22 +350,53 @@ export default function Index() {
     chatTitle: shop.botConfig?.chatTitle || "",
     temperature: shop.botConfig?.temperature || 0.7,
     isActive: shop.botConfig?.isActive ?? true,
-    openaiApiKey: shop.botConfig?.openaiApiKey || "",
+    openaiApiKey: "",
+    clearOpenaiApiKey: false,
     position: shop.botConfig?.position || "bottom-right",
+    llmProvider: shop.botConfig?.llmProvider || "openai",
+    llmBaseUrl: shop.botConfig?.llmBaseUrl || "",
+    llmModel: shop.botConfig?.llmModel || "gpt-4o-mini",
+    chatModel: shop.botConfig?.chatModel || "",
+    followUpModel: shop.botConfig?.followUpModel || "",
+    analyticsModel: shop.botConfig?.analyticsModel || "",
+    maxToolSteps: shop.botConfig?.maxToolSteps ?? 4,
+    embeddingModel: shop.botConfig?.embeddingModel || "",
+    discountEnabled: shop.botConfig?.discountEnabled ?? false,
+    discountPercentage: shop.botConfig?.discountPercentage ?? 10,
+    discountMaxPerSession: shop.botConfig?.discountMaxPerSession ?? 1,
+    discountExpiryHours: shop.botConfig?.discountExpiryHours ?? 48,
+    discountMinCartAmount: shop.botConfig?.discountMinCartAmount ?? 0,
+    discountTriggers: (shop.botConfig?.discountTriggers ?? "first_time_visitor,cart_abandonment").split(",").filter(Boolean),
+    discountDailyBudget: shop.botConfig?.discountDailyBudget ?? 20,
+    rateLimitSessionPerMinute: shop.botConfig?.rateLimitSessionPerMinute ?? 10,
+    rateLimitIpPerHour: shop.botConfig?.rateLimitIpPerHour ?? 60,
+    rateLimitShopPerHour: shop.botConfig?.rateLimitShopPerHour ?? 1000,
+    rateLimitAdminPerHour: shop.botConfig?.rateLimitAdminPerHour ?? 30,
+    ipBlocklist: shop.botConfig?.ipBlocklist ?? "",
     // Learning Options
     enableCustomerMemory: shop.botConfig?.enableCustomerMemory ?? false,
     enableConversationAnalytics: shop.botConfig?.enableConversationAnalytics ?? true,
     enableAutoKnowledgeGeneration: shop.botConfig?.enableAutoKnowledgeGeneration ?? false,
     enablePerformanceOptimization: shop.botConfig?.enablePerformanceOptimization ?? false,
   });
+  const [replacingApiKey, setReplacingApiKey] = useState(false);
   const [knowledgeForm, setKnowledgeForm] = useState({
     title: "",
     content: "",
     category: "general",
+    tags: "",
+    priority: 0,
   });
 
   const isLoading = ["loading", "submitting"].includes(fetcher.state);
 
+  // Once a new key is saved (or removed) drop it from the form
+  const savedApiKey = shop.botConfig?.openaiApiKeyMasked;
+  useEffect(() => {
+    setReplacingApiKey(false);
+    setConfig(prev => ({ ...prev, openaiApiKey: "", clearOpenaiApiKey: false }));
+  }, [savedApiKey]);
+
   useEffect(() => {
     if (fetcher.data?.success) {
       shopify.toast.show(fetcher.data.message);
@@ -278,7 +419,28 @@ export default function Index() {
     formData.append("temperature", config.temperature.toString());
     formData.append("isActive", config.isActive.toString());
     formData.append("openaiApiKey", config.openaiApiKey);
+    formData.append("clear_openaiApiKey", config.clearOpenaiApiKey.toString());
     formData.append("position", config.position);
+    formData.append("llmProvider", config.llmProvider);
+    formData.append("llmBaseUrl", config.llmBaseUrl);
+    formData.append("llmModel", config.llmModel);
+    formData.append("chatModel", config.chatModel);
+    formData.append("followUpModel", config.followUpModel);
+    formData.append("analyticsModel", config.analyticsModel);
+    formData.append("maxToolSteps", config.maxToolSteps.toString());
+    formData.append("embeddingModel", config.embeddingModel);
+    formData.append("discountEnabled", config.discountEnabled.toString());
+    formData.append("discountPercentage", config.discountPercentage.toString());
+    formData.append("discountMaxPerSession", config.discountMaxPerSession.toString());
+    formData.append("discountExpiryHours", config.discountExpiryHours.toString());
+    formData.append("discountMinCartAmount", config.discountMinCartAmount.toString());
+    formData.append("discountTriggers", config.discountTriggers.join(","));
+    formData.append("discountDailyBudget", config.discountDailyBudget.toString());
+    formData.append("rateLimitSessionPerMinute", config.rateLimitSessionPerMinute.toString());
+    formData.append("rateLimitIpPerHour", config.rateLimitIpPerHour.toString());
+    formData.append("rateLimitShopPerHour", config.rateLimitShopPerHour.toString());
+    formData.append("rateLimitAdminPerHour", config.rateLimitAdminPerHour.toString());
+    formData.append("ipBlocklist", config.ipBlocklist);
     // Learning Options
     formData.append("enableCustomerMemory", config.enableCustomerMemory.toString());
     formData.append("enableConversationAnalytics", config.enableConversationAnalytics.toString());
@@ -294,9 +456,20 @@ export default function Index() {
     formData.append("title", knowledgeForm.title);
     formData.append("content", knowledgeForm.content);
     formData.append("category", knowledgeForm.category);
+    formData.append("tags", knowledgeForm.tags);
+    formData.append("priority", knowledgeForm.priority.toString());
     
     fetcher.submit(formData, { method: "POST" });
-    setKnowledgeForm({ title: "", content: "", category: "general" });
+    setKnowledgeForm({ title: "", content: "", category: "general", tags: "", priority: 0 });
+  };
+
+  const handleKnowledgeToggle = (knowledgeId, isActive) => {
+    const formData = new FormData();
+    formData.append("action", "toggleKnowledge");
+    formData.append("knowledgeId", knowledgeId);
+    formData.append("isActive", isActive.toString());
+
+    fetcher.submit(formData, { method: "POST" });
   };
 
   const copyEmbedCode = () => {
@@ -500,13 +673,110 @@ export default function Index() {
                   helpText="Turn the chatbot on or off"
                 />
 
+                {shop.botConfig?.openaiApiKeyMasked && !replacingApiKey ? (
+                  <BlockStack gap="200">
+                    <Text variant="bodyMd" as="p">OpenAI API Key</Text>
+                    <InlineStack gap="300" blockAlign="center">
+                      <Text variant="bodyMd" as="span" tone={config.clearOpenaiApiKey ? "critical" : undefined}>
+                        {config.clearOpenaiApiKey ? "Will be removed on save" : shop.botConfig.openaiApiKeyMasked}
+                      </Text>
+                      <Button onClick={() => setReplacingApiKey(true)}>Replace key</Button>
+                      <Button
+                        tone="critical"
+                        variant="plain"
+                        onClick={() => setConfig(prev => ({ ...prev, clearOpenaiApiKey: !prev.clearOpenaiApiKey }))}
+                      >
+                        {config.clearOpenaiApiKey ? "Keep key" : "Remove key"}
+                      </Button>
+                    </InlineStack>
+                  </BlockStack>
+                ) : (
+                  <TextField
+                    label="OpenAI API Key"
+                    type="password"
+                    value={config.openaiApiKey}
+                    onChange={(value) => setConfig(prev => ({ ...prev, openaiApiKey: value, clearOpenaiApiKey: false }))}
+                    helpText="Your OpenAI API key for powering the chatbot. It is write-only: once saved it is never shown again."
+                    placeholder="sk-..."
+                    autoComplete="off"
+                    connectedRight={shop.botConfig?.openaiApiKeyMasked && (
+                      <Button onClick={() => {
+                        setReplacingApiKey(false);
+                        setConfig(prev => ({ ...prev, openaiApiKey: "" }));
+                      }}>
+                        Cancel
+                      </Button>
+                    )}
+                  />
+                )}
+
+                <Text variant="headingMd" as="h3">AI Provider</Text>
+
+                <Select
+                  label="Provider"
+                  options={llmProviderOptions}
+                  value={config.llmProvider}
+                  onChange={(value) => setConfig(prev => ({ ...prev, llmProvider: value }))}
+                  helpText="Where chat, follow-up and analytics completions are sent. The mock provider answers from a fixed script and needs no API key."
+                />
+
+                {config.llmProvider === "openai_compatible" && (
+                  <TextField
+                    label="Endpoint Base URL"
+                    value={config.llmBaseUrl}
+                    onChange={(value) => setConfig(prev => ({ ...prev, llmBaseUrl: value }))}
+                    helpText="Public https base URL of an OpenAI-compatible API. Requires your own API key above, which is sent as a bearer token. Leave empty to use the endpoint configured on the server."
+                    placeholder="https://llm.example.com/v1"
+                  />
+                )}
+
                 <TextField
-                  label="OpenAI API Key"
-                  type="password"
-                  value={config.openaiApiKey || ""}
-                  onChange={(value) => setConfig(prev => ({ ...prev, openaiApiKey: value }))}
-                  helpText="Your OpenAI API key for powering the chatbot (stored securely)"
-                  placeholder="sk-..."
+                  label="Default Model"
+                  value={config.llmModel}
+                  onChange={(value) => setConfig(prev => ({ ...prev, llmModel: value }))}
+                  helpText="Used for every task unless overridden below"
+                />
+
+                <InlineStack gap="400" wrap={false}>
+                  <TextField
+                    label="Chat Model"
+                    value={config.chatModel}
+                    onChange={(value) => setConfig(prev => ({ ...prev, chatModel: value }))}
+                    placeholder={config.llmModel}
+                    helpText="Main replies and tool calls"
+                  />
+                  <TextField
+                    label="Follow-up Model"
+                    value={config.followUpModel}
+                    onChange={(value) => setConfig(prev => ({ ...prev, followUpModel: value }))}
+                    placeholder={config.llmModel}
+                    helpText="Final reply when the tool step limit is reached"
+                  />
+                  <TextField
+                    label="Analytics Model"
+                    value={config.analyticsModel}
+                    onChange={(value) => setConfig(prev => ({ ...prev, analyticsModel: value }))}
+                    placeholder={config.llmModel}
+                    helpText="Analytics Chat answers"
+                  />
+                </InlineStack>
+
+                <TextField
+                  label="Max Tool Steps"
+                  type="number"
+                  value={config.maxToolSteps.toString()}
+                  onChange={(value) => setConfig(prev => ({ ...prev, maxToolSteps: parseInt(value) || 1 }))}
+                  min="1"
+                  max="10"
+                  helpText="How many rounds of tool calls (product search, store content lookups) the bot may make before it must reply"
+                />
+
+                <TextField
+                  label="Embedding Model"
+                  value={config.embeddingModel}
+                  onChange={(value) => setConfig(prev => ({ ...prev, embeddingModel: value }))}
+                  placeholder={config.llmProvider === "openai" ? "text-embedding-3-small" : "Local keyword hashing"}
+                  helpText="Used for semantic product and content search. Leave empty for the provider default; without one, a built-in offline embedder is used. Content is re-embedded on the next scrape after a change."
                 />
 
                 <Select
@@ -523,6 +793,151 @@ export default function Index() {
                   helpText="Choose how the chatbot appears on your store pages. Popup positions show a floating chat button, embedded shows the chat directly on the page."
                 />
 
+                <Text variant="headingMd" as="h3">Save-the-Sale Discounts</Text>
+
+                <BlockStack gap="400">
+                  <Checkbox
+                    label="Let the bot issue discount codes"
+                    checked={config.discountEnabled}
+                    onChange={(checked) => setConfig(prev => ({ ...prev, discountEnabled: checked }))}
+                    helpText="The bot creates a unique, single-use code in your Discounts when a conversation matches one of the triggers below"
+                  />
+
+                  {config.discountEnabled && (
+                    <BlockStack gap="400">
+                      <InlineStack gap="400" wrap={false}>
+                        <TextField
+                          label="Percentage off"
+                          type="number"
+                          value={config.discountPercentage.toString()}
+                          onChange={(value) => setConfig(prev => ({ ...prev, discountPercentage: parseInt(value) || 1 }))}
+                          min="1"
+                          max="100"
+                          suffix="%"
+                        />
+                        <TextField
+                          label="Minimum cart"
+                          type="number"
+                          value={config.discountMinCartAmount.toString()}
+                          onChange={(value) => setConfig(prev => ({ ...prev, discountMinCartAmount: parseFloat(value) || 0 }))}
+                          min="0"
+                          helpText="0 for no minimum"
+                        />
+                        <TextField
+                          label="Expires after"
+                          type="number"
+                          value={config.discountExpiryHours.toString()}
+                          onChange={(value) => setConfig(prev => ({ ...prev, discountExpiryHours: parseInt(value) || 1 }))}
+                          min="1"
+                          suffix="hours"
+                        />
+                      </InlineStack>
+
+                      <InlineStack gap="400" wrap={false}>
+                        <TextField
+                          label="Max codes per conversation"
+                          type="number"
+                          value={config.discountMaxPerSession.toString()}
+                          onChange={(value) => setConfig(prev => ({ ...prev, discountMaxPerSession: parseInt(value) || 1 }))}
+                          min="1"
+                        />
+                        <TextField
+                          label="Daily budget"
+                          type="number"
+                          value={config.discountDailyBudget.toString()}
+                          onChange={(value) => setConfig(prev => ({ ...prev, discountDailyBudget: parseInt(value) || 0 }))}
+                          min="0"
+                          suffix="codes"
+                          helpText={`Most codes issued per day (UTC). ${discounts.issuedToday} issued today.`}
+                        />
+                      </InlineStack>
+
+                      <BlockStack gap="200">
+                        <Text variant="bodyMd" as="p">Offer a code when:</Text>
+                        {discounts.triggerOptions.map((trigger) => (
+                          <Checkbox
+                            key={trigger.value}
+                            label={trigger.label}
+                            checked={config.discountTriggers.includes(trigger.value)}
+                            onChange={(checked) => setConfig(prev => ({
+                              ...prev,
+                              discountTriggers: checked
+                                ? [...prev.discountTriggers, trigger.value]
+                                : prev.discountTriggers.filter(value => value !== trigger.value),
+                            }))}
+                          />
+                        ))}
+                      </BlockStack>
+
+                      {discounts.recent.length > 0 && (
+                        <BlockStack gap="200">
+                          <Text variant="bodyMd" as="p">Recently issued:</Text>
+                          <List>
+                            {discounts.recent.map((issuance) => (
+                              <List.Item key={issuance.id}>
+                                {issuance.code} · {issuance.percentage}% · {issuance.trigger.replace(/_/g, " ")} · {new Date(issuance.createdAt).toLocaleString()} · session {issuance.sessionId.slice(0, 8)}
+                              </List.Item>
+                            ))}
+                          </List>
+                        </BlockStack>
+                      )}
+                    </BlockStack>
+                  )}
+                </BlockStack>
+
+                <Text variant="headingMd" as="h3">Rate Limits & Blocklist</Text>
+                <BlockStack gap="400">
+                  <Text variant="bodyMd" as="p" tone="subdued">
+                    Protect your AI usage from spam and abuse. Visitors over a limit are asked to wait a moment. Use 0 for no limit.
+                  </Text>
+                  <InlineStack gap="400" wrap={false}>
+                    <TextField
+                      label="Messages per conversation"
+                      type="number"
+                      value={config.rateLimitSessionPerMinute.toString()}
+                      onChange={(value) => setConfig(prev => ({ ...prev, rateLimitSessionPerMinute: parseInt(value) || 0 }))}
+                      min="0"
+                      suffix="per minute"
+                    />
+                    <TextField
+                      label="Messages per visitor IP"
+                      type="number"
+                      value={config.rateLimitIpPerHour.toString()}
+                      onChange={(value) => setConfig(prev => ({ ...prev, rateLimitIpPerHour: parseInt(value) || 0 }))}
+                      min="0"
+                      suffix="per hour"
+                    />
+                  </InlineStack>
+                  <InlineStack gap="400" wrap={false}>
+                    <TextField
+                      label="Messages across your store"
+                      type="number"
+                      value={config.rateLimitShopPerHour.toString()}
+                      onChange={(value) => setConfig(prev => ({ ...prev, rateLimitShopPerHour: parseInt(value) || 0 }))}
+                      min="0"
+                      suffix="per hour"
+                    />
+                    <TextField
+                      label="Analytics questions and scrapes"
+                      type="number"
+                      value={config.rateLimitAdminPerHour.toString()}
+                      onChange={(value) => setConfig(prev => ({ ...prev, rateLimitAdminPerHour: parseInt(value) || 0 }))}
+                      min="0"
+                      suffix="per hour"
+                      helpText="Counted separately for analytics and scraping"
+                    />
+                  </InlineStack>
+                  <TextField
+                    label="Blocked IP addresses"
+                    value={config.ipBlocklist}
+                    onChange={(value) => setConfig(prev => ({ ...prev, ipBlocklist: value }))}
+                    multiline={3}
+                    placeholder={"203.0.113.7\n198.51.100.0/24  # IPv4 ranges in CIDR notation"}
+                    helpText="One per line. Blocked visitors don't see the chat widget and can't send messages."
+                    autoComplete="off"
+                  />
+                </BlockStack>
+
                 <Text variant="headingMd" as="h3">Learning Options</Text>
                 
                 <BlockStack gap="400">
@@ -530,12 +945,12 @@ export default function Index() {
                     label="Customer Memory"
                     checked={config.enableCustomerMemory}
                     onChange={(checked) => setConfig(prev => ({ ...prev, enableCustomerMemory: checked }))}
-                    helpText="Remember returning customers using browser fingerprinting"
+                    helpText="Recognize returning customers once they verify their email in the chat"
                   />
                   <Text variant="bodyMd" tone="subdued">
-                    <strong>What's saved:</strong> Browser fingerprint (device info, screen size, timezone) to recognize returning visitors.<br/>
-                    <strong>How it works:</strong> When enabled, the bot queries your Shopify order history to find the customer's previous purchases and personalizes responses. No personal data is stored in our database - we only query your existing Shopify customer data.<br/>
-                    <strong>Privacy:</strong> Uses anonymous browser fingerprinting. Customer emails are only retrieved from your Shopify orders when they return.
+                    <strong>What's saved:</strong> The email a shopper verified against one of their orders during an order lookup.<br/>
+                    <strong>How it works:</strong> When enabled, the bot queries your Shopify order history for that verified email to find the customer's previous purchases and personalizes responses. No personal data is stored in our database - we only query your existing Shopify customer data.<br/>
+                    <strong>Privacy:</strong> Customer details are only recalled after the shopper proves who they are. Anonymous visitors are never matched to earlier customers.
                   </Text>
                 </BlockStack>
 
@@ -634,6 +1049,25 @@ export default function Index() {
                     placeholder="Enter the information you want the bot to know..."
                   />
 
+                  <InlineStack gap="400" wrap={false}>
+                    <TextField
+                      label="Tags"
+                      value={knowledgeForm.tags}
+                      onChange={(value) => setKnowledgeForm(prev => ({ ...prev, tags: value }))}
+                      placeholder="e.g., delivery, international, express"
+                      helpText="Comma-separated words customers might use for this topic"
+                    />
+                    <TextField
+                      label="Priority"
+                      type="number"
+                      value={knowledgeForm.priority.toString()}
+                      onChange={(value) => setKnowledgeForm(prev => ({ ...prev, priority: parseInt(value) || 0 }))}
+                      min="0"
+                      max="10"
+                      helpText="Higher-priority entries win when several match"
+                    />
+                  </InlineStack>
+
                   <InlineStack gap="200">
                     <Button 
                       primary 
@@ -651,16 +1085,31 @@ export default function Index() {
                 <Card>
                   <BlockStack gap="300">
                     <Text as="h3" variant="headingMd">Existing Knowledge ({shop.knowledgeBase.length})</Text>
-                    {shop.knowledgeBase.slice(0, 5).map((kb) => (
+                    <Text variant="bodySm" color="subdued">
+                      Active entries are used in answers ahead of scraped store content.
+                    </Text>
+                    {shop.knowledgeBase.map((kb) => (
                       <Box key={kb.id} padding="300" background="bg-surface-secondary" borderRadius="200">
                         <BlockStack gap="100">
                           <InlineStack gap="200" align="space-between">
                             <Text variant="headingSm">{kb.title}</Text>
-                            <Badge>{kb.category}</Badge>
+                            <InlineStack gap="200">
+                              {kb.priority > 0 && <Badge tone="attention">Priority {kb.priority}</Badge>}
+                              <Badge>{kb.category}</Badge>
+                              {!kb.isActive && <Badge tone="critical">Disabled</Badge>}
+                            </InlineStack>
                           </InlineStack>
                           <Text variant="bodySm" color="subdued">
                             {kb.content.substring(0, 100)}...
                           </Text>
+                          {kb.tags && (
+                            <Text variant="bodySm" color="subdued">Tags: {kb.tags.split(",").join(", ")}</Text>
+                          )}
+                          <InlineStack>
+                            <Button size="slim" onClick={() => handleKnowledgeToggle(kb.id, !kb.isActive)}>
+                              {kb.isActive ? "Disable" : "Enable"}
+                            </Button>
+                          </InlineStack>
                         </BlockStack>
                       </Box>
                     ))}
@@ -950,6 +1399,7 @@ function ScrapingTab({ shop }) {
   const fetcher = useFetcher();
   const [scrapingStatus, setScrapingStatus] = useState(null);
   const [isPolling, setIsPolling] = useState(false);
+  const [scrapeError, setScrapeError] = useState(null);
 
   // Poll for scraping status
   useEffect(() => {
@@ -968,6 +1418,11 @@ function ScrapingTab({ shop }) {
   // Handle fetcher results
   useEffect(() => {
     if (fetcher.data) {
+      // A refused start (already running, rate limited) ends the polling
+      if (fetcher.data.error) {
+        setScrapeError(fetcher.data.error);
+        setIsPolling(false);
+      }
       if (fetcher.data.latestJob) {
         setScrapingStatus(fetcher.data);
         
@@ -980,6 +1435,7 @@ function ScrapingTab({ shop }) {
   }, [fetcher.data]);
 
   const startScraping = () => {
+    setScrapeError(null);
     setIsPolling(true);
     fetcher.submit(
       { action: "start_scrape" },
@@ -1017,6 +1473,12 @@ function ScrapingTab({ shop }) {
           </Text>
         </Banner>
 
+        {scrapeError && (
+          <Banner tone="critical" onDismiss={() => setScrapeError(null)}>
+            <Text variant="bodyMd">{scrapeError}</Text>
+          </Banner>
+        )}
+
         {/* Current Status */}
         <Card background="bg-surface-secondary">
           <BlockStack gap="300">
@@ -5,8 +5,8 @@ import { Page, Card, BlockStack } from "@shopify/polaris";
 import { authenticate } from "../shopify.server";
 import { v4 as uuidv4 } from "uuid";
 import prisma from "../db.server";
-import OpenAI from "openai";
-// import { shouldAutoScrape, triggerAutoScrape } from "../utils/auto-scraper";
+import { loadChatShop, runChatTurn } from "../utils/chat-engine.server";
+import { toPublicBotConfig } from "../utils/bot-config.server";
 
 export const loader = async ({ request }) => {
   const { session } = await authenticate.admin(request);
@@ -20,506 +20,11 @@ export const loader = async ({ request }) => {
   return json({
     shopDomain: session.shop,
     sessionId: uuidv4(),
-    config: shop?.botConfig || {},
+    config: toPublicBotConfig(shop?.botConfig) || {},
     position: shop?.botConfig?.position || "bottom-right", // Get the configured position
   });
 };
 
-// Helper functions
-async function getCustomerOrderHistory(admin, email) {
-  if (!email) return null;
-  
-  try {
-    const response = await admin.graphql(`
-      query getCustomerOrders($email: String!) {
-        customers(first: 1, query: $email) {
-          edges {
-            node {
-              id
-              firstName
-              lastName
-              email
-              orders(first: 10, sortKey: CREATED_AT, reverse: true) {
-                edges {
-                  node {
-                    id
-                    name
-                    createdAt
-                    totalPrice
-                    lineItems(first: 20) {
-                      edges {
-                        node {
-                          title
-                          quantity
-                          variant {
-                            title
-                            product {
-                              title
-                              productType
-                            }
-                          }
-                        }
-                      }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    `, {
-      variables: { email: `email:${email}` }
-    });
-
-    const data = await response.json();
-    const customer = data.data?.customers?.edges[0]?.node;
-    
-    if (!customer) return null;
-
-    const orders = customer.orders.edges.map(edge => ({
-      id: edge.node.id,
-      name: edge.node.name,
-      createdAt: edge.node.createdAt,
-      totalPrice: edge.node.totalPrice,
-      items: edge.node.lineItems.edges.map(item => ({
-        title: item.node.title,
-        quantity: item.node.quantity,
-        variant: item.node.variant?.title,
-        product: item.node.variant?.product?.title,
-        productType: item.node.variant?.product?.productType,
-      })),
-    }));
-
-    return {
-      customer: {
-        name: `${customer.firstName} ${customer.lastName}`.trim(),
-        email: customer.email,
-      },
-      orders,
-      totalOrders: orders.length,
-      lastOrderDate: orders[0]?.createdAt,
-      favoriteProducts: getFavoriteProducts(orders),
-    };
-  } catch (error) {
-    console.error("Error fetching customer orders:", error);
-    return null;
-  }
-}
-
-function getFavoriteProducts(orders) {
-  const productCounts = {};
-  
-  orders.forEach(order => {
-    order.items.forEach(item => {
-      const key = item.product;
-      productCounts[key] = (productCounts[key] || 0) + item.quantity;
-    });
-  });
-
-  return Object.entries(productCounts)
-    .sort(([,a], [,b]) => b - a)
-    .slice(0, 3)
-    .map(([product, count]) => ({ product, count }));
-}
-
-async function findReturningCustomer(admin, shopId, fingerprint) {
-  if (!fingerprint) return null;
-
-  try {
-    // Look for previous sessions with same fingerprint
-    const previousSessions = await prisma.chatSession.findMany({
-      where: {
-        shopId,
-        customerFingerprint: fingerprint,
-        customerEmail: { not: null },
-      },
-      orderBy: { createdAt: 'desc' },
-      take: 1,
-      include: {
-        messages: {
-          orderBy: { timestamp: 'desc' },
-          take: 5,
-        }
-      }
-    });
-
-    if (previousSessions.length === 0) return null;
-
-    const lastSession = previousSessions[0];
-    
-    // Get order history for this customer
-    const orderHistory = await getCustomerOrderHistory(admin, lastSession.customerEmail);
-    
-    return {
-      email: lastSession.customerEmail,
-      lastVisit: lastSession.createdAt,
-      recentMessages: lastSession.messages,
-      orderHistory,
-    };
-  } catch (error) {
-    console.error("Error finding returning customer:", error);
-    return null;
-  }
-}
-
-async function getStoreContext(admin, shop) {
-  try {
-    const response = await admin.graphql(`
-      query getStoreInfo {
-        shop {
-          name
-          primaryDomain {
-            host
-          }
-          currencyCode
-          myshopifyDomain
-        }
-        collections(first: 10) {
-          edges {
-            node {
-              id
-              title
-              handle
-            }
-          }
-        }
-        products(first: 100) {
-          edges {
-            node {
-              id
-            }
-          }
-        }
-      }
-    `);
-
-    const data = await response.json();
-    const productCount = data.data.products.edges.length;
-    
-    return {
-      shop: data.data.shop,
-      collections: data.data.collections.edges.map(edge => edge.node),
-      productCount: productCount > 0 ? productCount.toString() : "0",
-    };
-  } catch (error) {
-    console.error("Error fetching store context:", error);
-    return { 
-      shop: { name: "Unknown Store", currencyCode: "EUR" }, 
-      collections: [], 
-      productCount: "0" 
-    };
-  }
-}
-
-async function searchProducts(admin, { query, collection, limit = 5 }) {
-  try {
-    // Enhanced search: split query into words and search more flexibly
-    let searchQuery = '';
-    if (query && query.trim()) {
-      const words = query.trim().toLowerCase().split(/\s+/);
-      // Create flexible search patterns for each word
-      const searchPatterns = words.map(word => 
-        `title:*${word}* OR body:*${word}* OR tag:*${word}* OR vendor:*${word}*`
-      );
-      searchQuery = searchPatterns.join(' OR ');
-    }
-    
-    console.log(`🔍 Enhanced search query: "${query}" -> GraphQL: "${searchQuery}"`);
-    
-    const response = await admin.graphql(`
-      query searchProducts($query: String, $first: Int!) {
-        products(first: $first, query: $query) {
-          edges {
-            node {
-              id
-              title
-              handle
-              description
-              images(first: 1) {
-                edges {
-                  node {
-                    url
-                    altText
-                  }
-                }
-              }
-              variants(first: 3) {
-                edges {
-                  node {
-                    id
-                    title
-                    price
-                    compareAtPrice
-                    availableForSale
-                  }
-                }
-              }
-              collections(first: 3) {
-                edges {
-                  node {
-                    title
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    `, {
-      variables: {
-        query: searchQuery,
-        first: limit,
-      },
-    });
-
-    const data = await response.json();
-    const products = data.data.products.edges
-      .map(edge => {
-        const product = edge.node;
-        const mainVariant = product.variants.edges[0]?.node;
-        const image = product.images.edges[0]?.node;
-        
-        return {
-          id: product.id,
-          title: product.title,
-          handle: product.handle,
-          description: product.description?.substring(0, 150) + (product.description?.length > 150 ? '...' : ''),
-          price: mainVariant?.price || 'Price on request',
-          compareAtPrice: mainVariant?.compareAtPrice,
-          available: mainVariant?.availableForSale ?? false,
-          image: image ? {
-            url: image.url,
-            alt: image.altText || product.title
-          } : null,
-          variants: product.variants.edges.map(v => v.node),
-          collections: product.collections.edges.map(c => c.node.title),
-        };
-      })
-      .filter(product => product.available); // Only show products that are in stock
-    
-    return {
-      products,
-      query: query || 'all products',
-      total: products.length,
-      message: `Found ${products.length} product${products.length !== 1 ? 's' : ''} in our catalog.`
-    };
-  } catch (error) {
-    console.error("Error searching products:", error);
-    return {
-      products: [],
-      query,
-      total: 0,
-      error: "Failed to search products",
-    };
-  }
-}
-
-// Recommend products using store content (not a raw search)
-async function recommendProducts(admin, shopId, { query = "", limit = 5 }) {
-  // 1) Load products from scraped store content
-  const items = await prisma.shopContent.findMany({
-    where: { shopId, contentType: 'product', isActive: true },
-    orderBy: { updatedAt: 'desc' },
-    take: 300,
-  });
-
-  // 2) Score by semantic-ish relevance without hardcoding domain rules
-  const q = (query || '').toLowerCase();
-  const words = q.split(/\s+/).filter(Boolean);
-
-  const ranked = items
-    .map(p => {
-      const title = (p.title || '').toLowerCase();
-      const body = (p.searchableContent || p.content || '').toLowerCase();
-      const keywords = (p.keywords || '').toLowerCase();
-      let score = 0;
-      if (q && (title.includes(q) || keywords.includes(q))) score += 40;
-      words.forEach(w => {
-        if (title.includes(w)) score += 10;
-        if (keywords.includes(w)) score += 6;
-        if (body.includes(w)) score += 4;
-      });
-      return { p, score };
-    })
-    .filter(x => x.score > 0 || !q) // if user asks generic question, allow top items
-    .sort((a, b) => b.score - a.score)
-    .slice(0, Math.max(limit, 8));
-
-  const topIds = ranked.map(r => r.p.externalId);
-  if (topIds.length === 0) {
-    return { products: [], total: 0, query };
-  }
-
-  // 3) Enrich with live details (price/images/availability) by IDs
-  const resp = await admin.graphql(`
-    query getProductsByIds($ids: [ID!]!) {
-      nodes(ids: $ids) {
-        ... on Product {
-          id
-          title
-          handle
-          description
-          images(first: 1) { edges { node { url altText } } }
-          variants(first: 1) { edges { node { availableForSale price compareAtPrice } } }
-        }
-      }
-    }
-  `, { variables: { ids: topIds } });
-
-  const data = await resp.json();
-  const products = (data.data?.nodes || [])
-    .filter(Boolean)
-    .map(prod => {
-      const v = prod.variants?.edges?.[0]?.node || {};
-      const img = prod.images?.edges?.[0]?.node || null;
-      return {
-        id: prod.id,
-        title: prod.title,
-        handle: prod.handle,
-        description: (prod.description || '').substring(0, 150) + (prod.description?.length > 150 ? '...' : ''),
-        price: v.price || 'Price on request',
-        compareAtPrice: v.compareAtPrice,
-        available: v.availableForSale ?? false,
-        image: img ? { url: img.url, alt: img.altText || prod.title } : null,
-      };
-    });
-
-  return { products, total: products.length, query };
-}
-
-// Search pre-scraped store content (products, articles, collections, pages) in Prisma
-async function searchStoreContentPrisma(shopId, { query, contentTypes = [], limit = 5 }) {
-  try {
-    const where = {
-      shopId,
-      isActive: true,
-    };
-    if (contentTypes && contentTypes.length > 0) {
-      where.contentType = { in: contentTypes };
-    }
-    const text = (query || '').trim();
-    const textLower = text.toLowerCase();
-    if (text) {
-      where.OR = [
-        { searchableContent: { contains: textLower } },
-        { keywords: { contains: textLower } },
-        { tags: { contains: textLower } },
-        { title: { contains: textLower } },
-      ];
-    }
-
-    const items = await prisma.shopContent.findMany({
-      where,
-      orderBy: { updatedAt: 'desc' },
-      take: limit,
-      select: {
-        id: true,
-        contentType: true,
-        title: true,
-        excerpt: true,
-        url: true,
-        publishedAt: true,
-      }
-    });
-
-    const total = await prisma.shopContent.count({ where });
-
-    return {
-      items,
-      query: text,
-      total,
-      contentTypes: contentTypes.length ? contentTypes : undefined,
-    };
-  } catch (error) {
-    console.error('Error searching store content:', error);
-    return { items: [], query, total: 0, error: 'Failed to search content' };
-  }
-}
-
-// Analytics functions
-async function trackConversationAnalytics(sessionId, shopId, messageCount, productsViewed, productsRecommended, topics) {
-  try {
-    await prisma.conversationAnalytics.upsert({
-      where: { sessionId },
-      update: {
-        messageCount,
-        productsViewed: JSON.stringify(productsViewed),
-        productsRecommended: JSON.stringify(productsRecommended),
-        topicsDiscussed: JSON.stringify(topics),
-        duration: Math.floor((new Date() - new Date()) / 60000), // Will be calculated properly
-      },
-      create: {
-        sessionId,
-        shopId,
-        outcome: 'pending',
-        duration: 0,
-        messageCount,
-        productsViewed: JSON.stringify(productsViewed),
-        productsRecommended: JSON.stringify(productsRecommended),
-        topicsDiscussed: JSON.stringify(topics),
-      }
-    });
-  } catch (error) {
-    console.error("Error tracking conversation analytics:", error);
-  }
-}
-
-async function trackPopularQuestion(shopId, question) {
-  try {
-    const normalizedQuestion = question.toLowerCase().trim();
-    if (normalizedQuestion.length < 3) return; // Skip very short questions
-    
-    await prisma.popularQuestions.upsert({
-      where: { 
-        shopId_question: { shopId, question: normalizedQuestion }
-      },
-      update: {
-        frequency: { increment: 1 },
-        lastAsked: new Date(),
-      },
-      create: {
-        shopId,
-        question: normalizedQuestion,
-        frequency: 1,
-        lastAsked: new Date(),
-      }
-    });
-  } catch (error) {
-    console.error("Error tracking popular question:", error);
-  }
-}
-
-async function trackProductAnalytics(shopId, productId, productTitle, action = 'viewed') {
-  try {
-    const updateData = {};
-    if (action === 'viewed') updateData.timesViewed = { increment: 1 };
-    if (action === 'recommended') updateData.timesRecommended = { increment: 1 };
-    if (action === 'purchased') updateData.timesPurchased = { increment: 1 };
-    
-    await prisma.productAnalytics.upsert({
-      where: { 
-        shopId_productId: { shopId, productId }
-      },
-      update: {
-        ...updateData,
-        lastRecommended: action === 'recommended' ? new Date() : undefined,
-      },
-      create: {
-        shopId,
-        productId,
-        productTitle,
-        timesViewed: action === 'viewed' ? 1 : 0,
-        timesRecommended: action === 'recommended' ? 1 : 0,
-        timesPurchased: action === 'purchased' ? 1 : 0,
-        lastRecommended: action === 'recommended' ? new Date() : null,
-      }
-    });
-  } catch (error) {
-    console.error("Error tracking product analytics:", error);
-  }
-}
-
 export const action = async ({ request }) => {
   console.log("🚀 App Chatbot API called!");
   try {
@@ -530,26 +35,15 @@ export const action = async ({ request }) => {
     const message = formData.get("message");
     const sessionId = formData.get("sessionId");
     const customerFingerprint = formData.get("fingerprint"); // Browser fingerprint
-    const customerInfo = {
-      language: "en",
-      timestamp: new Date().toISOString(),
-      fingerprint: customerFingerprint,
-    };
     
     console.log("📝 Message:", message);
 
     // Get or create shop configuration
-    let shop = await prisma.shop.findUnique({
-      where: { shopDomain: session.shop },
-      include: {
-        botConfig: true,
-        knowledgeBase: true,
-      },
-    });
+    let shop = await loadChatShop(session.shop);
 
     if (!shop) {
       // Create shop with minimal default config - let admin panel handle the rest
-      shop = await prisma.shop.create({
+      await prisma.shop.create({
         data: {
           shopDomain: session.shop,
           botConfig: {
@@ -558,368 +52,19 @@ export const action = async ({ request }) => {
             },
           },
         },
-        include: {
-          botConfig: true,
-          knowledgeBase: true,
-        },
       });
+      shop = await loadChatShop(session.shop);
     }
 
-    // Check for returning customer if memory is enabled
-    let returningCustomer = null;
-    if (shop.botConfig.enableCustomerMemory && customerFingerprint) {
-      returningCustomer = await findReturningCustomer(admin, shop.id, customerFingerprint);
-      console.log("🧠 Returning customer found:", !!returningCustomer);
-    }
-
-    // Get or create chat session
-    let chatSession = await prisma.chatSession.findUnique({
-      where: { sessionId },
-      include: { messages: { orderBy: { timestamp: 'asc' } } },
-    });
-
-    if (!chatSession) {
-      chatSession = await prisma.chatSession.create({
-        data: {
-          sessionId,
-          shopId: shop.id,
-          customerInfo: JSON.stringify(customerInfo),
-          customerFingerprint: customerFingerprint,
-          customerEmail: returningCustomer?.email,
-          isReturning: !!returningCustomer,
-          expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
-        },
-        include: { messages: { orderBy: { timestamp: 'asc' } } },
-      });
-    }
-
-    // Save user message
-    await prisma.chatMessage.create({
-      data: {
-        sessionId: chatSession.id,
-        role: 'user',
-        content: message,
-      },
-    });
-
-    // Get store context
-    const storeData = await getStoreContext(admin, shop);
-    
-    // TODO: Re-enable auto-scraping after fixing build issues
-    // const needsAutoScrape = await shouldAutoScrape(shop.id);
-    // if (needsAutoScrape) {
-    //   console.log(`🤖 AUTO-SCRAPE: Triggering background scraping for ${session.shop}`);
-    //   triggerAutoScrape(admin, shop.id, session.shop).catch(error => {
-    //     console.error("Auto-scrape trigger failed:", error);
-    //   });
-    // }
-    
-    // Prepare conversation history with customer memory if available
-    let customerMemoryContext = '';
-    if (returningCustomer && returningCustomer.orderHistory) {
-      const { customer, orders, favoriteProducts } = returningCustomer.orderHistory;
-      customerMemoryContext = `
-
-RETURNING CUSTOMER DETECTED:
-- Customer: ${customer.name}
-- Email: ${customer.email}
-- Total Orders: ${orders.length}
-- Last Order: ${orders[0]?.createdAt ? new Date(orders[0].createdAt).toDateString() : 'N/A'}
-- Favorite Products: ${favoriteProducts.map(p => `${p.product} (${p.count}x)`).join(', ')}
-- Recent Purchase History: ${orders.slice(0, 3).map(o => `${o.name} (${new Date(o.createdAt).toDateString()})`).join(', ')}
-
-IMPORTANT: Welcome them back personally and reference their purchase history appropriately. Ask about their experience with previous products.`;
-    }
-
-    // Trim message history to reduce token usage
-    const recentMessages = (chatSession.messages || []).slice(-8).map(msg => ({
-      role: msg.role,
-      content: msg.content,
+    // Same engine as the storefront widget, so the console shows what shoppers get
+    return json(await runChatTurn({
+      shop,
+      admin,
+      sessionId,
+      message,
+      fingerprint: customerFingerprint,
     }));
 
-    const conversationHistory = [
-      {
-        role: 'system',
-        content: `${shop.botConfig.systemPrompt}
-
-Store Information:
-- Store: ${storeData.shop.name}
-- Domain: ${session.shop}
-- Currency: ${storeData.shop.currencyCode}
-- Products available: ${storeData.productCount}
-- Collections: ${storeData.collections.map(c => c.title).join(', ')}
-${customerMemoryContext}
-
-IMPORTANT RESPONSE GUIDELINES (AGENTIC COMMERCE STYLE):
-- Be a concise, proactive shopping waiter. Keep replies short and purposeful.
-- NEVER include URLs, technical details, or product codes.
-- When showing products: RESPOND WITH ONLY AN EMOJI (🛍️) OR EMPTY MESSAGE – NO TEXT.
-- Product cards contain all details – do not repeat specs, prices, or features in text.
-- Default to ONE short clarifying question (≤ 18 words) tailored to intent.
-- Use store articles/pages to understand user terms, but summarize in one line.
-- Prefer clarifying about flavor, format (shake/soup/bar), dietary needs, or plan duration before showing items.
-- Do not dump long explanations or lists; only show products after the user asks/accepts.
-- If results don't match, refine the search automatically and ask a better follow-up.
-- Offer options only after confirming interest.
-
-STRICT STORE-ONLY POLICY:
-- Answer ONLY using information from this store (products, collections, pages, articles). Do not use outside knowledge.
-- If the user asks about unrelated topics, reply briefly: "I can help with information and products from this store only."
-- Prefer tools to search products and store content before answering.
-- Never use the store-only reply for short or unclear messages (e.g., "what?", "yes", "ok"). Ask a clarifying question instead.
-- Tool selection: If the customer asks to see/buy items, flavors, variants, or mentions a specific product/attribute, CALL "recommend_products". Use "search_store_content" mainly for knowledge/lookups (articles/pages) or browsing collections. If a search returns no items, try "recommend_products" next.
-
-Current conversation context: Customer is asking about products or shopping assistance.`,
-      },
-      ...recentMessages,
-      {
-        role: 'user',
-        content: message,
-      },
-    ];
-
-    // Check if OpenAI API key is configured
-    const apiKey = shop.botConfig.openaiApiKey || process.env.OPENAI_API_KEY;
-    console.log("🔐 OpenAI key source:", shop.botConfig.openaiApiKey ? "shop-configured" : process.env.OPENAI_API_KEY ? "env" : "missing");
-    if (!apiKey) {
-      return json({ error: "OpenAI API key not configured. Please add your API key in the bot configuration." });
-    }
-
-    // Create OpenAI client with the configured API key
-    const openai = new OpenAI({
-      apiKey: apiKey,
-    });
-
-    // Helper: retry OpenAI calls on 429s
-    async function createChatCompletionWithRetry(params, maxRetries = 2) {
-      let attempt = 0;
-      while (true) {
-        try {
-          return await openai.chat.completions.create(params);
-        } catch (error) {
-          const status = error?.status;
-          if (status === 429 && attempt < maxRetries) {
-            const retryAfterMs = Number(error?.headers?.["retry-after-ms"]) ||
-              (Number(error?.headers?.["retry-after"]) * 1000) ||
-              (1000 * (attempt + 1));
-            const waitMs = Math.min(retryAfterMs || 1000, 5000);
-            console.warn(`⚠️ OpenAI rate limited. Retrying in ${waitMs}ms (attempt ${attempt + 1}/${maxRetries})`);
-            await new Promise(r => setTimeout(r, waitMs));
-            attempt += 1;
-            continue;
-          }
-          throw error;
-        }
-      }
-    }
-
-    console.log("🤖 Calling OpenAI...");
-    
-    // LOG THE COMPLETE PROMPT FOR DEBUGGING
-    console.log("📋 COMPLETE PROMPT TO OPENAI:");
-    console.log("=====================================");
-    conversationHistory.forEach((msg, index) => {
-      console.log(`[${index}] ROLE: ${msg.role}`);
-      console.log(`[${index}] CONTENT: ${msg.content}`);
-      console.log("-------------------------------------");
-    });
-    console.log("=====================================");
-    
-    // Call OpenAI
-    const completion = await createChatCompletionWithRetry({
-      model: "gpt-4o-mini",
-      messages: conversationHistory,
-      temperature: shop.botConfig.temperature,
-      max_tokens: shop.botConfig.maxTokens,
-      tools: [
-        {
-          type: "function",
-          function: {
-            name: "search_store_content",
-            description: "Search the store's own content (products, articles, pages, collections) that has been scraped into the knowledge base.",
-            parameters: {
-              type: "object",
-              properties: {
-                query: { type: "string" },
-                contentTypes: { type: "array", items: { type: "string", enum: ["product","article","collection","page"] } },
-                limit: { type: "number" }
-              },
-              required: []
-            }
-          }
-        },
-        {
-          type: "function",
-          function: {
-            name: "recommend_products",
-            description: "Choose the best-fit products for the customer's intent using store content. Not a keyword search. Return up to 6 recommendations with enriched details for cards.",
-            parameters: {
-              type: "object",
-              properties: {
-                query: { type: "string" },
-                limit: { type: "number" }
-              },
-              required: []
-            }
-          }
-        }
-      ]
-    });
-
-    console.log("🆔 OpenAI completion id:", completion.id);
-    let assistantMessage = completion.choices[0].message;
-    let functionResults = null;
-
-    console.log("🤖 AI Response:", assistantMessage.content ?? "(tool-call only)");
-    console.log("🔧 Tool calls:", assistantMessage.tool_calls?.length || 0);
-
-    // Handle function calls
-    if (assistantMessage.tool_calls && assistantMessage.tool_calls.length > 0) {
-      const toolCall = assistantMessage.tool_calls[0];
-      const functionArgs = JSON.parse(toolCall.function.arguments);
-      
-      console.log("🛠️ Function call:", toolCall.function.name, functionArgs);
-
-      switch (toolCall.function.name) {
-        case "search_store_content":
-          functionResults = await searchStoreContentPrisma(shop.id, functionArgs);
-          // If search found nothing, fall back to recommender to surface products for cards
-          if (!functionResults || (functionResults.items?.length || 0) === 0) {
-            const rec = await recommendProducts(admin, shop.id, { query: functionArgs.query || message, limit: 6 });
-            if (rec && rec.products && rec.products.length > 0) {
-              functionResults = rec;
-            }
-          }
-          break;
-        case "recommend_products":
-          functionResults = await recommendProducts(admin, shop.id, functionArgs);
-          break;
-      }
-
-      // Generate a waiter-style clarifying reply (don't list products)
-      if (functionResults && (functionResults.items?.length > 0 || functionResults.products?.length > 0)) {
-        const items = functionResults.items || functionResults.products || [];
-        
-        // If we have enriched product recommendations, return only product cards (no text)
-        if (functionResults.products?.length > 0) {
-          assistantMessage = { role: 'assistant', content: "🛍️" };
-        } else {
-        // Also pull short knowledge snippets from articles/pages for definitions of user terms
-        let knowledgeSnippets = '';
-        try {
-          const knowledge = await searchStoreContentPrisma(shop.id, { query: message, contentTypes: ['article','page'], limit: 3 });
-          knowledgeSnippets = (knowledge.items || [])
-            .map((it, i) => `${i + 1}. ${it.title}: ${(it.excerpt || '').slice(0, 200)}`)
-            .join('\n');
-        } catch (_) {}
-
-        console.log("🤖 Calling OpenAI for follow-up response (waiter-style)...");
-        const followUpCompletion = await createChatCompletionWithRetry({
-          model: "gpt-4o-mini",
-          messages: [
-            {
-              role: 'system',
-              content: `${shop.botConfig.systemPrompt}
-
-Store Information:
-- Store: ${storeData.shop.name}
-- Domain: ${session.shop}
-- Currency: ${storeData.shop.currencyCode}
-
-ROLE & TONE:
-- Be a helpful waiter. Ask ONE short clarifying question tailored to the user's intent.
-- Do NOT list product names in text. Product cards will show separately.
-- If the user mentions any domain-specific term, use the knowledge snippets to understand and ask a relevant next step (e.g., preferred style, variant, or flavor) suitable for the store's vertical.
-
-KNOWLEDGE SNIPPETS (articles/pages):
-${knowledgeSnippets || 'None'}
-
-YOUR TASK:
-- Reply with a single sentence, asking a specific, friendly question like "Any flavors you prefer (e.g., strawberry, chocolate)?" or "Want me to show the available flavors?" Avoid listing products.`
-            },
-            { role: 'user', content: message }
-          ],
-          temperature: Math.min(shop.botConfig.temperature, 0.7),
-          max_tokens: Math.min(shop.botConfig.maxTokens, 60),
-        });
-        console.log("🆔 OpenAI follow-up completion id:", followUpCompletion.id);
-        assistantMessage = followUpCompletion.choices[0].message;
-        }
-      } else {
-        // No items found: ask one clear, domain-relevant clarifying question instead of an error
-        const fallbackCompletion = await createChatCompletionWithRetry({
-          model: "gpt-4o-mini",
-          messages: [
-            {
-              role: 'system',
-              content: `${shop.botConfig.systemPrompt}
-
-ROLE: Ask ONE concise clarifying shopping question (≤ 16 words). No product lists in text.`
-            },
-            { role: 'user', content: message }
-          ],
-          temperature: Math.min(shop.botConfig.temperature, 0.6),
-          max_tokens: 40,
-        });
-        assistantMessage = fallbackCompletion.choices[0].message;
-      }
-    }
-
-    // Save assistant message
-    await prisma.chatMessage.create({
-      data: {
-        sessionId: chatSession.id,
-        role: 'assistant',
-        content: assistantMessage.content ?? '',
-        metadata: JSON.stringify(functionResults),
-      },
-    });
-
-    // Track analytics if enabled
-    if (shop.botConfig.enableConversationAnalytics) {
-      console.log("📊 Tracking analytics for session:", sessionId);
-      
-      // Track popular question
-      await trackPopularQuestion(shop.id, message);
-      
-      // Extract products from function results
-      const productsViewed = [];
-      const productsRecommended = [];
-      const topics = [message.toLowerCase()];
-      
-      if (functionResults && functionResults.products) {
-        functionResults.products.forEach(product => {
-          productsViewed.push(product.id);
-          productsRecommended.push(product.id);
-          
-          // Track individual product analytics
-          trackProductAnalytics(shop.id, product.id, product.title, 'viewed');
-          trackProductAnalytics(shop.id, product.id, product.title, 'recommended');
-        });
-      }
-      
-      // Get current message count
-      const messageCount = await prisma.chatMessage.count({
-        where: { sessionId: chatSession.id }
-      });
-      
-      // Track conversation analytics
-      await trackConversationAnalytics(
-        chatSession.sessionId, 
-        shop.id, 
-        messageCount, 
-        productsViewed, 
-        productsRecommended, 
-        topics
-      );
-    }
-
-    return json({
-      message: assistantMessage.content ?? '',
-      sessionId: sessionId,
-      metadata: functionResults,
-    });
-
   } catch (error) {
     console.error("❌ App Chatbot error:", error);
     
@@ -981,6 +126,13 @@ export default function AppChatbot() {
           content: config.errorMessage || "I apologize, but I'm having trouble right now. Please try again in a moment.",
           timestamp: new Date(),
         }]);
+      } else if (fetcher.data.paused) {
+        setMessages(prev => [...prev, {
+          id: Date.now(),
+          role: "assistant",
+          content: "(A team member has this chat. Reply from the Inbox or hand it back to the AI.)",
+          timestamp: new Date(),
+        }]);
       } else {
         setMessages(prev => [...prev, {
           id: Date.now(),
@@ -1116,6 +268,43 @@ export default function AppChatbot() {
                   >
                     {message.content}
                   </div>
+                  {message.metadata?.citations?.length > 0 && (
+                    <div style={{ display: "flex", flexWrap: "wrap", gap: "4px 10px", fontSize: "12px", color: "#6d7175" }}>
+                      {message.metadata.citations.map((citation) => (
+                        <span key={`${citation.type}-${citation.id}`}>
+                          Source:{" "}
+                          {citation.url ? (
+                            <a href={citation.url} target="_blank" rel="noopener noreferrer" style={{ color: "#007cba" }}>
+                              {citation.title}
+                            </a>
+                          ) : (
+                            citation.title
+                          )}
+                          {citation.type === "knowledge" && " (Train Your Bot)"}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  {message.metadata?.orderStatus && (
+                    <div style={{ fontSize: "12px", color: "#6d7175" }}>
+                      Order {message.metadata.orderStatus.name}: {message.metadata.orderStatus.fulfillmentStatus}
+                      {message.metadata.orderStatus.fulfillments.flatMap(f => f.tracking).map(t => ` · ${t.company || "Tracking"} ${t.number}`)}
+                    </div>
+                  )}
+                  {message.metadata?.handoff && (
+                    <div style={{ fontSize: "12px", color: "#6d7175" }}>
+                      Handed to staff ({message.metadata.handoff.reason}) · shows in the Inbox
+                    </div>
+                  )}
+                  {message.metadata?.checkout && (
+                    <div style={{ fontSize: "12px", color: "#6d7175" }}>
+                      Checkout link ({message.metadata.checkout.itemCount} items
+                      {message.metadata.checkout.discountCode && `, code ${message.metadata.checkout.discountCode}`}):{" "}
+                      <a href={message.metadata.checkout.url} target="_blank" rel="noopener noreferrer" style={{ color: "#007cba" }}>
+                        Open
+                      </a>
+                    </div>
+                  )}
                   {message.metadata && message.metadata.products && (
                     <div style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
                       {message.metadata.products.slice(0, 6).map((product) => (
@@ -0,0 +1,241 @@
+import { useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  BlockStack,
+  InlineStack,
+  Badge,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { getConversation } from "../utils/conversations.server";
+import { HANDOFF_REASON_LABELS } from "../utils/handoff.server";
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const shop = await prisma.shop.findUnique({
+    where: { shopDomain: session.shop },
+  });
+  const conversation = shop && await getConversation(shop.id, params.id);
+  if (!conversation) {
+    throw new Response("Conversation not found", { status: 404 });
+  }
+
+  return {
+    conversation,
+    handoffReason: HANDOFF_REASON_LABELS[conversation.handoffReason] || conversation.handoffReason,
+  };
+};
+
+const ROLE_LABELS = {
+  user: "Shopper",
+  assistant: "AI assistant",
+  agent: "Staff",
+};
+
+const ROLE_COLORS = {
+  user: "#f1f2f4",
+  assistant: "#eaf4ff",
+  agent: "#e3f1df",
+};
+
+function DetailRow({ label, children }) {
+  return (
+    <InlineStack gap="200" wrap={false}>
+      <div style={{ minWidth: "120px" }}>
+        <Text as="span" tone="subdued">{label}</Text>
+      </div>
+      <Text as="span">{children}</Text>
+    </InlineStack>
+  );
+}
+
+function ToolCalls({ toolCalls }) {
+  return (
+    <BlockStack gap="100">
+      {toolCalls.map((call, index) => (
+        <div key={index} style={{ fontSize: "12px", fontFamily: "monospace", color: call.error ? "#8e1f0b" : "#4a4a4a" }}>
+          {call.name}({JSON.stringify(call.arguments)})
+          {call.error && ` → ${call.error}`}
+        </div>
+      ))}
+    </BlockStack>
+  );
+}
+
+function ProductCards({ products }) {
+  return (
+    <InlineStack gap="200">
+      {products.slice(0, 6).map((product) => (
+        <div
+          key={product.id}
+          style={{
+            display: "flex",
+            gap: "8px",
+            alignItems: "center",
+            border: "1px solid #e1e3e5",
+            borderRadius: "8px",
+            padding: "6px 8px",
+            backgroundColor: "#ffffff",
+            maxWidth: "240px",
+          }}
+        >
+          {product.image && (
+            <img
+              src={product.image.url}
+              alt={product.image.alt}
+              style={{ width: "40px", height: "40px", objectFit: "cover", borderRadius: "4px" }}
+            />
+          )}
+          <div style={{ fontSize: "12px" }}>
+            <div style={{ fontWeight: 600 }}>{product.title}</div>
+            <div style={{ color: "#6d7175" }}>{product.price}</div>
+          </div>
+        </div>
+      ))}
+    </InlineStack>
+  );
+}
+
+// One line per card the widget showed with this reply
+function CardSummary({ metadata }) {
+  const lines = [];
+  if (metadata.cartActions?.length) {
+    lines.push(`Cart: ${metadata.cartActions.map(action => `${action.type} ${action.title || action.variantId || ""}`.trim()).join(", ")}`);
+  }
+  if (metadata.orderStatus) lines.push(`Order ${metadata.orderStatus.name}: ${metadata.orderStatus.fulfillmentStatus}`);
+  if (metadata.comparison) lines.push(`Compared: ${metadata.comparison.products.map(p => p.title).join(" vs ")}`);
+  if (metadata.shipping) lines.push(`Shipping to ${metadata.shipping.destination?.name}: ${metadata.shipping.rates?.length || 0} rates`);
+  if (metadata.discount) lines.push(`Discount code ${metadata.discount.code} (${metadata.discount.percentage}%)`);
+  if (metadata.checkout) lines.push(`Checkout link, ${metadata.checkout.itemCount} items`);
+  if (metadata.handoff) lines.push(`Handed to staff (${metadata.handoff.reason})`);
+  if (metadata.citations?.length) lines.push(`Sources: ${metadata.citations.map(c => c.title).join(", ")}`);
+  if (lines.length === 0) return null;
+
+  return (
+    <BlockStack gap="050">
+      {lines.map((line) => (
+        <Text key={line} as="p" variant="bodySm" tone="subdued">{line}</Text>
+      ))}
+    </BlockStack>
+  );
+}
+
+export default function ConversationDetail() {
+  const { conversation, handoffReason } = useLoaderData();
+  const cartLines = conversation.cart?.lines || [];
+
+  return (
+    <Page backAction={{ content: "Conversations", url: "/app/conversations" }}>
+      <TitleBar title={conversation.customerEmail || `Visitor ${conversation.sessionId.slice(0, 8)}`} />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">Transcript</Text>
+              {conversation.messages.map((message) => (
+                <div
+                  key={message.id}
+                  style={{
+                    alignSelf: message.role === "user" ? "flex-start" : "flex-end",
+                    padding: "8px 12px",
+                    borderRadius: "12px",
+                    backgroundColor: ROLE_COLORS[message.role] || "#f6f6f7",
+                  }}
+                >
+                  <BlockStack gap="200">
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      {message.role === "agent" && message.metadata?.agentName
+                        ? message.metadata.agentName
+                        : ROLE_LABELS[message.role] || message.role}
+                      {" · "}
+                      {new Date(message.timestamp).toLocaleString()}
+                    </Text>
+                    <Text as="p">{message.content}</Text>
+                    {message.role === "assistant" && message.metadata && (
+                      <>
+                        {message.metadata.toolCalls?.length > 0 && <ToolCalls toolCalls={message.metadata.toolCalls} />}
+                        <CardSummary metadata={message.metadata} />
+                        {message.metadata.products?.length > 0 && <ProductCards products={message.metadata.products} />}
+                        <details>
+                          <summary style={{ fontSize: "12px", color: "#6d7175", cursor: "pointer" }}>Metadata</summary>
+                          <pre style={{ fontSize: "11px", whiteSpace: "pre-wrap", wordBreak: "break-word", maxHeight: "300px", overflowY: "auto" }}>
+                            {JSON.stringify(message.metadata, null, 2)}
+                          </pre>
+                        </details>
+                      </>
+                    )}
+                  </BlockStack>
+                </div>
+              ))}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section variant="oneThird">
+          <BlockStack gap="400">
+            <Card>
+              <BlockStack gap="200">
+                <Text as="h2" variant="headingMd">Session</Text>
+                <DetailRow label="Started">{new Date(conversation.createdAt).toLocaleString()}</DetailRow>
+                <DetailRow label="Last activity">{new Date(conversation.updatedAt).toLocaleString()}</DetailRow>
+                <DetailRow label="Session id">{conversation.sessionId}</DetailRow>
+                <DetailRow label="Language">{conversation.language}</DetailRow>
+                <DetailRow label="Customer">
+                  {conversation.customerEmail || "Anonymous"}
+                  {conversation.isReturning && " (returning)"}
+                </DetailRow>
+                {conversation.handoffStatus && (
+                  <DetailRow label="Handoff">
+                    {conversation.handoffStatus.replace(/_/g, " ")}
+                    {handoffReason && ` · ${handoffReason}`}
+                  </DetailRow>
+                )}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="200">
+                <Text as="h2" variant="headingMd">Outcome</Text>
+                {conversation.analytics ? (
+                  <>
+                    <InlineStack>
+                      <Badge>{conversation.analytics.outcome.replace(/_/g, " ")}</Badge>
+                    </InlineStack>
+                    {conversation.analytics.customerSatisfaction && (
+                      <DetailRow label="Satisfaction">{conversation.analytics.customerSatisfaction}</DetailRow>
+                    )}
+                    {conversation.analytics.conversionValue != null && (
+                      <DetailRow label="Order value">{conversation.analytics.conversionValue}</DetailRow>
+                    )}
+                  </>
+                ) : (
+                  <Text as="p" tone="subdued">No analytics recorded yet.</Text>
+                )}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="200">
+                <Text as="h2" variant="headingMd">Cart</Text>
+                {cartLines.length > 0 ? (
+                  cartLines.map((line, index) => (
+                    <Text key={index} as="p" variant="bodySm">
+                      {line.quantity} × {line.title || line.variantId}
+                    </Text>
+                  ))
+                ) : (
+                  <Text as="p" tone="subdued">Empty</Text>
+                )}
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
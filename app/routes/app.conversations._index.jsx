@@ -0,0 +1,233 @@
+import { useState } from "react";
+import { useLoaderData, useNavigate, useNavigation, useSearchParams } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  TextField,
+  Select,
+  InlineStack,
+  Badge,
+  IndexTable,
+  Pagination,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import {
+  OUTCOME_OPTIONS,
+  listConversations,
+  listRecommendedProducts,
+  parseConversationFilters,
+} from "../utils/conversations.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const filters = parseConversationFilters(new URL(request.url).searchParams);
+
+  const shop = await prisma.shop.findUnique({
+    where: { shopDomain: session.shop },
+  });
+  if (!shop) {
+    return { filters, conversations: [], total: 0, page: 1, pageCount: 1, truncated: false, productOptions: [], outcomeOptions: OUTCOME_OPTIONS };
+  }
+
+  const [results, productOptions] = await Promise.all([
+    listConversations(shop.id, filters),
+    listRecommendedProducts(shop.id),
+  ]);
+
+  return { filters, ...results, productOptions, outcomeOptions: OUTCOME_OPTIONS };
+};
+
+const OUTCOME_TONES = {
+  purchase: "success",
+  abandoned: "critical",
+  info_only: "info",
+};
+
+// "…the [[refund]] policy…" with the match in bold
+function Snippet({ text }) {
+  return (
+    <Text as="span" variant="bodySm" tone="subdued">
+      {text.split(/\[\[|\]\]/).map((part, index) => (index % 2 === 1 ? <b key={index}>{part}</b> : part))}
+    </Text>
+  );
+}
+
+export default function Conversations() {
+  const { filters, conversations, total, page, pageCount, truncated, productOptions, outcomeOptions } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const navigation = useNavigation();
+  const [draft, setDraft] = useState(filters);
+
+  const applyFilters = (next = draft) => {
+    const params = new URLSearchParams();
+    if (next.query) params.set("q", next.query);
+    if (next.from) params.set("from", next.from);
+    if (next.to) params.set("to", next.to);
+    if (next.outcome) params.set("outcome", next.outcome);
+    if (next.returning) params.set("returning", next.returning);
+    if (next.product) params.set("product", next.product);
+    setSearchParams(params);
+  };
+
+  const updateFilter = (key, value, applyNow = false) => {
+    const next = { ...draft, [key]: value };
+    setDraft(next);
+    if (applyNow) applyFilters(next);
+  };
+
+  const clearFilters = () => {
+    const empty = { query: "", from: "", to: "", outcome: "", returning: "", product: "" };
+    setDraft(empty);
+    applyFilters(empty);
+  };
+
+  const goToPage = (nextPage) => {
+    const params = new URLSearchParams(searchParams);
+    params.set("page", String(nextPage));
+    setSearchParams(params);
+  };
+
+  const rows = conversations.map((conversation, index) => (
+    <IndexTable.Row
+      id={conversation.id}
+      key={conversation.id}
+      position={index}
+      onClick={() => navigate(`/app/conversations/${conversation.id}`)}
+    >
+      <IndexTable.Cell>
+        <Text as="span" variant="bodySm">{new Date(conversation.createdAt).toLocaleString()}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <BlockStack gap="100">
+          <Text as="span" variant="bodyMd" fontWeight="semibold">
+            {conversation.customerEmail || `Visitor ${conversation.sessionId.slice(0, 8)}`}
+          </Text>
+          {conversation.isReturning && <Badge>Returning</Badge>}
+        </BlockStack>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <div style={{ maxWidth: "420px", whiteSpace: "normal" }}>
+          {conversation.snippet ? (
+            <Snippet text={conversation.snippet} />
+          ) : (
+            <Text as="span" variant="bodySm" tone="subdued" truncate>{conversation.firstMessage}</Text>
+          )}
+        </div>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text as="span" variant="bodySm" numeric>{conversation.messageCount}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Badge tone={OUTCOME_TONES[conversation.outcome]}>
+          {outcomeOptions.find(option => option.value === conversation.outcome)?.label || conversation.outcome}
+        </Badge>
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page>
+      <TitleBar title="Conversations" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <TextField
+                label="Search messages"
+                value={draft.query}
+                onChange={(value) => updateFilter("query", value)}
+                placeholder='Words or "exact phrase"'
+                autoComplete="off"
+                clearButton
+                onClearButtonClick={() => updateFilter("query", "", true)}
+                connectedRight={<Button onClick={() => applyFilters()}>Search</Button>}
+              />
+              <InlineStack gap="300" wrap>
+                <TextField
+                  label="From"
+                  type="date"
+                  value={draft.from}
+                  onChange={(value) => updateFilter("from", value, true)}
+                  autoComplete="off"
+                />
+                <TextField
+                  label="To"
+                  type="date"
+                  value={draft.to}
+                  onChange={(value) => updateFilter("to", value, true)}
+                  autoComplete="off"
+                />
+                <Select
+                  label="Outcome"
+                  options={[{ label: "Any", value: "" }, ...outcomeOptions]}
+                  value={draft.outcome}
+                  onChange={(value) => updateFilter("outcome", value, true)}
+                />
+                <Select
+                  label="Customer"
+                  options={[
+                    { label: "Any", value: "" },
+                    { label: "Returning", value: "yes" },
+                    { label: "New", value: "no" },
+                  ]}
+                  value={draft.returning}
+                  onChange={(value) => updateFilter("returning", value, true)}
+                />
+                <Select
+                  label="Product recommended"
+                  options={[{ label: "Any", value: "" }, ...productOptions]}
+                  value={draft.product}
+                  onChange={(value) => updateFilter("product", value, true)}
+                />
+              </InlineStack>
+              <InlineStack align="space-between" blockAlign="center">
+                <Text as="p" tone="subdued">
+                  {truncated ? "Top " : ""}{total} conversation{total === 1 ? "" : "s"}
+                  {filters.query && (total > 0 ? ", best matches first" : "")}
+                  {truncated && ". More conversations match; narrow the search to see them."}
+                </Text>
+                <Button variant="plain" onClick={clearFilters}>Clear filters</Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card padding="0">
+            <IndexTable
+              resourceName={{ singular: "conversation", plural: "conversations" }}
+              itemCount={conversations.length}
+              selectable={false}
+              loading={navigation.state === "loading"}
+              headings={[
+                { title: "Started" },
+                { title: "Customer" },
+                { title: filters.query ? "Match" : "First message" },
+                { title: "Messages" },
+                { title: "Outcome" },
+              ]}
+            >
+              {rows}
+            </IndexTable>
+            <div style={{ display: "flex", justifyContent: "center", padding: "12px" }}>
+              <Pagination
+                hasPrevious={page > 1}
+                onPrevious={() => goToPage(page - 1)}
+                hasNext={page < pageCount}
+                onNext={() => goToPage(page + 1)}
+                label={`Page ${page} of ${pageCount}`}
+              />
+            </div>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
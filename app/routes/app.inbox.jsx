@@ -0,0 +1,297 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useNavigate, useRevalidator } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  TextField,
+  InlineStack,
+  Badge,
+  EmptyState,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import {
+  HANDOFF_REASON_LABELS,
+  HANDOFF_STATUS,
+  assignAgent,
+  isHandoffActive,
+  listHandoffSessions,
+  releaseToBot,
+  sendAgentMessage,
+} from "../utils/handoff.server";
+
+// How often the Inbox checks for new chats and shopper messages
+const INBOX_REFRESH_INTERVAL_MS = 5000;
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const selectedId = new URL(request.url).searchParams.get("session");
+
+  const shop = await prisma.shop.findUnique({
+    where: { shopDomain: session.shop },
+  });
+  if (!shop) {
+    return { sessions: [], selected: null };
+  }
+
+  const [sessions, selected] = await Promise.all([
+    listHandoffSessions(shop.id),
+    selectedId
+      ? prisma.chatSession.findFirst({
+          where: { id: selectedId, shopId: shop.id },
+          include: { messages: { orderBy: { timestamp: "asc" } } },
+        })
+      : null,
+  ]);
+
+  return {
+    sessions: sessions.map(chatSession => ({
+      id: chatSession.id,
+      waiting: chatSession.handoffStatus === HANDOFF_STATUS.AWAITING,
+      reason: HANDOFF_REASON_LABELS[chatSession.handoffReason] || chatSession.handoffReason,
+      requestedAt: chatSession.handoffRequestedAt,
+      assignedAgent: chatSession.assignedAgent,
+      customerEmail: chatSession.customerEmail,
+      lastMessage: chatSession.messages[0]?.content || "",
+    })),
+    selected: selected && {
+      id: selected.id,
+      waiting: selected.handoffStatus === HANDOFF_STATUS.AWAITING,
+      active: isHandoffActive(selected),
+      reason: HANDOFF_REASON_LABELS[selected.handoffReason] || selected.handoffReason,
+      assignedAgent: selected.assignedAgent,
+      customerEmail: selected.customerEmail,
+      messages: selected.messages
+        .filter(message => ["user", "assistant", "agent"].includes(message.role))
+        .map(message => ({
+          id: message.id,
+          role: message.role,
+          content: message.content,
+          timestamp: message.timestamp,
+          agentName: message.role === "agent" ? JSON.parse(message.metadata || "{}").agentName : null,
+        })),
+    },
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const action = formData.get("action");
+  const id = formData.get("sessionId");
+  const agentName = (formData.get("agentName") || "").trim() || "Support";
+
+  const shop = await prisma.shop.findUnique({
+    where: { shopDomain: session.shop },
+  });
+  if (!shop) {
+    return { error: "Shop not found" };
+  }
+
+  let updated = null;
+  if (action === "claim") {
+    updated = await assignAgent({ shopId: shop.id, id, agentName });
+  } else if (action === "reply") {
+    const content = (formData.get("content") || "").trim();
+    if (!content) {
+      return { error: "Write a message first" };
+    }
+    updated = await sendAgentMessage({ shopId: shop.id, id, agentName, content });
+  } else if (action === "release") {
+    updated = await releaseToBot({ shopId: shop.id, id, agentName });
+  } else {
+    return { error: "Invalid action" };
+  }
+
+  if (!updated) {
+    return { error: "Conversation not found" };
+  }
+  return { success: true };
+};
+
+function formatTime(value) {
+  return new Date(value).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+export default function Inbox() {
+  const { sessions, selected } = useLoaderData();
+  const fetcher = useFetcher();
+  const navigate = useNavigate();
+  const revalidator = useRevalidator();
+  const [agentName, setAgentName] = useState("Support");
+  const [reply, setReply] = useState("");
+
+  const isSubmitting = fetcher.state !== "idle";
+
+  // Shoppers keep writing while a chat is open here; refresh in the background
+  useEffect(() => {
+    const interval = setInterval(() => {
+      if (revalidator.state === "idle") revalidator.revalidate();
+    }, INBOX_REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [revalidator]);
+
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.success) setReply("");
+  }, [fetcher.state, fetcher.data]);
+
+  const submit = (action, fields = {}) => {
+    fetcher.submit(
+      { action, sessionId: selected.id, agentName, ...fields },
+      { method: "POST" }
+    );
+  };
+
+  return (
+    <Page>
+      <TitleBar title="Inbox" />
+      <Layout>
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">Waiting for a person</Text>
+              {sessions.length === 0 ? (
+                <Text as="p" tone="subdued">
+                  No chats need a person right now. Chats appear here when a shopper asks for one, sounds upset, or the bot can't help.
+                </Text>
+              ) : (
+                sessions.map((chat) => (
+                  <div
+                    key={chat.id}
+                    role="button"
+                    tabIndex={0}
+                    onClick={() => navigate(`/app/inbox?session=${chat.id}`)}
+                    onKeyDown={(e) => e.key === "Enter" && navigate(`/app/inbox?session=${chat.id}`)}
+                    style={{
+                      padding: "8px",
+                      borderRadius: "8px",
+                      cursor: "pointer",
+                      backgroundColor: selected?.id === chat.id ? "#f1f2f4" : "transparent",
+                    }}
+                  >
+                    <BlockStack gap="100">
+                      <InlineStack gap="200" align="space-between">
+                        <Text as="span" variant="bodyMd" fontWeight="semibold">
+                          {chat.customerEmail || `Visitor ${chat.id.slice(-6)}`}
+                        </Text>
+                        <Text as="span" variant="bodySm" tone="subdued">
+                          {chat.requestedAt && formatTime(chat.requestedAt)}
+                        </Text>
+                      </InlineStack>
+                      <InlineStack gap="200">
+                        <Badge tone={chat.waiting ? "attention" : "info"}>
+                          {chat.waiting ? "Waiting" : chat.assignedAgent}
+                        </Badge>
+                        <Badge>{chat.reason}</Badge>
+                      </InlineStack>
+                      <Text as="p" variant="bodySm" tone="subdued" truncate>
+                        {chat.lastMessage}
+                      </Text>
+                    </BlockStack>
+                  </div>
+                ))
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          {!selected ? (
+            <Card>
+              <EmptyState heading="Pick a conversation" image="">
+                <p>Open a chat from the list to read the conversation and reply to the shopper.</p>
+              </EmptyState>
+            </Card>
+          ) : (
+            <Card>
+              <BlockStack gap="400">
+                <InlineStack align="space-between" blockAlign="center">
+                  <BlockStack gap="100">
+                    <Text as="h2" variant="headingMd">
+                      {selected.customerEmail || `Visitor ${selected.id.slice(-6)}`}
+                    </Text>
+                    {selected.reason && (
+                      <Text as="p" variant="bodySm" tone="subdued">{selected.reason}</Text>
+                    )}
+                  </BlockStack>
+                  <InlineStack gap="200">
+                    {selected.waiting && (
+                      <Button onClick={() => submit("claim")} loading={isSubmitting}>Claim</Button>
+                    )}
+                    {selected.active && (
+                      <Button onClick={() => submit("release")} loading={isSubmitting}>Hand back to AI</Button>
+                    )}
+                  </InlineStack>
+                </InlineStack>
+
+                <div style={{ maxHeight: "420px", overflowY: "auto", display: "flex", flexDirection: "column", gap: "8px" }}>
+                  {selected.messages.map((message) => (
+                    <div
+                      key={message.id}
+                      style={{
+                        alignSelf: message.role === "user" ? "flex-start" : "flex-end",
+                        maxWidth: "75%",
+                        padding: "8px 12px",
+                        borderRadius: "12px",
+                        fontSize: "13px",
+                        backgroundColor: message.role === "user" ? "#f1f2f4" : message.role === "agent" ? "#e3f1df" : "#eaf4ff",
+                      }}
+                    >
+                      <div style={{ fontSize: "11px", color: "#6d7175", marginBottom: "2px" }}>
+                        {message.role === "user" ? "Shopper" : message.role === "agent" ? message.agentName || "Staff" : "AI assistant"}
+                        {" · "}
+                        {formatTime(message.timestamp)}
+                      </div>
+                      {message.content}
+                    </div>
+                  ))}
+                </div>
+
+                {fetcher.data?.error && (
+                  <Text as="p" tone="critical">{fetcher.data.error}</Text>
+                )}
+
+                {!selected.active ? (
+                  <Text as="p" tone="subdued">The AI assistant is handling this chat.</Text>
+                ) : (
+                  <BlockStack gap="200">
+                    <TextField
+                      label="Reply as"
+                      value={agentName}
+                      onChange={setAgentName}
+                      autoComplete="off"
+                      helpText="Shown to the shopper above your messages"
+                    />
+                    <TextField
+                      label="Message"
+                      value={reply}
+                      onChange={setReply}
+                      multiline={3}
+                      autoComplete="off"
+                      helpText="Replying takes the chat over; the AI stays quiet until you hand it back."
+                    />
+                    <InlineStack align="end">
+                      <Button
+                        variant="primary"
+                        onClick={() => submit("reply", { content: reply })}
+                        disabled={!reply.trim()}
+                        loading={isSubmitting}
+                      >
+                        Send
+                      </Button>
+                    </InlineStack>
+                  </BlockStack>
+                )}
+              </BlockStack>
+            </Card>
+          )}
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -25,6 +25,12 @@ export default function App() {
         <Link to="/app/chatbot">
           Test Chatbot
         </Link>
+        <Link to="/app/inbox">
+          Inbox
+        </Link>
+        <Link to="/app/conversations">
+          Conversations
+        </Link>
       </NavMenu>
       <Outlet />
     </AppProvider>
@@ -1,8 +1,11 @@
 import { json } from "@remix-run/node";
-import { useLoaderData } from "@remix-run/react";
-import { useState, useEffect, useRef } from "react";
+import { isRouteErrorResponse, useLoaderData, useRouteError } from "@remix-run/react";
+import { useState, useEffect, useRef, useCallback } from "react";
 import { v4 as uuidv4 } from "uuid";
-import prisma from "../db.server";
+import { toPublicBotConfig } from "../utils/bot-config.server";
+import { findInstalledShop } from "../utils/storefront-chat.server";
+import { issueWidgetToken, widgetOrigin } from "../utils/widget-token.server";
+import { clientIp, isIpBlocked } from "../utils/rate-limit/index.server";
 
 export const loader = async ({ request }) => {
   const url = new URL(request.url);
@@ -15,44 +18,659 @@ export const loader = async ({ request }) => {
     throw new Response("Shop domain is required", { status: 400 });
   }
 
-  // Load shop configuration to get dynamic bot name and settings
-  let shop = await prisma.shop.findUnique({
-    where: { shopDomain },
-    include: { botConfig: true },
-  });
+  // Only shops that installed the app get a widget; see findInstalledShop
+  const shop = await findInstalledShop(shopDomain);
 
   if (!shop) {
-    // Create shop with minimal default config if it doesn't exist
-    shop = await prisma.shop.create({
-      data: {
-        shopDomain,
-        botConfig: {
-          create: {
-            // Only essential defaults, everything else comes from schema defaults
-          },
-        },
-      },
-      include: { botConfig: true },
-    });
+    throw new Response("Chat is not available for this store", { status: 404 });
   }
 
+  // Visitors on the shop's blocklist get no widget at all
+  if (isIpBlocked(clientIp(request), shop.botConfig.ipBlocklist)) {
+    throw new Response("Chat is not available", { status: 403 });
+  }
+
+  const sessionId = uuidv4();
   return json({
     shopDomain,
     theme,
     position,
     language,
-    sessionId: uuidv4(),
-    botConfig: shop.botConfig,
+    sessionId,
+    // Signed token the chat API requires; see widget-token.server.js
+    token: issueWidgetToken({ shopDomain: shop.shopDomain, sessionId, origin: widgetOrigin(request) }),
+    // Page data is readable by any visitor: widget-safe fields only
+    botConfig: toPublicBotConfig(shop.botConfig),
   });
 };
 
+// localStorage, or null where the iframe is denied storage access
+function getWidgetStorage() {
+  try {
+    return window.localStorage;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Read a text/event-stream response body, calling onEvent(event, data) per frame
+async function readServerSentEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const frames = buffer.split("\n\n");
+    buffer = frames.pop();
+    for (const frame of frames) {
+      const event = frame.match(/^event: (.*)$/m)?.[1] || "message";
+      const data = frame.match(/^data: (.*)$/m)?.[1];
+      onEvent(event, data ? JSON.parse(data) : {});
+    }
+  }
+}
+
+const CART_REQUEST_TIMEOUT_MS = 10000;
+// How often the widget checks for staff replies while a person is involved
+const HANDOFF_POLL_INTERVAL_MS = 4000;
+
+// Numeric id the storefront AJAX Cart API expects for a variant GID
+function toVariantNumericId(variantId) {
+  return Number(String(variantId).split("/").pop());
+}
+
+// Variant matching every selected option value, if there is one
+function findVariant(variants, selectedOptions) {
+  return variants.find(variant =>
+    Object.entries(selectedOptions).every(([name, value]) => variant.options?.[name] === value)
+  );
+}
+
+function stockLabel(variant) {
+  if (!variant) return null;
+  if (variant.stock === "sold_out") return "Sold out";
+  if (variant.stock === "low_stock") return `Only ${variant.quantityLeft} left`;
+  return null;
+}
+
+// Product card with a picker per option (flavor, size, ...) and "Add to cart".
+// Price, image and stock follow the selected variant; option values with no
+// purchasable variant for the current selection are struck through.
+function ProductCard({ product, theme, onAddToCart }) {
+  const variants = product.variants || [];
+  const options = (product.options || []).filter(option => option.values.length > 1);
+  const initialVariant = variants.find(v => v.available) || variants[0];
+  const [selectedOptions, setSelectedOptions] = useState(initialVariant?.options || {});
+  const [status, setStatus] = useState("idle");
+
+  const hasSelection = Object.keys(selectedOptions).length > 0;
+  const selected = (hasSelection && findVariant(variants, selectedOptions)) || initialVariant;
+  const price = selected?.price ?? product.price;
+  const compareAtPrice = selected ? selected.compareAtPrice : product.compareAtPrice;
+  const image = selected?.image || product.image;
+  const stock = stockLabel(selected);
+
+  const isValueAvailable = (name, value) =>
+    variants.some(variant =>
+      variant.available &&
+      variant.options?.[name] === value &&
+      Object.entries(selectedOptions).every(([other, v]) => other === name || variant.options?.[other] === v)
+    );
+
+  const selectValue = (e, name, value) => {
+    e.stopPropagation();
+    setSelectedOptions(prev => {
+      const next = { ...prev, [name]: value };
+      // Keep the other choices if that combination exists, else jump to the
+      // closest purchasable variant with this value
+      if (findVariant(variants, next)) return next;
+      const fallback = variants.find(v => v.available && v.options?.[name] === value) ||
+        variants.find(v => v.options?.[name] === value);
+      return fallback ? fallback.options : next;
+    });
+  };
+
+  const handleAdd = async (e) => {
+    e.stopPropagation();
+    setStatus("adding");
+    try {
+      await onAddToCart(product, selected);
+      setStatus("added");
+      setTimeout(() => setStatus("idle"), 2000);
+    } catch (error) {
+      console.error("Add to cart failed:", error);
+      setStatus("error");
+    }
+  };
+
+  const labels = {
+    idle: "Add to cart",
+    adding: "Adding...",
+    added: "Added ✓",
+    error: "Couldn't add - retry",
+  };
+
+  return (
+    <div
+      style={{
+        backgroundColor: theme.secondary,
+        border: `1px solid ${theme.border}`,
+        borderRadius: "12px",
+        padding: "12px",
+        marginBottom: "8px",
+        fontSize: "13px",
+        display: "flex",
+        gap: "12px",
+        cursor: "pointer",
+        transition: "all 0.2s ease",
+      }}
+      onMouseOver={(e) => {
+        e.currentTarget.style.transform = "scale(1.02)";
+        e.currentTarget.style.boxShadow = "0 4px 12px rgba(0,0,0,0.1)";
+      }}
+      onMouseOut={(e) => {
+        e.currentTarget.style.transform = "scale(1)";
+        e.currentTarget.style.boxShadow = "none";
+      }}
+    >
+      {image && (
+        <img
+          src={image.url}
+          alt={image.alt}
+          style={{
+            width: "60px",
+            height: "60px",
+            objectFit: "cover",
+            borderRadius: "8px",
+            flexShrink: 0,
+          }}
+        />
+      )}
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{
+          fontWeight: "600",
+          marginBottom: "4px",
+          fontSize: "14px",
+          lineHeight: "1.3",
+          overflow: "hidden",
+          textOverflow: "ellipsis",
+          whiteSpace: "nowrap"
+        }}>
+          {product.title}
+        </div>
+        {product.description && (
+          <div style={{
+            color: theme.text,
+            opacity: 0.8,
+            fontSize: "12px",
+            lineHeight: "1.3",
+            marginBottom: "6px",
+            display: "-webkit-box",
+            WebkitLineClamp: 2,
+            WebkitBoxOrient: "vertical",
+            overflow: "hidden"
+          }}>
+            {product.description}
+          </div>
+        )}
+        <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+          <div style={{
+            color: theme.primary,
+            fontWeight: "700",
+            fontSize: "14px"
+          }}>
+            ${price}
+          </div>
+          {compareAtPrice && parseFloat(compareAtPrice) > parseFloat(price) && (
+            <div style={{
+              color: theme.text,
+              opacity: 0.6,
+              textDecoration: "line-through",
+              fontSize: "12px"
+            }}>
+              ${compareAtPrice}
+            </div>
+          )}
+          {stock && (
+            <div style={{
+              fontSize: "11px",
+              fontWeight: "600",
+              color: selected.stock === "sold_out" ? theme.text : "#b45309",
+              opacity: selected.stock === "sold_out" ? 0.6 : 1,
+            }}>
+              {stock}
+            </div>
+          )}
+        </div>
+        {options.map(option => (
+          <div key={option.name} style={{ marginTop: "6px" }}>
+            <div style={{ fontSize: "11px", opacity: 0.75, marginBottom: "3px" }}>{option.name}</div>
+            <div style={{ display: "flex", flexWrap: "wrap", gap: "4px" }}>
+              {option.values.map(value => {
+                const isSelected = selectedOptions[option.name] === value;
+                const isAvailable = isValueAvailable(option.name, value);
+                return (
+                  <button
+                    key={value}
+                    onClick={(e) => selectValue(e, option.name, value)}
+                    title={isAvailable ? value : `${value} (sold out)`}
+                    style={{
+                      padding: "3px 8px",
+                      fontSize: "11px",
+                      borderRadius: "12px",
+                      border: `1px solid ${isSelected ? theme.primary : theme.border}`,
+                      backgroundColor: isSelected ? theme.primary : theme.background,
+                      color: isSelected ? "white" : theme.text,
+                      opacity: isAvailable ? 1 : 0.5,
+                      textDecoration: isAvailable ? "none" : "line-through",
+                      cursor: "pointer",
+                    }}
+                  >
+                    {value}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+        {selected && (
+          <button
+            onClick={handleAdd}
+            disabled={!selected.available || status === "adding"}
+            style={{
+              marginTop: "8px",
+              padding: "6px 10px",
+              fontSize: "12px",
+              fontWeight: "600",
+              borderRadius: "6px",
+              border: "none",
+              backgroundColor: selected.available ? theme.primary : theme.border,
+              color: "white",
+              cursor: selected.available ? "pointer" : "not-allowed",
+              whiteSpace: "nowrap",
+            }}
+          >
+            {selected.available ? labels[status] : "Sold out"}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Storefront URL applying a cart action when there is no bridge on the page
+function cartActionFallbackUrl(shopDomain, action) {
+  return action.type === "add"
+    ? `https://${shopDomain}/cart/add?id=${action.variantId}&quantity=${action.quantity}`
+    : `https://${shopDomain}/cart/change?id=${action.variantId}&quantity=${action.quantity}`;
+}
+
+// Status line for a cart change the bot made, with Confirm/Cancel buttons for
+// removals and quantity decreases
+function CartActionNotice({ action, theme, onConfirm, onCancel }) {
+  const item = action.type === "add" ? `${action.quantity} × ${action.title}` : action.title;
+  const pendingText = action.type === "remove"
+    ? `Remove ${item} from your cart?`
+    : `Change ${item} from ${action.previousQuantity} to ${action.quantity}?`;
+  const doneText = {
+    add: `✓ Added ${item} to your cart`,
+    update: `✓ Updated ${item} to ${action.quantity}`,
+    remove: `✓ Removed ${item} from your cart`,
+  }[action.type];
+
+  const text = {
+    pending: pendingText,
+    running: "Updating your cart...",
+    done: doneText,
+    opened: "Opened your cart in a new tab",
+    cancelled: `Kept ${item} in your cart`,
+    failed: "Couldn't update your cart. Please try again from the cart page.",
+  }[action.status];
+
+  const buttonStyle = {
+    padding: "4px 10px",
+    fontSize: "12px",
+    borderRadius: "6px",
+    cursor: "pointer",
+  };
+
+  return (
+    <div
+      style={{
+        marginTop: "6px",
+        padding: "8px 10px",
+        borderRadius: "10px",
+        border: `1px solid ${theme.border}`,
+        backgroundColor: theme.secondary,
+        color: theme.text,
+        fontSize: "12px",
+        maxWidth: "80%",
+      }}
+    >
+      <div>{text}</div>
+      {action.status === "pending" && (
+        <div style={{ display: "flex", gap: "6px", marginTop: "6px" }}>
+          <button
+            onClick={onConfirm}
+            style={{ ...buttonStyle, border: "none", backgroundColor: theme.primary, color: "white" }}
+          >
+            Confirm
+          </button>
+          <button
+            onClick={onCancel}
+            style={{ ...buttonStyle, border: `1px solid ${theme.border}`, backgroundColor: "transparent", color: theme.text }}
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Checkout button for a link the bot created. Checkout opens in the top
+// window so the shopper leaves the store page, not just the chat iframe.
+function CheckoutCard({ checkout, theme }) {
+  const items = `${checkout.itemCount} item${checkout.itemCount === 1 ? "" : "s"}`;
+  const total = checkout.totalPrice != null ? ` · ${checkout.totalPrice} ${checkout.currency || ""}` : "";
+
+  return (
+    <div
+      style={{
+        marginTop: "6px",
+        padding: "10px",
+        borderRadius: "10px",
+        border: `1px solid ${theme.border}`,
+        backgroundColor: theme.secondary,
+        color: theme.text,
+        fontSize: "12px",
+        maxWidth: "80%",
+      }}
+    >
+      <div>{items}{total}</div>
+      {checkout.discountCode && (
+        <div style={{ marginTop: "2px", opacity: 0.8 }}>Discount code {checkout.discountCode} applied at checkout</div>
+      )}
+      <a
+        href={checkout.url}
+        target="_top"
+        style={{
+          display: "inline-block",
+          marginTop: "8px",
+          padding: "8px 14px",
+          borderRadius: "8px",
+          backgroundColor: theme.primary,
+          color: "white",
+          fontWeight: "600",
+          fontSize: "13px",
+          textDecoration: "none",
+        }}
+      >
+        Checkout →
+      </a>
+    </div>
+  );
+}
+
+// Discount code the bot issued, with a copy button
+function DiscountCard({ discount, theme }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(discount.code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error("Copy failed:", error);
+    }
+  };
+
+  return (
+    <div
+      style={{
+        marginTop: "6px",
+        padding: "10px",
+        borderRadius: "10px",
+        border: `1px dashed ${theme.primary}`,
+        backgroundColor: theme.secondary,
+        color: theme.text,
+        fontSize: "12px",
+        maxWidth: "80%",
+      }}
+    >
+      <div>{discount.percentage}% off your order{discount.minCartAmount ? ` over ${discount.minCartAmount}` : ""}</div>
+      <div style={{ display: "flex", alignItems: "center", gap: "8px", marginTop: "6px" }}>
+        <code style={{ fontSize: "14px", fontWeight: "700", letterSpacing: "1px" }}>{discount.code}</code>
+        <button
+          onClick={handleCopy}
+          style={{
+            padding: "4px 10px",
+            fontSize: "12px",
+            borderRadius: "6px",
+            border: `1px solid ${theme.border}`,
+            backgroundColor: "transparent",
+            color: theme.text,
+            cursor: "pointer",
+          }}
+        >
+          {copied ? "Copied ✓" : "Copy"}
+        </button>
+      </div>
+      <div style={{ marginTop: "4px", opacity: 0.75 }}>
+        Single use · expires {new Date(discount.expiresAt).toLocaleString()}
+      </div>
+    </div>
+  );
+}
+
+// Side-by-side comparison table; scrolls sideways when it doesn't fit
+function ComparisonCard({ comparison, theme, shopDomain }) {
+  const cellStyle = {
+    padding: "6px 8px",
+    borderBottom: `1px solid ${theme.border}`,
+    verticalAlign: "top",
+    textAlign: "left",
+    minWidth: "90px",
+  };
+
+  return (
+    <div
+      style={{
+        marginTop: "6px",
+        borderRadius: "10px",
+        border: `1px solid ${theme.border}`,
+        backgroundColor: theme.secondary,
+        color: theme.text,
+        fontSize: "12px",
+        maxWidth: "100%",
+        overflowX: "auto",
+      }}
+    >
+      <table style={{ borderCollapse: "collapse", width: "100%" }}>
+        <thead>
+          <tr>
+            <th style={cellStyle} />
+            {comparison.products.map((product) => (
+              <th key={product.id} style={{ ...cellStyle, fontWeight: "600" }}>
+                {product.image && (
+                  <img
+                    src={product.image.url}
+                    alt={product.image.alt}
+                    style={{ width: "40px", height: "40px", objectFit: "cover", borderRadius: "6px", display: "block", marginBottom: "4px" }}
+                  />
+                )}
+                <a
+                  href={`https://${shopDomain}/products/${product.handle}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  style={{ color: theme.primary, textDecoration: "none" }}
+                >
+                  {product.title}
+                </a>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {comparison.rows.map((row) => (
+            <tr key={row.label}>
+              <th style={{ ...cellStyle, fontWeight: "600", opacity: 0.75 }}>{row.label}</th>
+              {row.values.map((value, index) => (
+                <td key={index} style={cellStyle}>{value ?? "—"}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function formatDeliveryTime(delivery) {
+  if (!delivery) return null;
+  const days = delivery.minDays === delivery.maxDays ? `${delivery.minDays}` : `${delivery.minDays}-${delivery.maxDays}`;
+  return `${days} ${delivery.businessDays ? "business " : ""}days`;
+}
+
+// Shipping options to a country, with the free-shipping threshold
+function ShippingCard({ shipping, theme }) {
+  return (
+    <div
+      style={{
+        marginTop: "6px",
+        padding: "10px",
+        borderRadius: "10px",
+        border: `1px solid ${theme.border}`,
+        backgroundColor: theme.secondary,
+        color: theme.text,
+        fontSize: "12px",
+        maxWidth: "80%",
+      }}
+    >
+      <div style={{ fontWeight: "600", fontSize: "13px", marginBottom: "4px" }}>
+        Shipping to {shipping.destination.name}
+      </div>
+      {shipping.rates.map((rate, index) => (
+        <div key={index} style={{ display: "flex", justifyContent: "space-between", gap: "8px" }}>
+          <span>
+            {rate.name}
+            {formatDeliveryTime(rate.delivery) && (
+              <span style={{ opacity: 0.75 }}> · {formatDeliveryTime(rate.delivery)}</span>
+            )}
+          </span>
+          <span style={{ fontWeight: "600", whiteSpace: "nowrap" }}>
+            {rate.carrierCalculated ? "At checkout" : rate.price === 0 ? "Free" : `${rate.price.toFixed(2)} ${rate.currency || ""}`}
+          </span>
+        </div>
+      ))}
+      {shipping.freeShippingThreshold > 0 && (
+        <div style={{ marginTop: "6px", color: theme.primary }}>
+          {shipping.amountToFreeShipping
+            ? `Add ${shipping.amountToFreeShipping.toFixed(2)} more for free shipping`
+            : `Free shipping on orders over ${shipping.freeShippingThreshold}`}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function formatOrderStatus(status) {
+  return (status || "").toLowerCase().replace(/_/g, " ").replace(/^\w/, c => c.toUpperCase());
+}
+
+// Order status card for a verified order lookup: fulfillment progress and
+// tracking links per shipment
+function OrderStatusCard({ order, theme }) {
+  const formatDate = (date) => new Date(date).toLocaleDateString();
+
+  return (
+    <div
+      style={{
+        marginTop: "6px",
+        padding: "10px",
+        borderRadius: "10px",
+        border: `1px solid ${theme.border}`,
+        backgroundColor: theme.secondary,
+        color: theme.text,
+        fontSize: "12px",
+        maxWidth: "80%",
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", gap: "8px", fontWeight: "600", fontSize: "13px" }}>
+        <span>Order {order.name}</span>
+        <span style={{ color: theme.primary }}>
+          {order.cancelled ? "Cancelled" : formatOrderStatus(order.fulfillmentStatus)}
+        </span>
+      </div>
+      <div style={{ opacity: 0.75, marginTop: "2px" }}>
+        Placed {formatDate(order.createdAt)}
+        {order.total && ` · ${order.total} ${order.currency}`}
+        {order.shipTo && ` · to ${order.shipTo}`}
+      </div>
+      <div style={{ marginTop: "6px" }}>
+        {order.items.map((item, index) => (
+          <div key={index}>
+            {item.quantity} × {item.title}{item.variantTitle ? ` (${item.variantTitle})` : ""}
+          </div>
+        ))}
+      </div>
+      {order.fulfillments.map((fulfillment, index) => (
+        <div key={index} style={{ marginTop: "6px", paddingTop: "6px", borderTop: `1px solid ${theme.border}` }}>
+          <div>
+            {formatOrderStatus(fulfillment.status) || "Shipped"}
+            {fulfillment.deliveredAt
+              ? ` · delivered ${formatDate(fulfillment.deliveredAt)}`
+              : fulfillment.estimatedDeliveryAt && ` · arriving ${formatDate(fulfillment.estimatedDeliveryAt)}`}
+          </div>
+          {fulfillment.tracking.map((tracking) => (
+            <div key={tracking.number}>
+              {tracking.company || "Tracking"}:{" "}
+              {tracking.url ? (
+                <a
+                  href={tracking.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  style={{ color: theme.primary, textDecoration: "underline" }}
+                >
+                  {tracking.number}
+                </a>
+              ) : (
+                tracking.number
+              )}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
 export default function ChatBot() {
-  const { shopDomain, theme, position, language, sessionId, botConfig } = useLoaderData();
+  const { shopDomain, theme, position, language, sessionId: newSessionId, token, botConfig } = useLoaderData();
+  const [sessionId, setSessionId] = useState(newSessionId);
   const [isOpen, setIsOpen] = useState(position === "hero" ? true : false);
   const [messages, setMessages] = useState([]);
   const [inputValue, setInputValue] = useState("");
   const [isTyping, setIsTyping] = useState(false);
+  const [hasCartBridge, setHasCartBridge] = useState(false);
+  const [handoff, setHandoff] = useState(null);
   const messagesEndRef = useRef(null);
+  const cartRequestsRef = useRef(new Map());
+  // Each chat request spends the token; replies carry the next one. The session
+  // id and its latest token are stored as one value so a reload can resume the
+  // session with a token that belongs to it.
+  const chatSessionRef = useRef({ sessionId: newSessionId, token });
+  const saveChatSession = useCallback((update) => {
+    chatSessionRef.current = { ...chatSessionRef.current, ...update };
+    setSessionId(chatSessionRef.current.sessionId);
+    getWidgetStorage()?.setItem(`nupo-chat-session:${shopDomain}`, JSON.stringify(chatSessionRef.current));
+  }, [shopDomain]);
+  const saveToken = useCallback((nextToken) => saveChatSession({ token: nextToken }), [saveChatSession]);
   
   // Generate browser fingerprint for customer recognition
   const generateFingerprint = () => {
@@ -84,6 +702,211 @@ export default function ChatBot() {
     ]);
   }, []);
 
+  // Trade the current token (unused, possibly expired) for a fresh one. The
+  // server says which session the token belongs to, and the widget follows it.
+  const refreshToken = useCallback(async () => {
+    const formData = new FormData();
+    formData.append("token", chatSessionRef.current.token);
+    const response = await fetch(`/api/chat/token?shop=${encodeURIComponent(shopDomain)}`, {
+      method: "POST",
+      body: formData,
+    });
+    const data = await response.json();
+    if (!data.token) throw new Error(data.error || "Token refresh failed");
+    saveChatSession({ sessionId: data.sessionId, token: data.token });
+  }, [shopDomain, saveChatSession]);
+
+  // Make a chat API request with `send(token)`, passing the current widget
+  // token. Expired, used or missing token: get a fresh one and try once more.
+  const withToken = useCallback(async (send) => {
+    const response = await send(chatSessionRef.current.token);
+    if (response.status !== 401) return response;
+    const { code } = await response.clone().json().catch(() => ({}));
+    if (!code?.startsWith("token_")) return response;
+    await refreshToken();
+    return send(chatSessionRef.current.token);
+  }, [refreshToken]);
+
+  // Read the transcript of the current session (see GET /api/chat)
+  const fetchHistory = useCallback(async (params = {}) => {
+    const query = new URLSearchParams({ shop: shopDomain, sessionId: chatSessionRef.current.sessionId, ...params });
+    const response = await withToken(currentToken => fetch(`/api/chat?${query}`, {
+      headers: { "X-Widget-Token": currentToken },
+    }));
+    return response.json();
+  }, [shopDomain, withToken]);
+
+  // Resume the previous conversation for this shop after a page reload
+  useEffect(() => {
+    let stored = null;
+    try {
+      stored = JSON.parse(getWidgetStorage()?.getItem(`nupo-chat-session:${shopDomain}`) || "null");
+    } catch (_) {
+      // Not a stored session (e.g. written by an older widget)
+    }
+    const startNewSession = () => saveChatSession({ sessionId: newSessionId, token });
+
+    if (!stored?.sessionId || !stored?.token) {
+      startNewSession();
+      return;
+    }
+
+    // The page's token is for the new session id; only the token saved with
+    // the stored session can be traded in for it
+    chatSessionRef.current = stored;
+    refreshToken()
+      .then(() => fetchHistory())
+      .then(data => {
+        // Throttled or gone: chat in a fresh session
+        if (data.error || data.expired) {
+          startNewSession();
+          return;
+        }
+        setHandoff(data.handoff);
+        if (data.messages?.length) {
+          setMessages(prev => [
+            ...prev.filter(m => m.id === "welcome"),
+            ...data.messages.map(m => ({ ...m, timestamp: new Date(m.timestamp) })),
+          ]);
+        }
+      })
+      .catch(error => {
+        console.error("Failed to resume chat session:", error);
+        startNewSession();
+      });
+  }, [shopDomain, newSessionId, token, saveChatSession, refreshToken, fetchHistory]);
+
+  // While the chat is handed to a person, poll for their replies and for the
+  // handoff ending (see app/utils/handoff.server.js)
+  const isHandedOff = Boolean(handoff);
+  useEffect(() => {
+    if (!isHandedOff) return;
+
+    let since = new Date(Date.now() - HANDOFF_POLL_INTERVAL_MS * 15).toISOString();
+    const poll = async () => {
+      try {
+        const data = await fetchHistory({ since });
+        if (data.error) return;
+
+        const agentMessages = (data.messages || []).filter(m => m.role === "agent");
+        if (data.messages?.length) since = data.messages[data.messages.length - 1].timestamp;
+        if (agentMessages.length) {
+          setMessages(prev => [
+            ...prev,
+            ...agentMessages
+              .filter(m => !prev.some(existing => existing.id === m.id))
+              .map(m => ({ ...m, timestamp: new Date(m.timestamp) })),
+          ]);
+        }
+        setHandoff(data.handoff);
+      } catch (error) {
+        console.error("Failed to check for staff replies:", error);
+      }
+    };
+
+    const interval = setInterval(poll, HANDOFF_POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isHandedOff, sessionId, fetchHistory]);
+
+  // Send a cart request to the storefront bridge (public/chat-bridge.js)
+  const requestCart = (type, payload = {}) => new Promise((resolve, reject) => {
+    const requestId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const timeout = setTimeout(() => {
+      cartRequestsRef.current.delete(requestId);
+      reject(new Error("Cart bridge did not respond"));
+    }, CART_REQUEST_TIMEOUT_MS);
+
+    cartRequestsRef.current.set(requestId, { resolve, reject, timeout });
+    window.parent.postMessage({ source: "nupo-chat", type, requestId, ...payload }, "*");
+  });
+
+  // POST `fields` and the current widget token to a chat API path
+  const postWithToken = (path, fields) => withToken(currentToken => {
+    const formData = new FormData();
+    Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+    formData.append("token", currentToken);
+    return fetch(`${path}?shop=${encodeURIComponent(shopDomain)}`, { method: "POST", body: formData });
+  });
+
+  // Mirror the storefront cart into the chat session so the bot can see it
+  const mirrorCart = async (cart) => {
+    if (!cart) return;
+    try {
+      await postWithToken("/api/cart", { sessionId, cart: JSON.stringify(cart) });
+    } catch (error) {
+      console.error("Failed to sync cart:", error);
+    }
+  };
+
+  // Listen for the storefront bridge; without it add-to-cart opens the
+  // store's /cart/add permalink instead
+  useEffect(() => {
+    if (window.parent === window) return;
+
+    const handleBridgeMessage = (event) => {
+      const data = event.data;
+      if (event.source !== window.parent || data?.source !== "nupo-chat-bridge") return;
+
+      if (data.type === "bridge:ready") {
+        setHasCartBridge(true);
+      } else if (data.type === "cart:result") {
+        const pending = cartRequestsRef.current.get(data.requestId);
+        if (!pending) return;
+        cartRequestsRef.current.delete(data.requestId);
+        clearTimeout(pending.timeout);
+        if (data.ok) pending.resolve(data.cart);
+        else pending.reject(new Error(data.error || "Cart request failed"));
+      }
+    };
+
+    window.addEventListener("message", handleBridgeMessage);
+    window.parent.postMessage({ source: "nupo-chat", type: "bridge:ping" }, "*");
+    return () => window.removeEventListener("message", handleBridgeMessage);
+  }, []);
+
+  const addToCart = async (product, variant) => {
+    const item = { id: toVariantNumericId(variant.id), quantity: 1 };
+
+    if (!hasCartBridge) {
+      window.open(`https://${shopDomain}/cart/add?id=${item.id}&quantity=${item.quantity}`, "_blank", "noopener");
+      return;
+    }
+
+    const cart = await requestCart("cart:add", { items: [item] });
+    await mirrorCart(cart);
+  };
+
+  const setCartActionStatus = (messageId, actionId, status) => {
+    setMessages(prev => prev.map(m => (m.id !== messageId ? m : {
+      ...m,
+      metadata: {
+        ...m.metadata,
+        cartActions: m.metadata.cartActions.map(a => (a.id === actionId ? { ...a, status } : a)),
+      },
+    })));
+  };
+
+  // Apply a cart change the bot requested (see app/utils/chat-tools/cart-tools.server.js)
+  const applyCartAction = async (messageId, action) => {
+    if (!hasCartBridge) {
+      window.open(cartActionFallbackUrl(shopDomain, action), "_blank", "noopener");
+      setCartActionStatus(messageId, action.id, "opened");
+      return;
+    }
+
+    setCartActionStatus(messageId, action.id, "running");
+    try {
+      const cart = action.type === "add"
+        ? await requestCart("cart:add", { items: [{ id: action.variantId, quantity: action.quantity }] })
+        : await requestCart("cart:change", { line: { id: action.lineKey, quantity: action.quantity } });
+      await mirrorCart(cart);
+      setCartActionStatus(messageId, action.id, "done");
+    } catch (error) {
+      console.error("Cart action failed:", error);
+      setCartActionStatus(messageId, action.id, "failed");
+    }
+  };
+
   // Auto-scroll to bottom
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -103,45 +926,81 @@ export default function ChatBot() {
     setInputValue("");
     setIsTyping(true);
 
-    // Send to API using fetch instead of fetcher for JSON
+    // Stream the reply over SSE so text renders while it is generated
+    const replyId = Date.now() + 1;
+    const updateReply = (update) => {
+      setMessages(prev => prev.some(m => m.id === replyId)
+        ? prev.map(m => (m.id === replyId ? update(m) : m))
+        : [...prev, update({ id: replyId, role: "assistant", content: "", timestamp: new Date() })]);
+    };
+    const showError = (content = "I apologize, but I'm having trouble right now. Please try again in a moment.") => {
+      setMessages(prev => [...prev.filter(m => m.id !== replyId), {
+        id: Date.now(),
+        role: "assistant",
+        content,
+        timestamp: new Date(),
+      }]);
+    };
+
     const sendMessage = async () => {
       try {
-        const formData = new FormData();
-        formData.append("message", inputValue);
-        formData.append("sessionId", sessionId);
-        formData.append("fingerprint", generateFingerprint());
-        
-        const response = await fetch(`/api/chat?shop=${encodeURIComponent(shopDomain)}`, {
-          method: "POST",
-          body: formData,
+        // Pick up cart changes made outside the chat before the bot replies
+        if (hasCartBridge) {
+          await requestCart("cart:get").then(mirrorCart).catch(() => {});
+        }
+
+        const response = await postWithToken("/api/chat/stream", {
+          message: inputValue,
+          sessionId,
+          fingerprint: generateFingerprint(),
         });
 
-        const data = await response.json();
-        
-        if (data.error) {
-          setMessages(prev => [...prev, {
-            id: Date.now(),
-            role: "assistant",
-            content: "I apologize, but I'm having trouble right now. Please try again in a moment.",
-            timestamp: new Date(),
-          }]);
+        if (response.status === 429) {
+          // Throttled: show the shop's "slow down" message, keep the next token
+          const data = await response.json().catch(() => ({}));
+          if (data.token) saveToken(data.token);
+          showError(data.error);
+        } else if (!response.ok || !response.body) {
+          showError();
         } else {
-          setMessages(prev => [...prev, {
-            id: Date.now(),
-            role: "assistant",
-            content: data.message,
-            metadata: data.metadata,
-            timestamp: new Date(),
-          }]);
+          await readServerSentEvents(response, (event, data) => {
+            switch (event) {
+              case "token":
+                setIsTyping(false);
+                updateReply(m => ({ ...m, content: m.content + data.text }));
+                break;
+              case "metadata": {
+                // Additions apply right away; removals and decreases wait for the shopper
+                const cartActions = (data.metadata?.cartActions || []).map(action => ({
+                  ...action,
+                  status: action.requiresConfirmation ? "pending" : "running",
+                }));
+                updateReply(m => ({ ...m, metadata: data.metadata && { ...data.metadata, cartActions } }));
+                if (data.metadata?.handoff) setHandoff(data.metadata.handoff);
+                cartActions
+                  .filter(action => !action.requiresConfirmation)
+                  .forEach(action => applyCartAction(replyId, action));
+                break;
+              }
+              case "done":
+                if (data.token) saveToken(data.token);
+                if (data.paused) {
+                  // A staff member has the chat; their reply arrives by polling
+                  setMessages(prev => prev.filter(m => m.id !== replyId));
+                } else {
+                  updateReply(m => ({ ...m, content: data.message }));
+                }
+                break;
+              case "error":
+                if (data.token) saveToken(data.token);
+                showError();
+                break;
+            }
+          });
         }
       } catch (error) {
         console.error("Chat error:", error);
-        setMessages(prev => [...prev, {
-          id: Date.now(),
-          role: "assistant",
-          content: "I apologize, but I'm having trouble right now. Please try again in a moment.",
-          timestamp: new Date(),
-        }]);
+        showError();
       }
       setIsTyping(false);
     };
@@ -321,7 +1180,14 @@ export default function ChatBot() {
               gap: "12px",
             }}
           >
-            {messages.map((message) => (
+            {messages.map((message) => (message.role === "agent" && message.metadata?.event ? (
+              <div
+                key={message.id}
+                style={{ textAlign: "center", fontSize: "11px", color: currentTheme.text, opacity: 0.6 }}
+              >
+                {message.content}
+              </div>
+            ) : (
               <div
                 key={message.id}
                 style={{
@@ -330,6 +1196,11 @@ export default function ChatBot() {
                   alignItems: message.role === "user" ? "flex-end" : "flex-start",
                 }}
               >
+                {message.role === "agent" && (
+                  <div style={{ fontSize: "11px", color: currentTheme.text, opacity: 0.7, margin: "0 0 2px 6px" }}>
+                    {message.metadata?.agentName || "Store team"}
+                  </div>
+                )}
                 <div
                   style={{
                     maxWidth: "80%",
@@ -351,99 +1222,76 @@ export default function ChatBot() {
                     __html: formatMessage(message.content),
                   }}
                 />
+                {message.metadata?.cartActions?.filter(action => action.status).map((action) => (
+                  <CartActionNotice
+                    key={action.id}
+                    action={action}
+                    theme={currentTheme}
+                    onConfirm={() => applyCartAction(message.id, action)}
+                    onCancel={() => setCartActionStatus(message.id, action.id, "cancelled")}
+                  />
+                ))}
+                {message.metadata?.orderStatus && (
+                  <OrderStatusCard order={message.metadata.orderStatus} theme={currentTheme} />
+                )}
+                {message.metadata?.comparison && (
+                  <ComparisonCard comparison={message.metadata.comparison} theme={currentTheme} shopDomain={shopDomain} />
+                )}
+                {message.metadata?.shipping && (
+                  <ShippingCard shipping={message.metadata.shipping} theme={currentTheme} />
+                )}
+                {message.metadata?.discount && (
+                  <DiscountCard discount={message.metadata.discount} theme={currentTheme} />
+                )}
+                {message.metadata?.checkout && (
+                  <CheckoutCard checkout={message.metadata.checkout} theme={currentTheme} />
+                )}
+                {message.metadata?.citations?.length > 0 && (
+                  <div
+                    style={{
+                      maxWidth: "80%",
+                      marginTop: "4px",
+                      display: "flex",
+                      flexWrap: "wrap",
+                      gap: "4px 10px",
+                      fontSize: "11px",
+                      color: currentTheme.text,
+                      opacity: 0.75,
+                    }}
+                  >
+                    {message.metadata.citations.map((citation) => (
+                      citation.url ? (
+                        <a
+                          key={`${citation.type}-${citation.id}`}
+                          href={citation.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          style={{ color: currentTheme.primary, textDecoration: "underline" }}
+                        >
+                          Source: {citation.title}
+                        </a>
+                      ) : (
+                        <span key={`${citation.type}-${citation.id}`}>
+                          Source: {citation.title}
+                        </span>
+                      )
+                    ))}
+                  </div>
+                )}
                 {message.metadata && message.metadata.products && (
                   <div style={{ marginTop: "8px", maxWidth: "100%" }}>
                     {message.metadata.products.slice(0, 6).map((product) => (
-                      <div
+                      <ProductCard
                         key={product.id}
-                        style={{
-                          backgroundColor: currentTheme.secondary,
-                          border: `1px solid ${currentTheme.border}`,
-                          borderRadius: "12px",
-                          padding: "12px",
-                          marginBottom: "8px",
-                          fontSize: "13px",
-                          display: "flex",
-                          gap: "12px",
-                          cursor: "pointer",
-                          transition: "all 0.2s ease",
-                        }}
-                        onMouseOver={(e) => {
-                          e.target.style.transform = "scale(1.02)";
-                          e.target.style.boxShadow = "0 4px 12px rgba(0,0,0,0.1)";
-                        }}
-                        onMouseOut={(e) => {
-                          e.target.style.transform = "scale(1)";
-                          e.target.style.boxShadow = "none";
-                        }}
-                      >
-                        {product.image && (
-                          <img
-                            src={product.image.url}
-                            alt={product.image.alt}
-                            style={{
-                              width: "60px",
-                              height: "60px",
-                              objectFit: "cover",
-                              borderRadius: "8px",
-                              flexShrink: 0,
-                            }}
-                          />
-                        )}
-                        <div style={{ flex: 1, minWidth: 0 }}>
-                          <div style={{ 
-                            fontWeight: "600", 
-                            marginBottom: "4px",
-                            fontSize: "14px",
-                            lineHeight: "1.3",
-                            overflow: "hidden",
-                            textOverflow: "ellipsis",
-                            whiteSpace: "nowrap"
-                          }}>
-                            {product.title}
-                          </div>
-                          {product.description && (
-                            <div style={{ 
-                              color: currentTheme.text, 
-                              opacity: 0.8,
-                              fontSize: "12px",
-                              lineHeight: "1.3",
-                              marginBottom: "6px",
-                              display: "-webkit-box",
-                              WebkitLineClamp: 2,
-                              WebkitBoxOrient: "vertical",
-                              overflow: "hidden"
-                            }}>
-                              {product.description}
-                            </div>
-                          )}
-                          <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
-                            <div style={{ 
-                              color: currentTheme.primary, 
-                              fontWeight: "700",
-                              fontSize: "14px"
-                            }}>
-                              ${product.price}
-                            </div>
-                            {product.compareAtPrice && parseFloat(product.compareAtPrice) > parseFloat(product.price) && (
-                              <div style={{ 
-                                color: currentTheme.text, 
-                                opacity: 0.6,
-                                textDecoration: "line-through",
-                                fontSize: "12px"
-                              }}>
-                                ${product.compareAtPrice}
-                              </div>
-                            )}
-
-                          </div>
-                        </div>
-                      </div>
+                        product={product}
+                        theme={currentTheme}
+                        onAddToCart={addToCart}
+                      />
                     ))}
                   </div>
                 )}
               </div>
-            ))}
+            )))}
             {isTyping && (
               <div
                 style={{
@@ -494,6 +1342,22 @@ export default function ChatBot() {
             <div ref={messagesEndRef} />
           </div>
 
+          {handoff && (
+            <div
+              style={{
+                padding: "6px 16px",
+                fontSize: "12px",
+                borderTop: `1px solid ${currentTheme.border}`,
+                backgroundColor: currentTheme.secondary,
+                color: currentTheme.text,
+              }}
+            >
+              {handoff.status === "agent_assigned"
+                ? `You're chatting with ${handoff.agentName || "our team"}`
+                : "Waiting for a member of our team to join..."}
+            </div>
+          )}
+
           {/* Input */}
           <div
             style={{
@@ -574,3 +1438,13 @@ export default function ChatBot() {
     </div>
   );
 }
+
+// Unknown or uninstalled shops get an empty widget frame instead of an error
+// page on the storefront
+export function ErrorBoundary() {
+  const error = useRouteError();
+  if (!isRouteErrorResponse(error)) {
+    console.error("Chat widget error:", error);
+  }
+  return null;
+}
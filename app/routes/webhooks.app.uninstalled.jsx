@@ -12,5 +12,9 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // Keep the shop's data for a reinstall, but stop serving its widget and chat
+  // API right away (see findInstalledShop)
+  await db.shop.updateMany({ where: { shopDomain: shop }, data: { isActive: false } });
+
   return new Response();
 };
@@ -16,6 +16,17 @@ const shopify = shopifyApp({
   authPathPrefix: "/auth",
   sessionStorage: new PrismaSessionStorage(prisma),
   distribution: AppDistribution.AppStore,
+  hooks: {
+    // Installs and reinstalls mark the shop active again after app/uninstalled;
+    // the storefront widget only serves active shops
+    afterAuth: async ({ session }) => {
+      await prisma.shop.upsert({
+        where: { shopDomain: session.shop },
+        update: { isActive: true },
+        create: { shopDomain: session.shop, botConfig: { create: {} } },
+      });
+    },
+  },
   future: {
     unstable_newEmbeddedAuthStrategy: true,
     removeRest: true,
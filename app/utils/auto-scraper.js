@@ -2,6 +2,8 @@
 // Runs automatically when users interact with the chatbot after 24 hours
 
 import prisma from "../db.server";
+import { refreshContentEmbeddings } from "./embeddings.server";
+import { refreshShippingCache } from "./shipping.server";
 
 // Check if shop needs scraping (last scrape > 24 hours ago)
 export async function shouldAutoScrape(shopId) {
@@ -203,6 +205,11 @@ async function performBackgroundScrape(admin, shopId, shopDomain, jobId) {
       }
     }
 
+    // Embed new and changed content for semantic search and re-read
+    // shipping rates
+    await refreshContentEmbeddings(shopId);
+    await refreshShippingCache(admin, shopId);
+
     // Complete the job
     await prisma.scrapingJob.update({
       where: { id: jobId },
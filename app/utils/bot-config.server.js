@@ -0,0 +1,61 @@
+// What parts of BotConfig may leave the server
+// Loaders must never return a raw BotConfig: the storefront widget gets the
+// public projection below, the admin gets the config with secrets masked.
+// Secrets are write-only; the admin form sends a new value only to replace one.
+// They are stored encrypted (see secrets.server.js) next to a `<field>Hint`
+// with the last characters, which is all the admin ever sees.
+
+import { encryptSecret } from "./secrets.server";
+
+// Fields the storefront widget needs to render. Anything not listed here
+// (system prompt, provider settings, discount rules, keys) stays server-side.
+const PUBLIC_FIELDS = [
+  'botName',
+  'chatTitle',
+  'welcomeMessage',
+  'placeholderText',
+  'typingMessage',
+  'buttonText',
+  'errorMessage',
+  'position',
+  'isActive',
+];
+
+// Fields never sent to any browser, admin included
+const SECRET_FIELDS = ['openaiApiKey'];
+const HINT_LENGTH = 4;
+
+export function toPublicBotConfig(botConfig) {
+  if (!botConfig) return null;
+  return Object.fromEntries(PUBLIC_FIELDS.map(field => [field, botConfig[field]]));
+}
+
+// "wxyz" -> "…wxyz"; keys saved before hints existed show as "…****"
+function maskSecret(stored, hint) {
+  if (!stored) return null;
+  return `…${hint || '****'}`;
+}
+
+// BotConfig for the admin UI: secrets are replaced by `<field>Masked`
+export function toAdminBotConfig(botConfig) {
+  if (!botConfig) return null;
+  const config = { ...botConfig };
+  SECRET_FIELDS.forEach(field => {
+    config[`${field}Masked`] = maskSecret(botConfig[field], botConfig[`${field}Hint`]);
+    delete config[field];
+    delete config[`${field}Hint`];
+  });
+  return config;
+}
+
+// BotConfig data for a secret from an admin form submission: `{}` leaves the
+// stored value alone, nulls remove it, a new value is encrypted. Throws when
+// encryption isn't configured.
+export function readSecretUpdate(formData, field) {
+  if (formData.get(`clear_${field}`) === "true") {
+    return { [field]: null, [`${field}Hint`]: null };
+  }
+  const value = (formData.get(field) || '').trim();
+  if (!value) return {};
+  return { [field]: encryptSecret(value), [`${field}Hint`]: value.slice(-HINT_LENGTH) };
+}
@@ -0,0 +1,84 @@
+// Mirror of the shopper's storefront cart on their ChatSession
+// The widget reports the cart it gets back from the storefront (AJAX Cart API
+// via the page bridge); the engine reads it so the bot knows what is already
+// in the basket.
+
+import prisma from "../db.server";
+
+// Compact cart shape stored in ChatSession.currentCart. Prices are in the
+// smallest currency unit, as the AJAX Cart API returns them.
+export function normalizeCart(cart) {
+  if (!cart || !Array.isArray(cart.items)) return {};
+
+  return {
+    token: cart.token || null,
+    currency: cart.currency || null,
+    itemCount: cart.item_count ?? cart.items.reduce((sum, item) => sum + (item.quantity || 0), 0),
+    totalPrice: cart.total_price ?? null,
+    lines: cart.items.map(item => ({
+      key: item.key,
+      variantId: item.variant_id,
+      productId: item.product_id,
+      title: item.product_title || item.title,
+      variantTitle: item.variant_title || null,
+      quantity: item.quantity,
+      price: item.final_price ?? item.price,
+      linePrice: item.final_line_price ?? item.line_price,
+    })),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+export function parseCart(currentCart) {
+  try {
+    return JSON.parse(currentCart || "{}");
+  } catch (_) {
+    return {};
+  }
+}
+
+// Store the widget-reported cart on the shop's chat session. Returns the
+// stored cart, or null for unknown sessions and sessions of another shop.
+export async function mirrorSessionCart({ shop, sessionId, cart }) {
+  const chatSession = await prisma.chatSession.findUnique({ where: { sessionId } });
+  if (!chatSession || chatSession.shopId !== shop.id) return null;
+
+  const currentCart = normalizeCart(cart);
+  await prisma.chatSession.update({
+    where: { id: chatSession.id },
+    data: { currentCart: JSON.stringify(currentCart) },
+  });
+  return currentCart;
+}
+
+// Cart total in currency units (e.g. 24.5 for 2450 cents), or null when the
+// cart or its total is unknown. Shop settings such as minimums and shipping
+// thresholds are in currency units.
+export function cartTotalAmount(cart) {
+  if (cart?.totalPrice === null || cart?.totalPrice === undefined) return null;
+  const cents = Number(cart.totalPrice);
+  return Number.isFinite(cents) ? cents / 100 : null;
+}
+
+function formatMoney(cents, currency) {
+  if (cents === null || cents === undefined) return "";
+  return `${(cents / 100).toFixed(2)}${currency ? ` ${currency}` : ""}`;
+}
+
+// System prompt section describing the mirrored cart
+export function buildCartContext(currentCart) {
+  const cart = parseCart(currentCart);
+  if (!cart.lines) return '';
+  if (cart.lines.length === 0) {
+    return `
+
+CURRENT CART: empty`;
+  }
+
+  return `
+
+CURRENT CART (${cart.itemCount} items, total ${formatMoney(cart.totalPrice, cart.currency)}):
+${cart.lines.map(line => `- ${line.quantity} × ${line.title}${line.variantTitle ? ` (${line.variantTitle})` : ''} — ${formatMoney(line.linePrice, cart.currency)}`).join('\n')}
+
+Take the cart into account: don't re-recommend what is already in it unless asked, and suggest complementary items when it fits.`;
+}
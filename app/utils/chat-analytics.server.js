@@ -0,0 +1,85 @@
+// Conversation, question and product analytics written after each chat turn
+
+import prisma from "../db.server";
+
+export async function trackConversationAnalytics(sessionId, shopId, messageCount, productsViewed, productsRecommended, topics) {
+  try {
+    await prisma.conversationAnalytics.upsert({
+      where: { sessionId },
+      update: {
+        messageCount,
+        productsViewed: JSON.stringify(productsViewed),
+        productsRecommended: JSON.stringify(productsRecommended),
+        topicsDiscussed: JSON.stringify(topics),
+        duration: Math.floor((new Date() - new Date()) / 60000), // Will be calculated properly
+      },
+      create: {
+        sessionId,
+        shopId,
+        outcome: 'pending',
+        duration: 0,
+        messageCount,
+        productsViewed: JSON.stringify(productsViewed),
+        productsRecommended: JSON.stringify(productsRecommended),
+        topicsDiscussed: JSON.stringify(topics),
+      }
+    });
+  } catch (error) {
+    console.error("Error tracking conversation analytics:", error);
+  }
+}
+
+export async function trackPopularQuestion(shopId, question) {
+  try {
+    const normalizedQuestion = question.toLowerCase().trim();
+    if (normalizedQuestion.length < 3) return; // Skip very short questions
+    
+    await prisma.popularQuestions.upsert({
+      where: { 
+        shopId_question: { shopId, question: normalizedQuestion }
+      },
+      update: {
+        frequency: { increment: 1 },
+        lastAsked: new Date(),
+      },
+      create: {
+        shopId,
+        question: normalizedQuestion,
+        frequency: 1,
+        lastAsked: new Date(),
+      }
+    });
+  } catch (error) {
+    console.error("Error tracking popular question:", error);
+  }
+}
+
+export async function trackProductAnalytics(shopId, productId, productTitle, action = 'viewed') {
+  try {
+    const updateData = {};
+    if (action === 'viewed') updateData.timesViewed = { increment: 1 };
+    if (action === 'recommended') updateData.timesRecommended = { increment: 1 };
+    if (action === 'purchased') updateData.timesPurchased = { increment: 1 };
+    
+    await prisma.productAnalytics.upsert({
+      where: { 
+        shopId_productId: { shopId, productId }
+      },
+      update: {
+        ...updateData,
+        lastRecommended: action === 'recommended' ? new Date() : undefined,
+      },
+      create: {
+        shopId,
+        productId,
+        productTitle,
+        timesViewed: action === 'viewed' ? 1 : 0,
+        timesRecommended: action === 'recommended' ? 1 : 0,
+        timesPurchased: action === 'purchased' ? 1 : 0,
+        lastRecommended: action === 'recommended' ? new Date() : null,
+      }
+    });
+  } catch (error) {
+    console.error("Error tracking product analytics:", error);
+  }
+}
@@ -0,0 +1,481 @@
+// Server-side conversation engine shared by the storefront widget (/api/chat)
+// and the admin "Test Chatbot" console, so both run exactly the same bot.
+
+import prisma from "../db.server";
+import { getStoreContext } from "./store-content.server";
+import { findReturningCustomer } from "./customer-memory.server";
+import { searchKnowledgeBase, buildKnowledgeContext } from "./knowledge-base.server";
+import { buildCartContext } from "./cart.server";
+import { buildDiscountContext } from "./discounts.server";
+import {
+  detectHandoffTrigger,
+  handoffState,
+  HANDOFF_NOTICE,
+  isAgentAssigned,
+  isFailedTurn,
+  isHandoffActive,
+  recordTurnOutcome,
+  requestHandoff,
+} from "./handoff.server";
+import { buildHistoryMessages, toTranscriptMessages } from "./conversation-history.server";
+import { getLLMProvider, resolveModel } from "./llm/index.server";
+import { chatTools } from "./chat-tools/index.server";
+import {
+  trackConversationAnalytics,
+  trackPopularQuestion,
+  trackProductAnalytics,
+} from "./chat-analytics.server";
+
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_MAX_TOOL_STEPS = 4;
+const MAX_CITATIONS = 3;
+
+// Load a shop with everything a chat turn needs
+export async function loadChatShop(shopDomain) {
+  return prisma.shop.findUnique({
+    where: { shopDomain },
+    include: {
+      botConfig: true,
+      knowledgeBase: true,
+    },
+  });
+}
+
+// Get or create the ChatSession row for a widget/console session id
+export async function getOrCreateChatSession({ shop, sessionId, fingerprint }) {
+  let chatSession = await prisma.chatSession.findUnique({
+    where: { sessionId },
+    include: { messages: { orderBy: { timestamp: 'asc' } } },
+  });
+
+  if (chatSession && chatSession.shopId !== shop.id) {
+    throw new Error("Chat session belongs to a different shop");
+  }
+
+  if (chatSession) {
+    // Sliding expiry: active conversations stay resumable
+    await prisma.chatSession.update({
+      where: { id: chatSession.id },
+      data: { expiresAt: new Date(Date.now() + SESSION_TTL_MS) },
+    });
+  } else {
+    chatSession = await prisma.chatSession.create({
+      data: {
+        sessionId,
+        shopId: shop.id,
+        customerInfo: JSON.stringify({
+          language: "en",
+          timestamp: new Date().toISOString(),
+          fingerprint,
+        }),
+        customerFingerprint: fingerprint,
+        expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+      },
+      include: { messages: { orderBy: { timestamp: 'asc' } } },
+    });
+  }
+
+  return chatSession;
+}
+
+// Stored transcript for resuming a widget session after a page reload, and
+// the handoff state. With `since`, only messages after that time are returned
+// (the widget polls this way for staff replies). Unknown, foreign or expired
+// sessions resume as empty/expired.
+export async function loadSessionHistory({ shop, sessionId, since }) {
+  const sinceDate = since ? new Date(since) : null;
+  const chatSession = await prisma.chatSession.findUnique({
+    where: { sessionId },
+    include: {
+      messages: {
+        where: sinceDate && !Number.isNaN(sinceDate.getTime()) ? { timestamp: { gt: sinceDate } } : {},
+        orderBy: { timestamp: 'asc' },
+      },
+    },
+  });
+
+  if (!chatSession || chatSession.shopId !== shop.id) {
+    return { sessionId, messages: [], expired: false, handoff: null };
+  }
+  if (chatSession.expiresAt < new Date()) {
+    return { sessionId, messages: [], expired: true, handoff: null };
+  }
+
+  return {
+    sessionId,
+    messages: toTranscriptMessages(chatSession.messages),
+    expired: false,
+    handoff: handoffState(chatSession),
+  };
+}
+
+// Persist a reply the engine gives without calling the model (handoff notices)
+async function replyWithoutModel({ chatSession, sessionId, content, metadata }) {
+  await prisma.chatMessage.create({
+    data: {
+      sessionId: chatSession.id,
+      role: 'assistant',
+      content,
+      metadata: JSON.stringify(metadata),
+    },
+  });
+  return { message: content, sessionId, metadata };
+}
+
+function buildCustomerMemoryContext(returningCustomer) {
+  if (!returningCustomer || !returningCustomer.orderHistory) return '';
+
+  const { customer, orders, favoriteProducts } = returningCustomer.orderHistory;
+  return `
+
+RETURNING CUSTOMER DETECTED:
+- Customer: ${customer.name}
+- Email: ${customer.email}
+- Total Orders: ${orders.length}
+- Last Order: ${orders[0]?.createdAt ? new Date(orders[0].createdAt).toDateString() : 'N/A'}
+- Favorite Products: ${favoriteProducts.map(p => `${p.product} (${p.count}x)`).join(', ')}
+- Recent Purchase History: ${orders.slice(0, 3).map(o => `${o.name} (${new Date(o.createdAt).toDateString()})`).join(', ')}
+
+IMPORTANT: Welcome them back personally and reference their purchase history appropriately. Ask about their experience with previous products.`;
+}
+
+function buildHandoffContext(chatSession) {
+  if (!isHandoffActive(chatSession)) return '';
+  return `
+
+HANDOFF: A member of the store's team has been asked to join this chat and will reply here. Keep helping in the meantime, but don't promise when they will reply.`;
+}
+
+export function buildSystemPrompt({ botConfig, storeData, shopDomain, customerMemoryContext = '', knowledgeContext = '', cartContext = '', discountContext = '', handoffContext = '' }) {
+  return `${botConfig.systemPrompt}
+
+Store Information:
+- Store: ${storeData.shop.name}
+- Domain: ${shopDomain}
+- Currency: ${storeData.shop.currencyCode}
+- Products available: ${storeData.productCount}
+- Collections: ${storeData.collections.map(c => c.title).join(', ')}
+${customerMemoryContext}${knowledgeContext}${cartContext}${discountContext}${handoffContext}
+
+IMPORTANT RESPONSE GUIDELINES (AGENTIC COMMERCE STYLE):
+- Be a concise, proactive shopping waiter. Keep replies short and purposeful.
+- NEVER include URLs, technical details, or product codes.
+- The articles, pages and store policies you answer from are shown to the customer as source links automatically; never add links or "source:" lines yourself.
+- When showing products: RESPOND WITH ONLY AN EMOJI (🛍️) OR EMPTY MESSAGE – NO TEXT.
+- Product cards contain all details – do not repeat specs, prices, or features in text.
+- Default to ONE short clarifying question (≤ 18 words) tailored to intent.
+- Use store articles/pages to understand user terms, but summarize in one line.
+- Prefer clarifying about flavor, format (shake/soup/bar), dietary needs, or plan duration before showing items.
+- Do not dump long explanations or lists; only show products after the user asks/accepts.
+- If results don't match, refine the search automatically and ask a better follow-up.
+- Offer options only after confirming interest.
+
+STRICT STORE-ONLY POLICY:
+- Answer ONLY using information from this store (merchant knowledge, products, collections, pages, articles). Do not use outside knowledge.
+- Merchant knowledge entries are curated by the store owner: when they cover a question (shipping, returns, FAQs, policies), answer from them rather than from scraped pages.
+- If the user asks about unrelated topics, reply briefly: "I can help with information and products from this store only."
+- Prefer tools to search products and store content before answering.
+- Never use the store-only reply for short or unclear messages (e.g., "what?", "yes", "ok"). Ask a clarifying question instead.
+- Orders: for "where is my order?" questions, ask for the order number and the email or zip/postal code on the order, then call "order_status". The chat window shows the order card with tracking links; summarize the status in a sentence. If the lookup fails, don't say whether the order exists.
+- Shipping: for shipping cost or delivery time questions, call "estimate_shipping" with the destination country (ask for it if unknown). The chat window shows the options; answer in one or two sentences and mention how much more is needed for free shipping when that applies.
+- Checkout: when the customer is ready to buy, call "create_checkout_link" (with their discount code if they have one). A Checkout button appears in the chat window; tell them to use it.
+- Cart: use "view_cart" to see the basket and "add_to_cart", "update_cart_line" or "remove_from_cart" when the customer asks to change it. Additions are applied right away; removals and lower quantities are applied after the customer confirms in the chat window, so say that briefly instead of claiming they are done.
+- Availability: product results list every variant with its stock ("in_stock", "low_stock" with quantityLeft, "sold_out"). Mention when a requested flavor or size is sold out or low in stock and suggest an available one; the cards let the customer pick options themselves.
+- Comparisons: when the customer asks how products differ or which to choose between them, call "compare_products" with 2-4 of them. The chat window shows the comparison table, so don't repeat it: answer with the key difference in one line.
+- People: if the customer wants to talk to a person, or has a problem you can't solve (damaged or missing orders, refunds, complaints), call "request_human_agent" and tell them a team member will reply in this chat.
+- Tool selection: If the customer asks to see/buy items, flavors, variants, or mentions a specific product/attribute, CALL "recommend_products". Use "search_store_content" mainly for knowledge/lookups (articles/pages) or browsing collections. If a search returns no items, try "recommend_products" next.
+
+Current conversation context: Customer is asking about products or shopping assistance.`;
+}
+
+// Run every tool call in an assistant message. Results are appended to
+// `turnResults` for the widget cards and returned as `tool` role messages.
+async function runToolCalls(toolCalls, context, turnResults) {
+  return Promise.all(toolCalls.map(async (toolCall) => {
+    const { name } = toolCall.function;
+    let args;
+    try {
+      args = JSON.parse(toolCall.function.arguments || '{}');
+    } catch (_) {
+      args = null;
+    }
+
+    console.log("🛠️ Function call:", name, args);
+    const result = args
+      ? await chatTools.execute(name, args, context)
+      : { error: "Tool arguments were not valid JSON" };
+    turnResults.push({ name, args, result });
+
+    return {
+      role: 'tool',
+      tool_call_id: toolCall.id,
+      content: chatTools.toModelContent(name, result),
+    };
+  }));
+}
+
+// Sources that grounded the reply: merchant knowledge entries that matched
+// the question and the non-product store content the tools returned. Products
+// are not cited; they already show as cards.
+function buildCitations({ turnResults, knowledgeEntries, shopDomain }) {
+  const citations = [];
+  const seen = new Set();
+  const add = (citation) => {
+    const key = `${citation.type}:${citation.id}`;
+    if (seen.has(key) || citations.length >= MAX_CITATIONS) return;
+    seen.add(key);
+    citations.push(citation);
+  };
+  const addKnowledge = (entry) => {
+    if (entry.score > 0) {
+      add({ type: 'knowledge', id: entry.id, title: entry.title, category: entry.category });
+    }
+  };
+
+  knowledgeEntries.forEach(addKnowledge);
+  for (const { result } of turnResults) {
+    (result?.knowledge || []).forEach(addKnowledge);
+    (result?.items || [])
+      .filter(item => item.contentType !== 'product')
+      .forEach(item => add({
+        type: 'content',
+        id: item.id,
+        title: item.title,
+        contentType: item.contentType,
+        url: item.url ? `https://${shopDomain}${item.url}` : null,
+      }));
+  }
+
+  return citations;
+}
+
+// Combine the results of every tool run this turn into message metadata:
+// products for cards (deduplicated), store content items, citations, cart
+// actions for the widget to apply, checkout, order, discount, shipping and
+// comparison cards, handoff state and a call log
+function buildTurnMetadata(turnResults, citations) {
+  if (turnResults.length === 0 && citations.length === 0) return null;
+
+  const products = new Map();
+  const items = [];
+  for (const { result } of turnResults) {
+    (result?.products || []).forEach(product => {
+      if (!products.has(product.id)) products.set(product.id, product);
+    });
+    items.push(...(result?.items || []));
+  }
+
+  return {
+    products: [...products.values()],
+    items,
+    citations,
+    cartActions: turnResults
+      .map(({ result }) => result?.cartAction)
+      .filter(Boolean)
+      .map((action, index) => ({ id: `cart-${index}`, ...action })),
+    checkout: turnResults.map(({ result }) => result?.checkout).filter(Boolean).pop() || null,
+    orderStatus: turnResults.map(({ result }) => result?.orderStatus).filter(Boolean).pop() || null,
+    discount: turnResults.map(({ result }) => result?.discount).filter(Boolean).pop() || null,
+    shipping: turnResults.map(({ result }) => result?.shipping).filter(Boolean).pop() || null,
+    comparison: turnResults.map(({ result }) => result?.comparison).filter(Boolean).pop() || null,
+    handoff: turnResults.map(({ result }) => result?.handoff).filter(Boolean).pop() || null,
+    toolCalls: turnResults.map(({ name, args, result }) => ({
+      name,
+      arguments: args,
+      ...(result?.error ? { error: result.error } : {}),
+    })),
+  };
+}
+
+async function recordTurnAnalytics({ shop, chatSession, message, functionResults }) {
+  console.log("📊 Tracking analytics for session:", chatSession.sessionId);
+
+  await trackPopularQuestion(shop.id, message);
+
+  const productsViewed = [];
+  const productsRecommended = [];
+  const topics = [message.toLowerCase()];
+
+  if (functionResults && functionResults.products) {
+    functionResults.products.forEach(product => {
+      productsViewed.push(product.id);
+      productsRecommended.push(product.id);
+
+      trackProductAnalytics(shop.id, product.id, product.title, 'viewed');
+      trackProductAnalytics(shop.id, product.id, product.title, 'recommended');
+    });
+  }
+
+  const messageCount = await prisma.chatMessage.count({
+    where: { sessionId: chatSession.id }
+  });
+
+  await trackConversationAnalytics(
+    chatSession.sessionId,
+    shop.id,
+    messageCount,
+    productsViewed,
+    productsRecommended,
+    topics
+  );
+}
+
+// Run one conversation turn: session, retrieval, tools, prompting, persistence
+// and analytics. Returns `{ message, sessionId, metadata }` or `{ error }` when
+// the shop has no usable LLM provider. Pass `onToken` to stream reply text as it
+// is generated; the full reply is still persisted once the turn completes.
+export async function runChatTurn({ shop, admin, sessionId, message, fingerprint, onToken }) {
+  const { botConfig } = shop;
+
+  const provider = getLLMProvider(botConfig);
+  if (!provider) {
+    return { error: "AI provider not configured. Please add your API key or endpoint in the bot configuration." };
+  }
+
+  const complete = async (params) => {
+    if (onToken) return (await provider.stream(params, onToken)).message;
+    const completion = await provider.complete(params);
+    console.log(`🆔 ${provider.name} completion id:`, completion.id);
+    return completion.message;
+  };
+
+  let chatSession = await getOrCreateChatSession({ shop, sessionId, fingerprint });
+
+  // Customer memory only kicks in once the shopper has verified their email in
+  // this chat; the widget's fingerprint is client-supplied and proves nothing
+  let returningCustomer = null;
+  if (botConfig.enableCustomerMemory && chatSession.customerEmail) {
+    returningCustomer = await findReturningCustomer(admin, shop.id, {
+      email: chatSession.customerEmail,
+      excludeSessionId: chatSession.id,
+    });
+    console.log("🧠 Returning customer found:", !!returningCustomer);
+    if (returningCustomer?.lastVisit && !chatSession.isReturning) {
+      chatSession = { ...chatSession, isReturning: true };
+      await prisma.chatSession.update({ where: { id: chatSession.id }, data: { isReturning: true } });
+    }
+  }
+  const previousUserMessage = chatSession.messages?.filter(m => m.role === 'user').pop()?.content;
+
+  await prisma.chatMessage.create({
+    data: {
+      sessionId: chatSession.id,
+      role: 'user',
+      content: message,
+    },
+  });
+
+  // A staff member has the conversation: the AI stays out of it
+  if (isAgentAssigned(chatSession)) {
+    return { message: '', sessionId, metadata: { handoff: handoffState(chatSession) }, paused: true };
+  }
+
+  // Asking for a person or sounding upset escalates before the model runs
+  const handoffTrigger = !isHandoffActive(chatSession) && detectHandoffTrigger(message);
+  if (handoffTrigger) {
+    chatSession = await requestHandoff(chatSession, handoffTrigger);
+    return replyWithoutModel({
+      chatSession,
+      sessionId,
+      content: HANDOFF_NOTICE,
+      metadata: { handoff: handoffState(chatSession) },
+    });
+  }
+
+  const storeData = await getStoreContext(admin, shop.shopDomain);
+  const knowledgeEntries = await searchKnowledgeBase(shop.id, { query: message, limit: 3 });
+
+  // Prior turns, trimmed to a token budget
+  const recentMessages = buildHistoryMessages(chatSession.messages || []);
+
+  const conversationHistory = [
+    {
+      role: 'system',
+      content: buildSystemPrompt({
+        botConfig,
+        storeData,
+        shopDomain: shop.shopDomain,
+        customerMemoryContext: buildCustomerMemoryContext(returningCustomer),
+        knowledgeContext: buildKnowledgeContext(knowledgeEntries),
+        cartContext: buildCartContext(chatSession.currentCart),
+        discountContext: buildDiscountContext(botConfig),
+        handoffContext: buildHandoffContext(chatSession),
+      }),
+    },
+    ...recentMessages,
+    { role: 'user', content: message },
+  ];
+
+  // Agentic loop: the model may call tools (several at once), sees their
+  // results and continues until it answers or the step limit is reached
+  const turnResults = [];
+  const toolContext = { admin, shop, chatSession, message, turnResults };
+  const maxToolSteps = botConfig.maxToolSteps ?? DEFAULT_MAX_TOOL_STEPS;
+  let assistantMessage = null;
+
+  for (let step = 0; step < maxToolSteps; step++) {
+    console.log(`🤖 Calling ${provider.name} (step ${step + 1})...`);
+    assistantMessage = await complete({
+      model: resolveModel(botConfig, 'chat'),
+      messages: conversationHistory,
+      temperature: botConfig.temperature,
+      max_tokens: botConfig.maxTokens,
+      tools: chatTools.definitions(toolContext),
+    });
+
+    console.log("🤖 AI Response:", assistantMessage.content || "(tool-call only)");
+    console.log("🔧 Tool calls:", assistantMessage.tool_calls?.length || 0);
+
+    if (!assistantMessage.tool_calls?.length) break;
+
+    conversationHistory.push(assistantMessage);
+    conversationHistory.push(...await runToolCalls(assistantMessage.tool_calls, toolContext, turnResults));
+    assistantMessage = null;
+  }
+
+  if (!assistantMessage) {
+    // Step limit reached mid tool use: answer with what has been gathered
+    console.log(`🤖 Tool step limit reached, calling ${provider.name} for final reply...`);
+    assistantMessage = await complete({
+      model: resolveModel(botConfig, 'followUp'),
+      messages: conversationHistory,
+      temperature: botConfig.temperature,
+      max_tokens: botConfig.maxTokens,
+    });
+  }
+
+  const citations = assistantMessage.content
+    ? buildCitations({ turnResults, knowledgeEntries, shopDomain: shop.shopDomain })
+    : [];
+  let functionResults = buildTurnMetadata(turnResults, citations);
+
+  // Several unhelpful turns in a row escalate to a person
+  let replyContent = assistantMessage.content ?? '';
+  const failed = isFailedTurn({ message, previousUserMessage, turnResults });
+  if (await recordTurnOutcome(chatSession, failed) && !isHandoffActive(chatSession) && !functionResults?.handoff) {
+    chatSession = await requestHandoff(chatSession, 'repeated_failures');
+    replyContent = `${replyContent}\n\n${HANDOFF_NOTICE}`.trim();
+  }
+  if (isHandoffActive(chatSession)) {
+    functionResults = { ...functionResults, handoff: handoffState(chatSession) };
+  }
+
+  await prisma.chatMessage.create({
+    data: {
+      sessionId: chatSession.id,
+      role: 'assistant',
+      content: replyContent,
+      metadata: JSON.stringify(functionResults),
+    },
+  });
+
+  if (botConfig.enableConversationAnalytics) {
+    await recordTurnAnalytics({ shop, chatSession, message, functionResults });
+  }
+
+  return {
+    message: replyContent,
+    sessionId,
+    metadata: functionResults,
+  };
+}
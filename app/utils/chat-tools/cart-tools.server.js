@@ -0,0 +1,206 @@
+// Cart tools: view and change the shopper's storefront cart from chat
+//
+// The real cart lives in the shopper's browser (storefront AJAX Cart API), so
+// these tools don't change it directly. They read the mirrored cart on the
+// chat session and return a `cartAction` the widget carries out through the
+// storefront bridge, after which it mirrors the new cart back. Removals and
+// quantity decreases are marked `requiresConfirmation`; the widget asks the
+// shopper before applying them.
+
+import { parseCart } from "../cart.server";
+
+function toNumericId(id) {
+  return Number(String(id ?? '').split('/').pop()) || null;
+}
+
+function sessionCart(chatSession) {
+  return parseCart(chatSession?.currentCart);
+}
+
+// Cart line by line key or variant id (GID or numeric)
+function findLine(cart, { lineKey, variantId }) {
+  const lines = cart.lines || [];
+  if (lineKey) {
+    const line = lines.find(l => l.key === lineKey);
+    if (line) return line;
+  }
+  const numericId = toNumericId(variantId);
+  return numericId ? lines.find(l => l.variantId === numericId) : null;
+}
+
+function describeLine(line) {
+  return `${line.title}${line.variantTitle ? ` (${line.variantTitle})` : ''}`;
+}
+
+// Resolve the variant to add: an explicit variant id, or a product id plus an
+// optional variant title. Uses the Admin API to check availability when it
+// is available.
+async function resolveVariant(admin, { variantId, productId, variantTitle }) {
+  if (variantId && !admin) {
+    return { id: variantId, title: variantTitle || null, productTitle: null, available: true };
+  }
+
+  if (variantId) {
+    const response = await admin.graphql(`
+      query getVariant($id: ID!) {
+        productVariant(id: $id) { id title availableForSale product { title } }
+      }
+    `, { variables: { id: variantId } });
+    const variant = (await response.json()).data?.productVariant;
+    return variant && {
+      id: variant.id,
+      title: variant.title,
+      productTitle: variant.product?.title,
+      available: variant.availableForSale,
+    };
+  }
+
+  if (!productId || !admin) return null;
+
+  const response = await admin.graphql(`
+    query getProductVariants($id: ID!) {
+      product(id: $id) {
+        title
+        variants(first: 50) { edges { node { id title availableForSale } } }
+      }
+    }
+  `, { variables: { id: productId } });
+  const product = (await response.json()).data?.product;
+  if (!product) return null;
+
+  const variants = product.variants.edges.map(edge => edge.node);
+  const wanted = (variantTitle || '').toLowerCase();
+  const variant = (wanted && variants.find(v => v.title.toLowerCase().includes(wanted))) ||
+    (!wanted && (variants.find(v => v.availableForSale) || variants[0]));
+  return variant && {
+    id: variant.id,
+    title: variant.title,
+    productTitle: product.title,
+    available: variant.availableForSale,
+  };
+}
+
+export const viewCartTool = {
+  name: "view_cart",
+  description: "Show what is currently in the customer's cart (lines with key, variantId, title, quantity and price).",
+  parameters: { type: "object", properties: {}, required: [] },
+  async execute(_args, { chatSession }) {
+    const cart = sessionCart(chatSession);
+    if (!cart.lines) {
+      return { cart: null, note: "The cart has not been shared with the chat yet; assume it is empty unless the customer says otherwise." };
+    }
+    return { cart };
+  },
+};
+
+export const addToCartTool = {
+  name: "add_to_cart",
+  description: "Add a product to the customer's cart. Pass the variantId when known; otherwise the productId and, for products with options, the variant title (e.g. \"Strawberry\").",
+  parameters: {
+    type: "object",
+    properties: {
+      variantId: { type: "string" },
+      productId: { type: "string" },
+      variantTitle: { type: "string" },
+      quantity: { type: "number" },
+    },
+    required: [],
+  },
+  async execute(args, { admin }) {
+    if (args.quantity != null && !Number.isFinite(args.quantity)) {
+      return { error: "Quantity must be a number." };
+    }
+    const quantity = Math.max(1, Math.floor(args.quantity || 1));
+    const variant = await resolveVariant(admin, args);
+    if (!variant) {
+      return { error: "Could not find that product or variant. Search for the product first." };
+    }
+    if (!variant.available) {
+      return { error: `${variant.productTitle || 'That item'}${variant.title ? ` (${variant.title})` : ''} is sold out.` };
+    }
+
+    const title = [variant.productTitle, variant.title !== 'Default Title' ? variant.title : null].filter(Boolean).join(' - ');
+    return {
+      status: "adding",
+      cartAction: {
+        type: "add",
+        variantId: toNumericId(variant.id),
+        quantity,
+        title,
+        requiresConfirmation: false,
+      },
+    };
+  },
+};
+
+export const updateCartLineTool = {
+  name: "update_cart_line",
+  description: "Change the quantity of an item already in the cart (identify it by line key or variantId from view_cart). Quantity 0 removes it. Decreases need the customer's confirmation in the chat window.",
+  parameters: {
+    type: "object",
+    properties: {
+      lineKey: { type: "string" },
+      variantId: { type: "string" },
+      quantity: { type: "number" },
+    },
+    required: ["quantity"],
+  },
+  async execute(args, { chatSession }) {
+    if (!Number.isFinite(args.quantity)) {
+      return { error: "Quantity must be a number (0 removes the item)." };
+    }
+    const line = findLine(sessionCart(chatSession), args);
+    if (!line) {
+      return { error: "That item is not in the cart. Call view_cart to see the current lines." };
+    }
+
+    const quantity = Math.max(0, Math.floor(args.quantity));
+    const decreases = quantity < line.quantity;
+    return {
+      status: decreases ? "awaiting_confirmation" : "updating",
+      cartAction: {
+        type: quantity === 0 ? "remove" : "update",
+        lineKey: line.key,
+        variantId: line.variantId,
+        quantity,
+        previousQuantity: line.quantity,
+        title: describeLine(line),
+        requiresConfirmation: decreases,
+      },
+    };
+  },
+};
+
+export const removeFromCartTool = {
+  name: "remove_from_cart",
+  description: "Remove an item from the cart (identify it by line key or variantId from view_cart). The customer confirms the removal in the chat window.",
+  parameters: {
+    type: "object",
+    properties: {
+      lineKey: { type: "string" },
+      variantId: { type: "string" },
+    },
+    required: [],
+  },
+  async execute(args, { chatSession }) {
+    const line = findLine(sessionCart(chatSession), args);
+    if (!line) {
+      return { error: "That item is not in the cart. Call view_cart to see the current lines." };
+    }
+
+    return {
+      status: "awaiting_confirmation",
+      cartAction: {
+        type: "remove",
+        lineKey: line.key,
+        variantId: line.variantId,
+        quantity: 0,
+        previousQuantity: line.quantity,
+        title: describeLine(line),
+        requiresConfirmation: true,
+      },
+    };
+  },
+};
+
+export const cartTools = [viewCartTool, addToCartTool, updateCartLineTool, removeFromCartTool];
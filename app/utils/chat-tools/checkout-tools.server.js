@@ -0,0 +1,70 @@
+// Checkout tool: hand the shopper a ready checkout for their cart
+
+import { parseCart } from "../cart.server";
+import { buildCheckoutUrl, recordCheckoutLink } from "../checkout.server";
+
+// The mirrored cart plus items add_to_cart queued earlier in this turn, which
+// the widget has not applied (and mirrored back) yet
+function cartWithPendingAdds(cart, turnResults = []) {
+  const lines = (cart.lines || []).map(line => ({ ...line }));
+  turnResults
+    .map(({ result }) => result?.cartAction)
+    .filter(action => action?.type === "add")
+    .forEach(action => {
+      const line = lines.find(l => l.variantId === action.variantId);
+      if (line) line.quantity += action.quantity;
+      else lines.push({ variantId: action.variantId, quantity: action.quantity, title: action.title });
+    });
+
+  if (lines.length === (cart.lines || []).length && lines.every((line, i) => line.quantity === cart.lines[i].quantity)) {
+    return cart;
+  }
+  // The storefront prices the new lines; the mirrored total is stale now
+  return {
+    ...cart,
+    lines,
+    itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+    totalPrice: null,
+  };
+}
+
+export const createCheckoutLinkTool = {
+  name: "create_checkout_link",
+  description: "Create a checkout link for everything in the customer's cart, optionally with a discount code. Use it once the customer is ready to buy; the chat window shows a Checkout button, so never write the link in your reply.",
+  parameters: {
+    type: "object",
+    properties: {
+      discountCode: { type: "string", description: "Discount code to apply at checkout" },
+    },
+    required: [],
+  },
+  async execute(args, { shop, chatSession, turnResults }) {
+    const cart = cartWithPendingAdds(parseCart(chatSession.currentCart), turnResults);
+    const url = buildCheckoutUrl({
+      shopDomain: shop.shopDomain,
+      cart,
+      sessionId: chatSession.sessionId,
+      discountCode: args.discountCode?.trim() || null,
+    });
+    if (!url) {
+      return { error: "The cart is empty. Add products before checking out." };
+    }
+
+    await recordCheckoutLink(chatSession, url);
+    return {
+      status: "checkout_ready",
+      checkout: {
+        url,
+        itemCount: cart.itemCount,
+        totalPrice: cart.totalPrice,
+        currency: cart.currency,
+        discountCode: args.discountCode?.trim() || null,
+      },
+    };
+  },
+  // The model only needs to know the link exists
+  toModelContent(result) {
+    const { itemCount, discountCode } = result.checkout;
+    return { status: result.status, itemCount, discountCode };
+  },
+};
@@ -0,0 +1,38 @@
+// Comparison tool: side-by-side specs for two to four products
+
+import { compareProducts, MAX_COMPARED_PRODUCTS, MIN_COMPARED_PRODUCTS } from "../product-comparison.server";
+
+export const compareProductsTool = {
+  name: "compare_products",
+  description: "Compare two to four products side by side (price, options, availability and specs from descriptions and metafields). Pass product ids from earlier results or product names. The chat window shows a comparison table; reply with the key difference in one line.",
+  parameters: {
+    type: "object",
+    properties: {
+      products: {
+        type: "array",
+        items: { type: "string" },
+        minItems: MIN_COMPARED_PRODUCTS,
+        maxItems: MAX_COMPARED_PRODUCTS,
+        description: "Product ids (gid://shopify/Product/...) or names",
+      },
+    },
+    required: ["products"],
+  },
+  async execute(args, { admin, shop }) {
+    if (!admin) {
+      return { error: "Product comparisons are unavailable right now." };
+    }
+    return compareProducts(admin, shop.id, { products: args.products || [], botConfig: shop.botConfig });
+  },
+  // Rows keyed by product title read more easily than parallel arrays
+  toModelContent(result) {
+    const { products, rows } = result.comparison;
+    return {
+      products: products.map(p => p.title),
+      rows: rows.map(row => ({
+        label: row.label,
+        ...Object.fromEntries(products.map((p, i) => [p.title, row.values[i]])),
+      })),
+    };
+  },
+};
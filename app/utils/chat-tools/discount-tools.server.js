@@ -0,0 +1,29 @@
+// Discount tool: single-use "save the sale" codes within the merchant's rules
+
+import { DISCOUNT_TRIGGERS, issueChatDiscount, parseDiscountTriggers } from "../discounts.server";
+
+export const issueDiscountCodeTool = {
+  name: "issue_discount_code",
+  description: "Create a unique single-use discount code for this customer. Only call it in one of the situations listed under DISCOUNTS in your instructions, passing that trigger. Then share the code and offer to apply it at checkout.",
+  parameters: {
+    type: "object",
+    properties: {
+      trigger: {
+        type: "string",
+        enum: DISCOUNT_TRIGGERS.map(trigger => trigger.value),
+        description: "Why the customer qualifies",
+      },
+    },
+    required: ["trigger"],
+  },
+  isAvailable({ shop }) {
+    return Boolean(shop.botConfig?.discountEnabled) && parseDiscountTriggers(shop.botConfig.discountTriggers).length > 0;
+  },
+  async execute(args, { admin, shop, chatSession, message }) {
+    if (!admin) {
+      return { error: "Discount codes can't be created right now." };
+    }
+    const result = await issueChatDiscount(admin, { shop, chatSession, message, trigger: args.trigger });
+    return result.error ? result : { status: "issued", discount: result.discount };
+  },
+};
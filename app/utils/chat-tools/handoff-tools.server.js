@@ -0,0 +1,13 @@
+// Handoff tool: bring a person from the store's team into the chat
+
+import { handoffState, requestHandoff } from "../handoff.server";
+
+export const requestHumanAgentTool = {
+  name: "request_human_agent",
+  description: "Ask a member of the store's team to join this chat. Use it when the customer wants a person, or for problems you can't solve (damaged orders, refunds, complaints). Their reply appears in this chat.",
+  parameters: { type: "object", properties: {}, required: [] },
+  async execute(_args, { chatSession }) {
+    const updated = await requestHandoff(chatSession, "customer_request");
+    return { status: "agent_requested", handoff: handoffState(updated) };
+  },
+};
@@ -0,0 +1,24 @@
+// Tools available to the chat engine. Add a tool by listing it here (or by
+// calling `chatTools.register(tool)`); the engine needs no changes.
+
+import { createToolRegistry } from "./registry.server";
+import { recommendProductsTool, searchStoreContentTool } from "./store-content-tools.server";
+import { cartTools } from "./cart-tools.server";
+import { createCheckoutLinkTool } from "./checkout-tools.server";
+import { orderStatusTool } from "./order-tools.server";
+import { issueDiscountCodeTool } from "./discount-tools.server";
+import { estimateShippingTool } from "./shipping-tools.server";
+import { compareProductsTool } from "./comparison-tools.server";
+import { requestHumanAgentTool } from "./handoff-tools.server";
+
+export const chatTools = createToolRegistry([
+  searchStoreContentTool,
+  recommendProductsTool,
+  ...cartTools,
+  createCheckoutLinkTool,
+  orderStatusTool,
+  issueDiscountCodeTool,
+  estimateShippingTool,
+  compareProductsTool,
+  requestHumanAgentTool,
+]);
@@ -0,0 +1,43 @@
+// Order status tool: where-is-my-order answers for verified shoppers
+
+import prisma from "../../db.server";
+import { lookupOrderStatus } from "../order-status.server";
+
+export const orderStatusTool = {
+  name: "order_status",
+  description: "Look up the status, shipping and tracking of a customer's order. Needs the order number plus the email address or the zip/postal code used on the order; ask the customer for them first and never guess. The chat window shows the order as a card.",
+  parameters: {
+    type: "object",
+    properties: {
+      orderNumber: { type: "string", description: "Order number, e.g. \"#1001\"" },
+      email: { type: "string", description: "Email address used on the order" },
+      zip: { type: "string", description: "Shipping or billing zip/postal code of the order" },
+    },
+    required: ["orderNumber"],
+  },
+  async execute(args, { admin, shop, chatSession }) {
+    if (!admin) {
+      return { error: "Order lookups are unavailable right now. Suggest contacting the store." };
+    }
+
+    const result = await lookupOrderStatus(admin, {
+      shopId: shop.id,
+      sessionId: chatSession.sessionId,
+      orderNumber: args.orderNumber,
+      email: args.email,
+      zip: args.zip,
+    });
+    if (result.error) return result;
+
+    // An email that matched the order also lets returning-customer recognition
+    // use it. A zip match says nothing about the email the shopper typed.
+    if (result.matchedBy === "email" && !chatSession.customerEmail) {
+      await prisma.chatSession.update({
+        where: { id: chatSession.id },
+        data: { customerEmail: args.email.trim().toLowerCase() },
+      });
+    }
+
+    return { status: "verified", orderStatus: result.order };
+  },
+};
@@ -0,0 +1,71 @@
+// Tool registry for the chat engine's agentic loop
+//
+// A tool is a plain object:
+//   {
+//     name, description, parameters,        // OpenAI function-calling schema
+//     execute(args, context),                // -> result (also used for cards/metadata)
+//     toModelContent?(result),               // -> compact value sent back to the model
+//     isAvailable?(context),                 // -> false hides the tool for this turn
+//   }
+// `context` carries `{ admin, shop, chatSession, message, turnResults }` for the
+// current turn; `turnResults` holds the `{ name, result }` of earlier calls.
+
+function isAvailable(tool, context) {
+  return !tool.isAvailable || !context || tool.isAvailable(context);
+}
+
+export function createToolRegistry(initialTools = []) {
+  const tools = new Map();
+
+  const registry = {
+    register(tool) {
+      if (!tool?.name || typeof tool.execute !== "function") {
+        throw new Error("Chat tools need a name and an execute function");
+      }
+      tools.set(tool.name, tool);
+      return registry;
+    },
+
+    has(name) {
+      return tools.has(name);
+    },
+
+    // Tool list in the shape chat-completion requests expect, without tools
+    // that are unavailable in `context`
+    definitions(context) {
+      return [...tools.values()].filter(tool => isAvailable(tool, context)).map(tool => ({
+        type: "function",
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters || { type: "object", properties: {}, required: [] },
+        },
+      }));
+    },
+
+    // Run a tool call. Failures are returned as `{ error }` so the model can
+    // recover instead of the whole turn failing.
+    async execute(name, args, context) {
+      const tool = tools.get(name);
+      if (!tool || !isAvailable(tool, context)) {
+        return { error: `Unknown tool: ${name}` };
+      }
+      try {
+        return await tool.execute(args || {}, context);
+      } catch (error) {
+        console.error(`Error running chat tool ${name}:`, error);
+        return { error: `Tool ${name} failed` };
+      }
+    },
+
+    // Serialized tool result for the `tool` role message
+    toModelContent(name, result) {
+      const tool = tools.get(name);
+      const content = tool?.toModelContent && !result?.error ? tool.toModelContent(result) : result;
+      return JSON.stringify(content ?? null);
+    },
+  };
+
+  initialTools.forEach(tool => registry.register(tool));
+  return registry;
+}
@@ -0,0 +1,26 @@
+// Shipping tool: costs and delivery times to a destination country
+
+import { cartTotalAmount, parseCart } from "../cart.server";
+import { estimateShipping } from "../shipping.server";
+
+export const estimateShippingTool = {
+  name: "estimate_shipping",
+  description: "Shipping options, costs, delivery times and the free-shipping threshold for a destination country. Uses the customer's cart total when it is known. The chat window shows the options as a card.",
+  parameters: {
+    type: "object",
+    properties: {
+      country: { type: "string", description: "Destination country name or ISO code, e.g. \"Norway\" or \"NO\"" },
+      cartTotal: { type: "number", description: "Order subtotal to check rates against, if different from the cart" },
+    },
+    required: ["country"],
+  },
+  async execute(args, { admin, shop, chatSession }) {
+    const cart = parseCart(chatSession.currentCart);
+    // The mirrored cart total is in cents; rate conditions are in currency units
+    const cartTotal = args.cartTotal ?? (cart.lines?.length ? cartTotalAmount(cart) : null);
+
+    const estimate = await estimateShipping(admin, shop.id, { country: args.country, cartTotal });
+    if (estimate.error) return { error: estimate.error };
+    return { shipping: { ...estimate, cartTotal } };
+  },
+};
@@ -0,0 +1,98 @@
+// Product and store-content lookup tools
+
+import { recommendProducts, searchStoreContent } from "../store-content.server";
+import { searchKnowledgeBase } from "../knowledge-base.server";
+
+// Compact product list for the model; the full objects go to the widget cards
+function summarizeProducts(result) {
+  return {
+    total: result.total,
+    products: (result.products || []).map(p => ({
+      id: p.id,
+      title: p.title,
+      price: p.price,
+      available: p.available,
+      // Lets the model pick a variant for add_to_cart and answer stock questions
+      ...(p.variants?.length > 1
+        ? {
+            options: (p.options || []).map(o => `${o.name}: ${o.values.join(' / ')}`),
+            variants: p.variants.map(v => ({
+              id: v.id,
+              title: v.title,
+              price: v.price,
+              stock: v.stock || (v.available ? 'in_stock' : 'sold_out'),
+              ...(v.quantityLeft != null ? { quantityLeft: v.quantityLeft } : {}),
+            })),
+          }
+        : p.variants?.length === 1 ? { variantId: p.variants[0].id, stock: p.variants[0].stock } : {}),
+    })),
+  };
+}
+
+export const searchStoreContentTool = {
+  name: "search_store_content",
+  description: "Search the merchant's curated knowledge entries (shipping, returns, FAQ, ...) and the store's own content (products, articles, pages, collections) that has been scraped into the knowledge base. Curated entries come first and take precedence.",
+  parameters: {
+    type: "object",
+    properties: {
+      query: { type: "string" },
+      contentTypes: { type: "array", items: { type: "string", enum: ["product","article","collection","page"] } },
+      category: { type: "string", enum: ["general","products","shipping","returns","faq"], description: "Restrict curated knowledge entries to one category" },
+      limit: { type: "number" }
+    },
+    required: []
+  },
+  async execute(args, { admin, shop, message }) {
+    const [knowledge, results] = await Promise.all([
+      searchKnowledgeBase(shop.id, { query: args.query || message, category: args.category }),
+      searchStoreContent(shop.id, { ...args, botConfig: shop.botConfig }),
+    ]);
+    if (knowledge.length > 0) {
+      return { ...results, knowledge };
+    }
+    // If search found nothing, fall back to recommender to surface products for cards
+    if (!results || (results.items?.length || 0) === 0) {
+      const rec = await recommendProducts(admin, shop.id, { query: args.query || message, limit: 6, botConfig: shop.botConfig });
+      if (rec && rec.products && rec.products.length > 0) {
+        return rec;
+      }
+    }
+    return results;
+  },
+  toModelContent(result) {
+    if (result.products) return summarizeProducts(result);
+    return {
+      knowledge: (result.knowledge || []).map(entry => ({
+        title: entry.title,
+        category: entry.category,
+        content: entry.content.slice(0, 600),
+      })),
+      total: result.total,
+      items: (result.items || []).map(it => ({
+        title: it.title,
+        contentType: it.contentType,
+        // Best-matching passages of long articles/pages beat the excerpt
+        ...(it.passages
+          ? { passages: it.passages.map(p => ({ heading: p.heading, text: p.text.slice(0, 1200) })) }
+          : { excerpt: (it.excerpt || '').slice(0, 300) }),
+      })),
+    };
+  },
+};
+
+export const recommendProductsTool = {
+  name: "recommend_products",
+  description: "Choose the best-fit products for the customer's intent using store content. Not a keyword search. Return up to 6 recommendations with enriched details for cards.",
+  parameters: {
+    type: "object",
+    properties: {
+      query: { type: "string" },
+      limit: { type: "number" }
+    },
+    required: []
+  },
+  async execute(args, { admin, shop }) {
+    return recommendProducts(admin, shop.id, { ...args, botConfig: shop.botConfig });
+  },
+  toModelContent: summarizeProducts,
+};
@@ -0,0 +1,37 @@
+// Checkout links built from the session's mirrored cart
+// Uses Shopify cart permalinks (/cart/<variant>:<qty>,...), which open a
+// checkout prefilled with those lines and accept a discount code, cart
+// attributes (copied onto the order) and a `ref` for attribution.
+
+import prisma from "../db.server";
+
+export const CHECKOUT_UTM = {
+  utm_source: "shop-chatbot",
+  utm_medium: "chat",
+  utm_campaign: "chat-checkout",
+};
+
+// Order attribute carrying the chat session id, so orders can be traced back
+// to the conversation that produced them
+export const CHAT_SESSION_ATTRIBUTE = "chat_session_id";
+
+export function buildCheckoutUrl({ shopDomain, cart, sessionId, discountCode, utm = {} }) {
+  const lines = (cart?.lines || []).filter(line => line.variantId && line.quantity > 0);
+  if (lines.length === 0) return null;
+
+  const items = lines.map(line => `${line.variantId}:${line.quantity}`).join(',');
+  const params = new URLSearchParams({ ...CHECKOUT_UTM, ...utm });
+  if (discountCode) params.set("discount", discountCode);
+  params.set(`attributes[${CHAT_SESSION_ATTRIBUTE}]`, sessionId);
+  params.set("ref", "chat");
+
+  return `https://${shopDomain}/cart/${items}?${params.toString()}`;
+}
+
+// Record that a checkout link was handed out for this session
+export async function recordCheckoutLink(chatSession, checkoutUrl) {
+  await prisma.chatSession.update({
+    where: { id: chatSession.id },
+    data: { checkoutUrl, checkoutCreatedAt: new Date() },
+  });
+}
@@ -0,0 +1,135 @@
+// Split long article/page HTML into overlapping, heading-aware passages so
+// retrieval can return the part of a document that answers a question
+// instead of its first few hundred characters.
+
+import crypto from "node:crypto";
+import prisma from "../db.server";
+
+// Product descriptions are short enough to retrieve whole
+export const CHUNKED_CONTENT_TYPES = ['article', 'page'];
+
+const DEFAULT_MAX_CHARS = 1200;
+const DEFAULT_OVERLAP_CHARS = 200;
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ' };
+
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|ul|ol|table|tr|blockquote|section)>/gi, '\n\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => ENTITIES[entity])
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Sections of `{ heading, text }`, split on <h1>–<h6>. Text before the first
+// heading becomes a section without a heading.
+function splitSections(html) {
+  const sections = [];
+  const headingPattern = /<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/gi;
+  let heading = null;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = headingPattern.exec(html)) !== null) {
+    sections.push({ heading, text: htmlToText(html.slice(lastIndex, match.index)) });
+    heading = htmlToText(match[1]) || null;
+    lastIndex = headingPattern.lastIndex;
+  }
+  sections.push({ heading, text: htmlToText(html.slice(lastIndex)) });
+
+  return sections.filter(section => section.text);
+}
+
+// Break text that is too long for one chunk at sentence, then word, boundaries
+function splitLongText(text, maxChars) {
+  const pieces = [];
+  let rest = text;
+  while (rest.length > maxChars) {
+    const window = rest.slice(0, maxChars);
+    const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('? '), window.lastIndexOf('! '));
+    const cut = sentenceEnd > maxChars / 2 ? sentenceEnd + 1 : (window.lastIndexOf(' ') > 0 ? window.lastIndexOf(' ') : maxChars);
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) pieces.push(rest);
+  return pieces;
+}
+
+// Tail of a chunk carried into the next one, starting on a word boundary
+function overlapTail(text, overlapChars) {
+  if (overlapChars <= 0 || text.length <= overlapChars) return '';
+  const tail = text.slice(-overlapChars);
+  const firstSpace = tail.indexOf(' ');
+  return firstSpace >= 0 ? tail.slice(firstSpace + 1) : tail;
+}
+
+// Passages of at most ~maxChars, each within one heading section. Consecutive
+// passages of a section share `overlapChars` of text so an answer spanning a
+// boundary is still found whole in one of them.
+export function chunkContent(html, { maxChars = DEFAULT_MAX_CHARS, overlapChars = DEFAULT_OVERLAP_CHARS } = {}) {
+  const chunks = [];
+
+  for (const section of splitSections(html || '')) {
+    const paragraphs = section.text
+      .split(/\n{2,}/)
+      .flatMap(paragraph => splitLongText(paragraph.trim(), maxChars - overlapChars))
+      .filter(Boolean);
+
+    let current = '';
+    for (const paragraph of paragraphs) {
+      if (current && current.length + paragraph.length + 2 > maxChars) {
+        chunks.push({ heading: section.heading, text: current });
+        const tail = overlapTail(current, overlapChars);
+        current = tail ? `${tail}\n\n${paragraph}` : paragraph;
+      } else {
+        current = current ? `${current}\n\n${paragraph}` : paragraph;
+      }
+    }
+    if (current) chunks.push({ heading: section.heading, text: current });
+  }
+
+  return chunks.map((chunk, position) => ({ ...chunk, position }));
+}
+
+// Re-chunk the shop's articles and pages whose content changed since they
+// were last chunked. New chunks have no vector until the next embeddings
+// refresh. Called after scrapes.
+export async function refreshContentChunks(shopId) {
+  try {
+    const contents = await prisma.shopContent.findMany({
+      where: { shopId, contentType: { in: CHUNKED_CONTENT_TYPES } },
+      select: {
+        id: true,
+        content: true,
+        chunks: { select: { sourceHash: true }, take: 1 },
+      },
+    });
+
+    let rechunked = 0;
+    for (const content of contents) {
+      const sourceHash = crypto.createHash('sha1').update(content.content || '').digest('hex');
+      if (content.chunks[0]?.sourceHash === sourceHash) continue;
+
+      const chunks = chunkContent(content.content);
+      await prisma.$transaction([
+        prisma.contentChunk.deleteMany({ where: { contentId: content.id } }),
+        prisma.contentChunk.createMany({
+          data: chunks.map(chunk => ({ ...chunk, shopId, contentId: content.id, sourceHash })),
+        }),
+      ]);
+      rechunked += 1;
+    }
+
+    console.log(`✂️ Re-chunked ${rechunked} of ${contents.length} articles/pages`);
+    return { rechunked };
+  } catch (error) {
+    console.error('Error refreshing content chunks:', error);
+    return { rechunked: 0, error: error.message };
+  }
+}
@@ -0,0 +1,154 @@
+// Ranked full-text search over ShopContent and its passages (ContentChunk)
+// Backed by the SQLite FTS5 tables "shop_content_fts" and "content_chunks_fts",
+// which triggers keep in sync with every insert, upsert and delete (see the
+// add_shop_content_fts and add_content_chunks migrations). Prisma does not
+// model virtual tables, so this module talks raw SQL.
+
+import { Prisma } from "@prisma/client";
+import prisma from "../db.server";
+
+// BM25 weights per indexed column: title, searchableContent, keywords, tags.
+// bm25() takes a weight for every column, so queries pass 0.0 first for the
+// UNINDEXED id column.
+const FIELD_BOOSTS = { title: 10.0, searchableContent: 1.0, keywords: 5.0, tags: 3.0 };
+// BM25 weights for passages: heading, text
+const CHUNK_FIELD_BOOSTS = { heading: 3.0, text: 1.0 };
+
+// Single characters match too much to be useful search terms
+const MIN_TERM_LENGTH = 2;
+
+function quoteTerm(term) {
+  return `"${term.replace(/"/g, '""')}"`;
+}
+
+// Turn free text into an FTS5 MATCH expression. "Quoted phrases" are kept as
+// phrases, other words become prefix terms ("choc" finds "chocolate"). Terms
+// are OR-ed so partial matches still rank, with BM25 putting documents that
+// match more (and rarer) terms first. Returns null when nothing is searchable.
+export function buildMatchExpression(text) {
+  const input = (text || '').trim();
+  if (!input) return null;
+
+  const clauses = [];
+  const phrases = [...input.matchAll(/"([^"]+)"/g)].map(m => m[1]);
+  const rest = input.replace(/"[^"]*"/g, ' ');
+
+  phrases.forEach(phrase => {
+    const words = phrase.toLowerCase().match(/[\p{L}\p{N}]+/gu);
+    if (words) clauses.push(quoteTerm(words.join(' ')));
+  });
+
+  const words = (rest.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(word => word.length >= MIN_TERM_LENGTH);
+  // A multi-word query also matches as an exact phrase, which ranks highest
+  if (phrases.length === 0 && words.length > 1) {
+    clauses.push(quoteTerm(words.join(' ')));
+  }
+  [...new Set(words)].forEach(word => clauses.push(`${quoteTerm(word)}*`));
+
+  return clauses.length > 0 ? clauses.join(' OR ') : null;
+}
+
+function buildFilters(shopId, contentTypes) {
+  const filters = [
+    Prisma.sql`c."shopId" = ${shopId}`,
+    Prisma.sql`c."isActive" = 1`,
+  ];
+  if (contentTypes && contentTypes.length > 0) {
+    filters.push(Prisma.sql`c."contentType" IN (${Prisma.join(contentTypes)})`);
+  }
+  return Prisma.join(filters, ' AND ');
+}
+
+// Ids of the shop's active content matching `query`, best match first, with
+// the total number of matches. Returns null when the query has no searchable
+// terms so callers can fall back to unranked listing.
+export async function searchContentIndex(shopId, { query, contentTypes = [], limit = 5 }) {
+  const match = buildMatchExpression(query);
+  if (!match) return null;
+
+  const filters = buildFilters(shopId, contentTypes);
+  const { title, searchableContent, keywords, tags } = FIELD_BOOSTS;
+
+  const [rows, counts] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT f."contentId" AS id,
+             bm25("shop_content_fts", 0.0, ${title}, ${searchableContent}, ${keywords}, ${tags}) AS score
+      FROM "shop_content_fts" f
+      JOIN "shop_content" c ON c."id" = f."contentId"
+      WHERE "shop_content_fts" MATCH ${match} AND ${filters}
+      ORDER BY score
+      LIMIT ${limit}
+    `,
+    prisma.$queryRaw`
+      SELECT COUNT(*) AS total
+      FROM "shop_content_fts" f
+      JOIN "shop_content" c ON c."id" = f."contentId"
+      WHERE "shop_content_fts" MATCH ${match} AND ${filters}
+    `,
+  ]);
+
+  return {
+    // bm25() is lower-is-better; flip it so callers see higher-is-better
+    hits: rows.map(row => ({ id: row.id, score: -Number(row.score) })),
+    total: Number(counts[0]?.total || 0),
+  };
+}
+
+// Ids of passages of the shop's active content matching `query`, best first.
+// Same contract as searchContentIndex; contentTypes filter on the parent.
+export async function searchChunkIndex(shopId, { query, contentTypes = [], limit = 5 }) {
+  const match = buildMatchExpression(query);
+  if (!match) return null;
+
+  const filters = buildFilters(shopId, contentTypes);
+  const { heading, text } = CHUNK_FIELD_BOOSTS;
+
+  const [rows, counts] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT f."chunkId" AS id,
+             bm25("content_chunks_fts", 0.0, ${heading}, ${text}) AS score
+      FROM "content_chunks_fts" f
+      JOIN "content_chunks" k ON k."id" = f."chunkId"
+      JOIN "shop_content" c ON c."id" = k."contentId"
+      WHERE "content_chunks_fts" MATCH ${match} AND ${filters}
+      ORDER BY score
+      LIMIT ${limit}
+    `,
+    prisma.$queryRaw`
+      SELECT COUNT(*) AS total
+      FROM "content_chunks_fts" f
+      JOIN "content_chunks" k ON k."id" = f."chunkId"
+      JOIN "shop_content" c ON c."id" = k."contentId"
+      WHERE "content_chunks_fts" MATCH ${match} AND ${filters}
+    `,
+  ]);
+
+  return {
+    hits: rows.map(row => ({ id: row.id, score: -Number(row.score) })),
+    total: Number(counts[0]?.total || 0),
+  };
+}
+
+// Load ShopContent rows for ranked hits, keeping the ranking order
+export async function loadRankedContent(hits, select) {
+  if (hits.length === 0) return [];
+
+  const rows = await prisma.shopContent.findMany({
+    where: { id: { in: hits.map(hit => hit.id) } },
+    ...(select ? { select: { ...select, id: true } } : {}),
+  });
+  const byId = new Map(rows.map(row => [row.id, row]));
+  return hits.map(hit => byId.get(hit.id)).filter(Boolean);
+}
+
+// Load passages for ranked chunk hits, keeping the ranking order
+export async function loadRankedPassages(hits) {
+  if (hits.length === 0) return [];
+
+  const chunks = await prisma.contentChunk.findMany({
+    where: { id: { in: hits.map(hit => hit.id) } },
+    select: { id: true, contentId: true, position: true, heading: true, text: true },
+  });
+  const byId = new Map(chunks.map(chunk => [chunk.id, chunk]));
+  return hits.map(hit => byId.get(hit.id)).filter(Boolean);
+}
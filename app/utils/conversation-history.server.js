@@ -0,0 +1,76 @@
+// Conversation memory for the chat engine
+// Turns stored ChatMessage rows back into prompt messages, newest first, until a
+// token budget is spent.
+
+// Default budget for prior turns; leaves room for the system prompt, tool
+// results and the reply within a small model context.
+export const HISTORY_TOKEN_BUDGET = 1500;
+
+// Rough token estimate (~4 characters per token for English text). Good enough
+// for budgeting without shipping a tokenizer.
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function parseMetadata(metadata) {
+  if (!metadata) return null;
+  try {
+    return JSON.parse(metadata);
+  } catch (_) {
+    return null;
+  }
+}
+
+const TRANSCRIPT_ROLES = ['user', 'assistant', 'agent'];
+
+// Product cards are not part of the reply text, so note which products were
+// shown to keep follow-ups like "the chocolate one" resolvable. Staff replies
+// from the Inbox become labelled assistant turns, so the bot knows what a
+// person already told the customer when it takes over again.
+function toPromptMessage(msg) {
+  let content = msg.content || '';
+  if (msg.role === 'agent') {
+    const agentName = parseMetadata(msg.metadata)?.agentName || 'Store staff';
+    return { role: 'assistant', content: `[${agentName}, store staff] ${content}` };
+  }
+  if (msg.role === 'assistant') {
+    const products = parseMetadata(msg.metadata)?.products || [];
+    if (products.length > 0) {
+      content = `${content}\n[Products shown: ${products.map(p => p.title).join(', ')}]`.trim();
+    }
+  }
+  return { role: msg.role, content };
+}
+
+// Keep the most recent turns that fit in `tokenBudget`, in chronological order
+export function buildHistoryMessages(messages, { tokenBudget = HISTORY_TOKEN_BUDGET } = {}) {
+  const history = [];
+  let used = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const msg = messages[i];
+    if (!TRANSCRIPT_ROLES.includes(msg.role)) continue;
+
+    const promptMessage = toPromptMessage(msg);
+    const cost = estimateTokens(promptMessage.content) + 4; // per-message overhead
+    if (used + cost > tokenBudget) break;
+
+    used += cost;
+    history.unshift(promptMessage);
+  }
+
+  return history;
+}
+
+// Shape stored messages for the widget when a session is resumed
+export function toTranscriptMessages(messages) {
+  return messages
+    .filter(msg => TRANSCRIPT_ROLES.includes(msg.role))
+    .map(msg => ({
+      id: msg.id,
+      role: msg.role,
+      content: msg.content,
+      metadata: parseMetadata(msg.metadata),
+      timestamp: msg.timestamp,
+    }));
+}
@@ -0,0 +1,262 @@
+// Conversation browsing for the admin Conversations page
+// Sessions are filtered and paginated in the database. Text search runs on the
+// "chat_messages_fts" FTS5 table (see the add_conversation_search migration),
+// which Prisma does not model, so that part is raw SQL.
+
+import { Prisma } from "@prisma/client";
+import prisma from "../db.server";
+import { buildMatchExpression } from "./content-search.server";
+
+export const CONVERSATIONS_PAGE_SIZE = 25;
+// Sessions considered for one text search, best matches first. Searches with
+// more matches are reported as truncated.
+const MAX_SEARCH_SESSIONS = 1000;
+
+export const OUTCOME_OPTIONS = [
+  { value: "purchase", label: "Purchase" },
+  { value: "abandoned", label: "Abandoned" },
+  { value: "info_only", label: "Info only" },
+  { value: "pending", label: "Pending" },
+];
+
+function parseDate(value, endOfDay = false) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return null;
+  const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Filters from the page's query string; unknown values are dropped
+export function parseConversationFilters(searchParams) {
+  const outcome = searchParams.get("outcome");
+  const returning = searchParams.get("returning");
+  return {
+    query: (searchParams.get("q") || '').trim(),
+    from: searchParams.get("from") || '',
+    to: searchParams.get("to") || '',
+    outcome: OUTCOME_OPTIONS.some(option => option.value === outcome) ? outcome : '',
+    returning: returning === "yes" || returning === "no" ? returning : '',
+    product: searchParams.get("product") || '',
+    page: Math.max(1, parseInt(searchParams.get("page")) || 1),
+  };
+}
+
+function buildWhere(shopId, filters) {
+  const where = { shopId };
+
+  const from = parseDate(filters.from);
+  const to = parseDate(filters.to, true);
+  if (from || to) {
+    where.createdAt = { ...(from ? { gte: from } : {}), ...(to ? { lte: to } : {}) };
+  }
+
+  if (filters.outcome === "pending") {
+    // Sessions analytics never ran for count as pending too
+    where.OR = [{ analytics: { is: null } }, { analytics: { is: { outcome: "pending" } } }];
+  } else if (filters.outcome) {
+    where.analytics = { is: { outcome: filters.outcome } };
+  }
+
+  if (filters.returning) {
+    where.isReturning = filters.returning === "yes";
+  }
+
+  if (filters.product) {
+    // Product cards are stored in message metadata; the quotes keep
+    // "Product/12" from matching "Product/123"
+    where.messages = { some: { role: "assistant", metadata: { contains: JSON.stringify(filters.product) } } };
+  }
+
+  return where;
+}
+
+// `{ ids, truncated }`: ChatSession ids with a message matching `query`, best
+// match first and at most MAX_SEARCH_SESSIONS of them, or null when the query
+// has no searchable terms. The hidden "rank" column is bm25(); unlike the
+// function it can be aggregated.
+async function searchSessionIds(shopId, query) {
+  const match = buildMatchExpression(query);
+  if (!match) return null;
+
+  const rows = await prisma.$queryRaw`
+    SELECT m."sessionId" AS id, MIN(f."rank") AS score
+    FROM "chat_messages_fts" f
+    JOIN "chat_messages" m ON m."id" = f."messageId"
+    JOIN "chat_sessions" s ON s."id" = m."sessionId"
+    WHERE "chat_messages_fts" MATCH ${match} AND s."shopId" = ${shopId}
+    GROUP BY m."sessionId"
+    ORDER BY score
+    LIMIT ${MAX_SEARCH_SESSIONS + 1}
+  `;
+  return {
+    ids: rows.slice(0, MAX_SEARCH_SESSIONS).map(row => row.id),
+    truncated: rows.length > MAX_SEARCH_SESSIONS,
+  };
+}
+
+// Best matching message of each session, with the match marked by [[ ]]
+async function searchSnippets(sessionIds, query) {
+  const match = buildMatchExpression(query);
+  if (!match || sessionIds.length === 0) return {};
+
+  const rows = await prisma.$queryRaw`
+    SELECT m."sessionId" AS id,
+           snippet("chat_messages_fts", 1, '[[', ']]', '…', 16) AS snippet,
+           bm25("chat_messages_fts") AS score
+    FROM "chat_messages_fts" f
+    JOIN "chat_messages" m ON m."id" = f."messageId"
+    WHERE "chat_messages_fts" MATCH ${match} AND m."sessionId" IN (${Prisma.join(sessionIds)})
+    ORDER BY score
+  `;
+
+  const snippets = {};
+  rows.forEach(row => {
+    if (!snippets[row.id]) snippets[row.id] = row.snippet;
+  });
+  return snippets;
+}
+
+function summarizeSession(chatSession, snippet) {
+  return {
+    id: chatSession.id,
+    sessionId: chatSession.sessionId,
+    createdAt: chatSession.createdAt,
+    updatedAt: chatSession.updatedAt,
+    customerEmail: chatSession.customerEmail,
+    isReturning: chatSession.isReturning,
+    handoffStatus: chatSession.handoffStatus,
+    outcome: chatSession.analytics?.outcome || "pending",
+    messageCount: chatSession._count.messages,
+    firstMessage: chatSession.messages[0]?.content || '',
+    snippet: snippet || null,
+  };
+}
+
+const SESSION_LIST_INCLUDE = {
+  analytics: { select: { outcome: true } },
+  messages: { where: { role: "user" }, orderBy: { timestamp: "asc" }, take: 1, select: { content: true } },
+  _count: { select: { messages: true } },
+};
+
+// One page of the shop's conversations, newest first (or best match first
+// when searching). Returns `{ conversations, total, page, pageCount, truncated }`;
+// `truncated` means the search matched more sessions than were considered.
+export async function listConversations(shopId, filters) {
+  const where = buildWhere(shopId, filters);
+  const skip = (filters.page - 1) * CONVERSATIONS_PAGE_SIZE;
+
+  const search = filters.query ? await searchSessionIds(shopId, filters.query) : null;
+  const rankedIds = search?.ids;
+
+  let total;
+  let sessions;
+  if (rankedIds) {
+    // Apply the other filters to the matches, then page in ranking order
+    const matching = await prisma.chatSession.findMany({
+      where: { ...where, id: { in: rankedIds } },
+      select: { id: true },
+    });
+    const matchingIds = new Set(matching.map(row => row.id));
+    const pageIds = rankedIds.filter(id => matchingIds.has(id)).slice(skip, skip + CONVERSATIONS_PAGE_SIZE);
+
+    total = matchingIds.size;
+    const rows = await prisma.chatSession.findMany({
+      where: { id: { in: pageIds } },
+      include: SESSION_LIST_INCLUDE,
+    });
+    sessions = pageIds.map(id => rows.find(row => row.id === id));
+  } else {
+    [total, sessions] = await Promise.all([
+      prisma.chatSession.count({ where }),
+      prisma.chatSession.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip,
+        take: CONVERSATIONS_PAGE_SIZE,
+        include: SESSION_LIST_INCLUDE,
+      }),
+    ]);
+  }
+
+  const snippets = rankedIds ? await searchSnippets(sessions.map(s => s.id), filters.query) : {};
+
+  return {
+    conversations: sessions.map(chatSession => summarizeSession(chatSession, snippets[chatSession.id])),
+    total,
+    page: filters.page,
+    pageCount: Math.max(1, Math.ceil(total / CONVERSATIONS_PAGE_SIZE)),
+    truncated: Boolean(search?.truncated),
+  };
+}
+
+// Products shown in the shop's chats, most recommended first, for the filter
+export async function listRecommendedProducts(shopId) {
+  const products = await prisma.productAnalytics.findMany({
+    where: { shopId, timesRecommended: { gt: 0 } },
+    orderBy: { timesRecommended: "desc" },
+    take: 50,
+    select: { productId: true, productTitle: true },
+  });
+  return products.map(product => ({ value: product.productId, label: product.productTitle }));
+}
+
+function parseMetadata(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return null;
+  }
+}
+
+// A session with its full transcript and analytics, or null when it isn't
+// one of the shop's
+export async function getConversation(shopId, id) {
+  const chatSession = await prisma.chatSession.findFirst({
+    where: { id, shopId },
+    include: {
+      messages: { orderBy: { timestamp: "asc" } },
+      analytics: true,
+    },
+  });
+  if (!chatSession) return null;
+
+  return {
+    id: chatSession.id,
+    sessionId: chatSession.sessionId,
+    createdAt: chatSession.createdAt,
+    updatedAt: chatSession.updatedAt,
+    expiresAt: chatSession.expiresAt,
+    language: chatSession.language,
+    customerEmail: chatSession.customerEmail,
+    isReturning: chatSession.isReturning,
+    handoffStatus: chatSession.handoffStatus,
+    handoffReason: chatSession.handoffReason,
+    cart: parseMetadata(chatSession.currentCart),
+    analytics: chatSession.analytics && {
+      outcome: chatSession.analytics.outcome,
+      messageCount: chatSession.analytics.messageCount,
+      customerSatisfaction: chatSession.analytics.customerSatisfaction,
+      conversionValue: chatSession.analytics.conversionValue,
+    },
+    messages: chatSession.messages.map(message => ({
+      id: message.id,
+      role: message.role,
+      content: message.content,
+      timestamp: message.timestamp,
+      metadata: parseMetadata(message.metadata),
+    })),
+  };
+}
+
+// Dashboard counters, counted in the database
+export async function getConversationStats(shopId) {
+  const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+  const [totalSessions, totalMessages, activeToday] = await Promise.all([
+    prisma.chatSession.count({ where: { shopId, createdAt: { gte: weekAgo } } }),
+    prisma.chatMessage.count({ where: { session: { shopId, createdAt: { gte: weekAgo } } } }),
+    prisma.chatSession.count({ where: { shopId, createdAt: { gte: dayAgo } } }),
+  ]);
+  return { totalSessions, totalMessages, activeToday };
+}
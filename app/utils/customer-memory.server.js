@@ -0,0 +1,145 @@
+// Returning-customer recognition for the chat engine
+// Recognizes a shopper by an email verified in the current conversation (an
+// order lookup that matched on email) and pulls their Shopify order history.
+// Browser fingerprints come from the client and are never used to recall
+// personal data.
+
+import prisma from "../db.server";
+
+export async function getCustomerOrderHistory(admin, email) {
+  if (!admin || !email) return null;
+  
+  try {
+    const response = await admin.graphql(`
+      query getCustomerOrders($email: String!) {
+        customers(first: 1, query: $email) {
+          edges {
+            node {
+              id
+              firstName
+              lastName
+              email
+              orders(first: 10, sortKey: CREATED_AT, reverse: true) {
+                edges {
+                  node {
+                    id
+                    name
+                    createdAt
+                    totalPrice
+                    lineItems(first: 20) {
+                      edges {
+                        node {
+                          title
+                          quantity
+                          variant {
+                            title
+                            product {
+                              title
+                              productType
+                            }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    `, {
+      variables: { email: `email:${email}` }
+    });
+
+    const data = await response.json();
+    const customer = data.data?.customers?.edges[0]?.node;
+    
+    if (!customer) return null;
+
+    const orders = customer.orders.edges.map(edge => ({
+      id: edge.node.id,
+      name: edge.node.name,
+      createdAt: edge.node.createdAt,
+      totalPrice: edge.node.totalPrice,
+      items: edge.node.lineItems.edges.map(item => ({
+        title: item.node.title,
+        quantity: item.node.quantity,
+        variant: item.node.variant?.title,
+        product: item.node.variant?.product?.title,
+        productType: item.node.variant?.product?.productType,
+      })),
+    }));
+
+    return {
+      customer: {
+        name: `${customer.firstName} ${customer.lastName}`.trim(),
+        email: customer.email,
+      },
+      orders,
+      totalOrders: orders.length,
+      lastOrderDate: orders[0]?.createdAt,
+      favoriteProducts: getFavoriteProducts(orders),
+    };
+  } catch (error) {
+    console.error("Error fetching customer orders:", error);
+    return null;
+  }
+}
+
+function getFavoriteProducts(orders) {
+  const productCounts = {};
+  
+  orders.forEach(order => {
+    order.items.forEach(item => {
+      const key = item.product;
+      productCounts[key] = (productCounts[key] || 0) + item.quantity;
+    });
+  });
+
+  return Object.entries(productCounts)
+    .sort(([,a], [,b]) => b - a)
+    .slice(0, 3)
+    .map(([product, count]) => ({ product, count }));
+}
+
+// Earlier chats and order history for a verified email, or null when the
+// shop knows nothing about it. `excludeSessionId` is the current ChatSession.
+export async function findReturningCustomer(admin, shopId, { email, excludeSessionId }) {
+  if (!email) return null;
+
+  try {
+    // Look for previous sessions with the same verified email
+    const previousSessions = await prisma.chatSession.findMany({
+      where: {
+        shopId,
+        customerEmail: email,
+        id: { not: excludeSessionId },
+      },
+      orderBy: { createdAt: 'desc' },
+      take: 1,
+      include: {
+        messages: {
+          orderBy: { timestamp: 'desc' },
+          take: 5,
+        }
+      }
+    });
+
+    const lastSession = previousSessions[0];
+    
+    // Get order history for this customer
+    const orderHistory = await getCustomerOrderHistory(admin, email);
+    if (!lastSession && !orderHistory) return null;
+    
+    return {
+      email,
+      lastVisit: lastSession?.createdAt || null,
+      recentMessages: lastSession?.messages || [],
+      orderHistory,
+    };
+  } catch (error) {
+    console.error("Error finding returning customer:", error);
+    return null;
+  }
+}
@@ -0,0 +1,230 @@
+// "Save the sale" discount codes issued from chat
+// The merchant sets the rules on BotConfig (percentage, codes per conversation,
+// expiry, minimum cart, eligible triggers, daily budget). Within them the bot
+// creates a unique single-use code through the Admin API. Every code is logged
+// in DiscountIssuance, which is also what the limits are counted from.
+
+import crypto from "node:crypto";
+import prisma from "../db.server";
+import { cartTotalAmount, parseCart } from "./cart.server";
+
+// Shopper wording that counts as a price objection
+const PRICE_OBJECTION_PATTERNS = [
+  /\btoo\s+(expensive|pricey|costly|much)\b/i,
+  /\b(so|very|really|bit|little)\s+(expensive|pricey|costly)\b/i,
+  /\b(can'?t|cannot|couldn'?t)\s+afford\b/i,
+  /\b(out of|over|above)\s+(my\s+)?budget\b/i,
+  /\b(cheaper|lower price|better price|better deal|price is high|prices are high|overpriced)\b/i,
+];
+
+// Whether this browser has chatted with the shop before. The fingerprint is
+// reported by the widget, so this tells ordinary repeat visitors apart; the
+// daily budget is what bounds a visitor who fakes it.
+async function hasEarlierVisit({ chatSession }) {
+  if (!chatSession.customerFingerprint) return true;
+  const earlierSession = await prisma.chatSession.findFirst({
+    where: {
+      shopId: chatSession.shopId,
+      customerFingerprint: chatSession.customerFingerprint,
+      id: { not: chatSession.id },
+    },
+    select: { id: true },
+  });
+  return Boolean(earlierSession);
+}
+
+// Situations a merchant can allow a code for. `check` requires a signal the
+// server can see: no earlier visit or order, items in the cart, or price
+// wording in the shopper's own messages. Whether the moment is right is the
+// model's judgement of the conversation.
+export const DISCOUNT_TRIGGERS = [
+  {
+    value: "first_time_visitor",
+    label: "First-time visitor",
+    description: "a first-time visitor is hesitating to buy",
+    // A verified email came from an order lookup, so they have bought before
+    check: async ({ chatSession }) =>
+      !chatSession.isReturning && !chatSession.customerEmail && !(await hasEarlierVisit({ chatSession })),
+  },
+  {
+    value: "cart_abandonment",
+    label: "Cart abandonment intent",
+    description: "the customer has items in the cart but is about to leave or decides not to buy",
+    check: ({ cart }) => (cart.lines || []).length > 0,
+  },
+  {
+    value: "price_objection",
+    label: "Price objection",
+    description: "the customer says the price is too high",
+    check: ({ chatSession, message }) => [
+      message,
+      ...(chatSession.messages || []).filter(m => m.role === 'user').map(m => m.content),
+    ].some(text => PRICE_OBJECTION_PATTERNS.some(pattern => pattern.test(text || ''))),
+  },
+];
+
+const CODE_PREFIX = "CHAT";
+// Unambiguous characters only (no 0/O, 1/I)
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+
+// Issuance is check-then-create; serialize it per shop so parallel tool calls
+// can't both pass the budget check
+const shopQueues = new Map();
+
+function withShopLock(shopId, task) {
+  const previous = shopQueues.get(shopId) || Promise.resolve();
+  const run = previous.catch(() => {}).then(task);
+  shopQueues.set(shopId, run);
+  const cleanup = () => {
+    if (shopQueues.get(shopId) === run) shopQueues.delete(shopId);
+  };
+  run.then(cleanup, cleanup);
+  return run;
+}
+
+export function parseDiscountTriggers(value) {
+  return (value || '')
+    .split(',')
+    .map(trigger => trigger.trim())
+    .filter(trigger => DISCOUNT_TRIGGERS.some(t => t.value === trigger));
+}
+
+function generateCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  const suffix = [...bytes].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `${CODE_PREFIX}-${suffix}`;
+}
+
+function startOfUtcDay(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+export async function countDiscountsIssuedToday(shopId) {
+  return prisma.discountIssuance.count({
+    where: { shopId, createdAt: { gte: startOfUtcDay() } },
+  });
+}
+
+// System prompt section describing when the bot may offer a code
+export function buildDiscountContext(botConfig) {
+  if (!botConfig?.discountEnabled) return '';
+
+  const triggers = DISCOUNT_TRIGGERS.filter(t => parseDiscountTriggers(botConfig.discountTriggers).includes(t.value));
+  if (triggers.length === 0) return '';
+
+  const minimum = botConfig.discountMinCartAmount > 0 ? ` on carts of at least ${botConfig.discountMinCartAmount}` : '';
+  return `
+
+DISCOUNTS:
+You may offer a one-time ${botConfig.discountPercentage}% discount${minimum}, only when:
+${triggers.map(t => `- ${t.value}: ${t.description}`).join('\n')}
+Call "issue_discount_code" with the matching trigger to create the code; never invent codes or promise one before it is issued. Don't offer discounts unprompted otherwise.`;
+}
+
+async function createShopifyDiscount(admin, { code, percentage, minCartAmount, endsAt, sessionId }) {
+  const response = await admin.graphql(`
+    mutation createChatDiscount($basicCodeDiscount: DiscountCodeBasicInput!) {
+      discountCodeBasicCreate(basicCodeDiscount: $basicCodeDiscount) {
+        codeDiscountNode { id }
+        userErrors { field message }
+      }
+    }
+  `, {
+    variables: {
+      basicCodeDiscount: {
+        title: `Chat ${percentage}% (${sessionId.slice(0, 8)})`,
+        code,
+        startsAt: new Date().toISOString(),
+        endsAt: endsAt.toISOString(),
+        usageLimit: 1,
+        appliesOncePerCustomer: true,
+        customerSelection: { all: true },
+        customerGets: {
+          value: { percentage: percentage / 100 },
+          items: { all: true },
+        },
+        ...(minCartAmount > 0
+          ? { minimumRequirement: { subtotal: { greaterThanOrEqualToSubtotal: minCartAmount.toFixed(2) } } }
+          : {}),
+      },
+    },
+  });
+
+  const data = (await response.json()).data?.discountCodeBasicCreate;
+  if (!data || data.userErrors?.length) {
+    throw new Error(data?.userErrors?.map(e => e.message).join('; ') || 'Discount creation failed');
+  }
+  return data.codeDiscountNode.id;
+}
+
+// Issue a code for `trigger` if the shop's rules allow it. `message` is the
+// shopper's current message. Returns `{ discount }` or `{ error }` with a
+// reason the bot can pass on.
+export async function issueChatDiscount(admin, { shop, chatSession, message, trigger }) {
+  const botConfig = shop.botConfig;
+  if (!botConfig?.discountEnabled) {
+    return { error: "Discounts are not offered in chat." };
+  }
+  if (!parseDiscountTriggers(botConfig.discountTriggers).includes(trigger)) {
+    return { error: `"${trigger}" is not an allowed reason for a discount.` };
+  }
+
+  const cart = parseCart(chatSession.currentCart);
+  const rule = DISCOUNT_TRIGGERS.find(t => t.value === trigger);
+  if (!(await rule.check({ chatSession, cart, message }))) {
+    return { error: `This conversation doesn't qualify for a ${rule.label.toLowerCase()} discount.` };
+  }
+  if (botConfig.discountMinCartAmount > 0) {
+    // Without a known cart total the minimum can't be checked, so no code
+    const total = cartTotalAmount(cart);
+    if (total === null || total < botConfig.discountMinCartAmount) {
+      return { error: `The cart must be at least ${botConfig.discountMinCartAmount} to qualify for a discount.` };
+    }
+  }
+
+  return withShopLock(shop.id, async () => {
+    const [sessionCount, todayCount] = await Promise.all([
+      prisma.discountIssuance.count({ where: { sessionId: chatSession.sessionId } }),
+      countDiscountsIssuedToday(shop.id),
+    ]);
+    if (sessionCount >= botConfig.discountMaxPerSession) {
+      return { error: "A discount code was already issued in this conversation." };
+    }
+    if (todayCount >= botConfig.discountDailyBudget) {
+      return { error: "No more discount codes can be issued today." };
+    }
+
+    const code = generateCode();
+    const endsAt = new Date(Date.now() + botConfig.discountExpiryHours * 60 * 60 * 1000);
+    const discountId = await createShopifyDiscount(admin, {
+      code,
+      percentage: botConfig.discountPercentage,
+      minCartAmount: botConfig.discountMinCartAmount,
+      endsAt,
+      sessionId: chatSession.sessionId,
+    });
+
+    await prisma.discountIssuance.create({
+      data: {
+        shopId: shop.id,
+        sessionId: chatSession.sessionId,
+        code,
+        discountId,
+        percentage: botConfig.discountPercentage,
+        trigger,
+        expiresAt: endsAt,
+      },
+    });
+
+    console.log(`🏷️ Issued discount ${code} (${trigger}) for session ${chatSession.sessionId}`);
+    return {
+      discount: {
+        code,
+        percentage: botConfig.discountPercentage,
+        minCartAmount: botConfig.discountMinCartAmount || null,
+        expiresAt: endsAt.toISOString(),
+      },
+    };
+  });
+}
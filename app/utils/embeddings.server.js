@@ -0,0 +1,227 @@
+// Embeddings for ShopContent and its passages: computed after each scrape,
+// searched by cosine similarity at chat time. Vectors are Float32 blobs tagged
+// with the model that produced them, in ContentEmbedding for whole items and
+// on ContentChunk rows for passages.
+
+import crypto from "node:crypto";
+import prisma from "../db.server";
+import { getEmbedder } from "./llm/index.server";
+
+const EMBEDDING_BATCH_SIZE = 64;
+// Roughly 2,000 tokens, inside every common embedding model's input limit
+const MAX_EMBEDDING_TEXT_LENGTH = 8000;
+// Vectors compared per similarity search, read this many at a time
+const MAX_VECTOR_CANDIDATES = 5000;
+const VECTOR_SCAN_BATCH_SIZE = 500;
+
+function embeddingText(content) {
+  return [content.title, content.excerpt, content.searchableContent]
+    .filter(Boolean)
+    .join('\n')
+    .slice(0, MAX_EMBEDDING_TEXT_LENGTH);
+}
+
+function contentHash(model, text) {
+  return crypto.createHash('sha1').update(`${model}\n${text}`).digest('hex');
+}
+
+function encodeVector(vector) {
+  return Buffer.from(new Float32Array(vector).buffer);
+}
+
+function decodeVector(bytes) {
+  // Copy into a fresh, 4-byte-aligned buffer before viewing it as floats
+  return new Float32Array(new Uint8Array(bytes).buffer);
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function chunkEmbeddingText(chunk) {
+  return [chunk.content.title, chunk.heading, chunk.text].filter(Boolean).join('\n');
+}
+
+function rankBySimilarity(queryVector, rows, { limit, minSimilarity }) {
+  return rows
+    .map(row => ({ id: row.id, similarity: cosineSimilarity(queryVector, decodeVector(row.vector)) }))
+    .filter(hit => hit.similarity >= minSimilarity)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+// Embed passages that have no vector from the current model yet
+async function refreshChunkEmbeddings(shopId, embedder) {
+  const chunks = await prisma.contentChunk.findMany({
+    where: {
+      shopId,
+      OR: [{ embeddingModel: null }, { embeddingModel: { not: embedder.model } }],
+    },
+    select: { id: true, heading: true, text: true, content: { select: { title: true } } },
+  });
+
+  for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE);
+    const vectors = await embedder.embed(batch.map(chunkEmbeddingText));
+
+    for (const [index, chunk] of batch.entries()) {
+      await prisma.contentChunk.update({
+        where: { id: chunk.id },
+        data: { embeddingModel: embedder.model, vector: encodeVector(vectors[index]) },
+      });
+    }
+  }
+
+  return chunks.length;
+}
+
+// Embed the shop's content and passages that are new or changed since they
+// were last embedded (or were embedded with a different model). Called after
+// scrapes; failures are logged and leave keyword search working.
+export async function refreshContentEmbeddings(shopId) {
+  try {
+    const botConfig = await prisma.botConfig.findUnique({ where: { shopId } });
+    const embedder = getEmbedder(botConfig);
+
+    const contents = await prisma.shopContent.findMany({
+      where: { shopId },
+      select: {
+        id: true,
+        title: true,
+        excerpt: true,
+        searchableContent: true,
+        embedding: { select: { contentHash: true } },
+      },
+    });
+
+    const stale = contents
+      .map(content => {
+        const text = embeddingText(content);
+        return { id: content.id, text, hash: contentHash(embedder.model, text), current: content.embedding?.contentHash };
+      })
+      .filter(item => item.hash !== item.current);
+
+    for (let i = 0; i < stale.length; i += EMBEDDING_BATCH_SIZE) {
+      const batch = stale.slice(i, i + EMBEDDING_BATCH_SIZE);
+      const vectors = await embedder.embed(batch.map(item => item.text));
+
+      for (const [index, item] of batch.entries()) {
+        const data = {
+          model: embedder.model,
+          dimensions: vectors[index].length,
+          vector: encodeVector(vectors[index]),
+          contentHash: item.hash,
+        };
+        await prisma.contentEmbedding.upsert({
+          where: { contentId: item.id },
+          update: data,
+          create: { ...data, shopId, contentId: item.id },
+        });
+      }
+    }
+
+    const embeddedChunks = await refreshChunkEmbeddings(shopId, embedder);
+
+    console.log(`🧭 Embedded ${stale.length} content items and ${embeddedChunks} passages with ${embedder.model}`);
+    return { embedded: stale.length, embeddedChunks, model: embedder.model };
+  } catch (error) {
+    console.error('Error refreshing content embeddings:', error);
+    return { embedded: 0, error: error.message };
+  }
+}
+
+// The query's vector from the shop's embedder, as `{ model, vector }`, or
+// null for an empty query or when embedding fails. Embed once per search and
+// pass the result to findSimilarContent and findSimilarChunks.
+export async function embedQuery(query, botConfig) {
+  const text = (query || '').trim();
+  if (!text) return null;
+
+  try {
+    const embedder = getEmbedder(botConfig);
+    const [vector] = await embedder.embed([text]);
+    return { model: embedder.model, vector };
+  } catch (error) {
+    console.error('Error embedding search query:', error);
+    return null;
+  }
+}
+
+// Best `limit` rows of `findBatch({ skip, take })` by similarity to the query
+// vector. Rows are read in batches and at most MAX_VECTOR_CANDIDATES are
+// compared, so memory stays bounded however much content a shop has.
+async function scanSimilar(queryVector, findBatch, { limit, minSimilarity }) {
+  let best = [];
+  for (let skip = 0; skip < MAX_VECTOR_CANDIDATES; skip += VECTOR_SCAN_BATCH_SIZE) {
+    const rows = await findBatch({ skip, take: VECTOR_SCAN_BATCH_SIZE });
+    best = [...best, ...rankBySimilarity(queryVector, rows, { limit, minSimilarity })]
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+    if (rows.length < VECTOR_SCAN_BATCH_SIZE) break;
+  }
+  return best;
+}
+
+function contentFilter(contentTypes) {
+  return {
+    isActive: true,
+    ...(contentTypes && contentTypes.length > 0 ? { contentType: { in: contentTypes } } : {}),
+  };
+}
+
+// Active content most similar to the query (`queryEmbedding` from embedQuery),
+// as `[{ id, similarity }]` best first. Only vectors from the model that
+// embedded the query are compared; recently updated content is scanned first.
+export async function findSimilarContent(shopId, { queryEmbedding, contentTypes = [], limit = 20, minSimilarity = 0 }) {
+  if (!queryEmbedding) return [];
+
+  try {
+    return await scanSimilar(
+      queryEmbedding.vector,
+      async ({ skip, take }) => {
+        const embeddings = await prisma.contentEmbedding.findMany({
+          where: { shopId, model: queryEmbedding.model, content: contentFilter(contentTypes) },
+          orderBy: [{ updatedAt: 'desc' }, { id: 'asc' }],
+          skip,
+          take,
+          select: { contentId: true, vector: true },
+        });
+        return embeddings.map(embedding => ({ id: embedding.contentId, vector: embedding.vector }));
+      },
+      { limit, minSimilarity },
+    );
+  } catch (error) {
+    console.error('Error searching content embeddings:', error);
+    return [];
+  }
+}
+
+// Passages most similar to the query; same contract as findSimilarContent
+export async function findSimilarChunks(shopId, { queryEmbedding, contentTypes = [], limit = 20, minSimilarity = 0 }) {
+  if (!queryEmbedding) return [];
+
+  try {
+    return await scanSimilar(
+      queryEmbedding.vector,
+      ({ skip, take }) => prisma.contentChunk.findMany({
+        where: { shopId, embeddingModel: queryEmbedding.model, content: contentFilter(contentTypes) },
+        orderBy: [{ createdAt: 'desc' }, { id: 'asc' }],
+        skip,
+        take,
+        select: { id: true, vector: true },
+      }),
+      { limit, minSimilarity },
+    );
+  } catch (error) {
+    console.error('Error searching passage embeddings:', error);
+    return [];
+  }
+}
@@ -0,0 +1,197 @@
+// Human handoff: escalating a chat to store staff
+// A chat is escalated when the shopper asks for a person, sounds upset, or the
+// bot fails several turns in a row. The ChatSession is then marked as awaiting
+// an agent and listed in the admin Inbox. Once a staff member takes it, the AI
+// stays quiet for that session until it is handed back.
+
+import prisma from "../db.server";
+
+export const HANDOFF_STATUS = {
+  AWAITING: 'awaiting_agent',
+  ASSIGNED: 'agent_assigned',
+  RESOLVED: 'resolved',
+};
+
+export const HANDOFF_REASON_LABELS = {
+  customer_request: 'Asked for a person',
+  repeated_failures: 'Bot could not help',
+  negative_sentiment: 'Upset customer',
+};
+
+// Failed turns in a row before the bot escalates on its own
+const MAX_FAILED_TURNS = 3;
+const NEGATIVE_SENTIMENT_THRESHOLD = 2;
+
+export const HANDOFF_NOTICE = "I've asked a member of our team to join this chat. They'll reply right here as soon as they can; until then I'm happy to keep helping.";
+
+const HUMAN_REQUEST_PATTERNS = [
+  /\b(talk|speak|chat)\s+(to|with)\s+(a\s+|an\s+|your\s+)?(human|person|agent|representative|staff|manager|someone|somebody|real person)\b/i,
+  /\b(human|live)\s+(agent|support|person|help)\b/i,
+  /\breal (person|human)\b/i,
+  /\b(customer service|customer support) (agent|rep|representative)\b/i,
+];
+
+const NEGATIVE_TERMS = [
+  'terrible', 'awful', 'horrible', 'useless', 'worst', 'ridiculous', 'angry',
+  'furious', 'scam', 'unacceptable', 'disappointed', 'frustrated', 'frustrating',
+  'hate', 'stupid', 'waste of', 'never again', 'rip off', 'ripoff', 'complaint',
+  'not helpful', "doesn't help", 'pathetic',
+];
+
+// Rough negativity score: negative terms, repeated exclamation marks and
+// shouting each count once
+function negativityScore(message) {
+  const text = message.toLowerCase();
+  let score = NEGATIVE_TERMS.filter(term => text.includes(term)).length;
+  if (/!{2,}/.test(message)) score += 1;
+  const letters = message.replace(/[^A-Za-z]/g, '');
+  if (letters.length >= 10 && letters === letters.toUpperCase()) score += 1;
+  return score;
+}
+
+// Reason to hand the chat to a person based on this message alone, or null
+export function detectHandoffTrigger(message) {
+  const text = message || '';
+  if (HUMAN_REQUEST_PATTERNS.some(pattern => pattern.test(text))) return 'customer_request';
+  if (negativityScore(text) >= NEGATIVE_SENTIMENT_THRESHOLD) return 'negative_sentiment';
+  return null;
+}
+
+function normalizeMessage(message) {
+  return (message || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function isEmptyResult(result) {
+  if (!result || result.error) return true;
+  if (Array.isArray(result.products)) return result.products.length === 0;
+  if (Array.isArray(result.items)) return result.items.length === 0 && !(result.knowledge || []).length;
+  return false;
+}
+
+// A turn failed when every tool call errored or found nothing, or the shopper
+// had to repeat their previous message
+export function isFailedTurn({ message, previousUserMessage, turnResults }) {
+  const repeated = Boolean(previousUserMessage) && normalizeMessage(message) === normalizeMessage(previousUserMessage);
+  const toolsFailed = turnResults.length > 0 && turnResults.every(({ result }) => isEmptyResult(result));
+  return repeated || toolsFailed;
+}
+
+export function isHandoffActive(chatSession) {
+  return chatSession.handoffStatus === HANDOFF_STATUS.AWAITING || chatSession.handoffStatus === HANDOFF_STATUS.ASSIGNED;
+}
+
+export function isAgentAssigned(chatSession) {
+  return chatSession.handoffStatus === HANDOFF_STATUS.ASSIGNED;
+}
+
+// Handoff state for the widget, or null when no person is involved
+export function handoffState(chatSession) {
+  if (!isHandoffActive(chatSession)) return null;
+  return {
+    status: chatSession.handoffStatus,
+    reason: chatSession.handoffReason,
+    agentName: chatSession.assignedAgent,
+  };
+}
+
+// Mark the session as awaiting an agent. Already escalated sessions keep
+// their original reason and agent.
+export async function requestHandoff(chatSession, reason) {
+  if (isHandoffActive(chatSession)) return chatSession;
+
+  console.log(`🙋 Handoff requested for session ${chatSession.sessionId}: ${reason}`);
+  return prisma.chatSession.update({
+    where: { id: chatSession.id },
+    data: {
+      handoffStatus: HANDOFF_STATUS.AWAITING,
+      handoffReason: reason,
+      handoffRequestedAt: new Date(),
+      assignedAgent: null,
+      failedTurns: 0,
+    },
+  });
+}
+
+// Count a failed turn, or reset the count after a good one. Returns true when
+// the failures in a row reach the escalation limit.
+export async function recordTurnOutcome(chatSession, failed) {
+  const failedTurns = failed ? chatSession.failedTurns + 1 : 0;
+  if (failedTurns !== chatSession.failedTurns) {
+    await prisma.chatSession.update({
+      where: { id: chatSession.id },
+      data: { failedTurns },
+    });
+  }
+  return failedTurns >= MAX_FAILED_TURNS;
+}
+
+// Sessions escalated to staff in a shop, oldest request first
+export async function listHandoffSessions(shopId) {
+  return prisma.chatSession.findMany({
+    where: { shopId, handoffStatus: { in: [HANDOFF_STATUS.AWAITING, HANDOFF_STATUS.ASSIGNED] } },
+    orderBy: { handoffRequestedAt: 'asc' },
+    include: {
+      messages: { orderBy: { timestamp: 'desc' }, take: 1 },
+    },
+  });
+}
+
+// Agent actions from the Inbox. Each checks the session belongs to `shopId`
+// and returns the updated session, or null when it doesn't.
+
+export async function assignAgent({ shopId, id, agentName }) {
+  const { count } = await prisma.chatSession.updateMany({
+    where: { id, shopId },
+    data: { handoffStatus: HANDOFF_STATUS.ASSIGNED, assignedAgent: agentName },
+  });
+  if (count === 0) return null;
+
+  await prisma.chatMessage.create({
+    data: {
+      sessionId: id,
+      role: 'agent',
+      content: `${agentName} joined the chat.`,
+      metadata: JSON.stringify({ agentName, event: 'joined' }),
+    },
+  });
+  return prisma.chatSession.findUnique({ where: { id } });
+}
+
+export async function sendAgentMessage({ shopId, id, agentName, content }) {
+  const chatSession = await prisma.chatSession.findFirst({ where: { id, shopId } });
+  if (!chatSession) return null;
+
+  // Replying takes the chat over from the AI
+  if (!isAgentAssigned(chatSession)) {
+    await assignAgent({ shopId, id, agentName });
+  }
+
+  await prisma.chatMessage.create({
+    data: {
+      sessionId: id,
+      role: 'agent',
+      content,
+      metadata: JSON.stringify({ agentName }),
+    },
+  });
+  return prisma.chatSession.findUnique({ where: { id } });
+}
+
+// Close the handoff and let the AI answer again
+export async function releaseToBot({ shopId, id, agentName }) {
+  const { count } = await prisma.chatSession.updateMany({
+    where: { id, shopId },
+    data: { handoffStatus: HANDOFF_STATUS.RESOLVED, assignedAgent: null, failedTurns: 0 },
+  });
+  if (count === 0) return null;
+
+  await prisma.chatMessage.create({
+    data: {
+      sessionId: id,
+      role: 'agent',
+      content: `${agentName || 'Our team'} left the chat. The assistant will take it from here.`,
+      metadata: JSON.stringify({ agentName, event: 'left' }),
+    },
+  });
+  return prisma.chatSession.findUnique({ where: { id } });
+}
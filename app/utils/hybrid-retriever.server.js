@@ -0,0 +1,99 @@
+// Hybrid retrieval over ShopContent and its passages: BM25 keyword ranking
+// blended with embedding similarity, so "something filling for breakfast" can
+// find a product whose text never uses those words while exact keyword hits
+// still rank well.
+
+import { searchChunkIndex, searchContentIndex } from "./content-search.server";
+import { embedQuery, findSimilarChunks, findSimilarContent } from "./embeddings.server";
+
+// Candidates pulled from each ranker before blending
+const CANDIDATE_LIMIT = 50;
+// Share of the blended score that comes from vector similarity
+const VECTOR_WEIGHT = 0.6;
+// Vector-only matches below this similarity are treated as noise
+const MIN_SIMILARITY = 0.25;
+
+// Blend keyword hits `[{ id, score }]` and vector hits `[{ id, similarity }]`
+// into one ranking. Keyword scores are unbounded, so they are scaled to 0..1
+// against the best hit first.
+function blendRankings(keyword, similar, limit) {
+  const keywordHits = keyword?.hits || [];
+  const maxKeywordScore = Math.max(...keywordHits.map(hit => hit.score), 0);
+
+  const candidates = new Map();
+  keywordHits.forEach(hit => {
+    candidates.set(hit.id, { keyword: maxKeywordScore > 0 ? hit.score / maxKeywordScore : 1, vector: 0 });
+  });
+  similar.forEach(hit => {
+    const candidate = candidates.get(hit.id) || { keyword: 0, vector: 0 };
+    candidate.vector = hit.similarity;
+    candidates.set(hit.id, candidate);
+  });
+
+  const hits = [...candidates.entries()]
+    .map(([id, { keyword: keywordScore, vector }]) => ({
+      id,
+      score: VECTOR_WEIGHT * vector + (1 - VECTOR_WEIGHT) * keywordScore,
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  const vectorOnly = similar.filter(hit => !keywordHits.some(k => k.id === hit.id)).length;
+
+  return {
+    hits,
+    total: (keyword?.total || 0) + vectorOnly,
+  };
+}
+
+// Keyword hits and the query's embedding side by side. Callers searching both
+// content and passages pass `queryEmbedding` (from embedQuery) so the query is
+// embedded once.
+async function keywordAndEmbedding(keywordSearch, { query, botConfig, queryEmbedding }) {
+  return Promise.all([
+    keywordSearch,
+    queryEmbedding === undefined ? embedQuery(query, botConfig) : queryEmbedding,
+  ]);
+}
+
+// Ranked content for `query` as `{ hits: [{ id, score }], total }`, best
+// first, or null when the query has nothing to search on.
+export async function retrieveContent(shopId, { query, contentTypes = [], limit = 5, botConfig, queryEmbedding }) {
+  const text = (query || '').trim();
+  if (!text) return null;
+
+  const [keyword, embedding] = await keywordAndEmbedding(
+    searchContentIndex(shopId, { query: text, contentTypes, limit: CANDIDATE_LIMIT }),
+    { query: text, botConfig, queryEmbedding },
+  );
+  const similar = await findSimilarContent(shopId, {
+    queryEmbedding: embedding,
+    contentTypes,
+    limit: CANDIDATE_LIMIT,
+    minSimilarity: MIN_SIMILARITY,
+  });
+
+  if (!keyword && similar.length === 0) return null;
+  return blendRankings(keyword, similar, limit);
+}
+
+// Ranked passages (ContentChunk ids) for `query`; same contract as
+// retrieveContent
+export async function retrievePassages(shopId, { query, contentTypes = [], limit = 5, botConfig, queryEmbedding }) {
+  const text = (query || '').trim();
+  if (!text) return null;
+
+  const [keyword, embedding] = await keywordAndEmbedding(
+    searchChunkIndex(shopId, { query: text, contentTypes, limit: CANDIDATE_LIMIT }),
+    { query: text, botConfig, queryEmbedding },
+  );
+  const similar = await findSimilarChunks(shopId, {
+    queryEmbedding: embedding,
+    contentTypes,
+    limit: CANDIDATE_LIMIT,
+    minSimilarity: MIN_SIMILARITY,
+  });
+
+  if (!keyword && similar.length === 0) return null;
+  return blendRankings(keyword, similar, limit);
+}
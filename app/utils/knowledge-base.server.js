@@ -0,0 +1,91 @@
+// Retrieval over the merchant's curated KnowledgeBase entries ("Train Your Bot").
+// These are written by the merchant, so the chat engine treats them as more
+// authoritative than scraped ShopContent.
+
+import prisma from "../db.server";
+
+const MIN_WORD_LENGTH = 3;
+
+function parseTags(tags) {
+  return (tags || '')
+    .split(',')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function queryWords(query) {
+  return (query || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= MIN_WORD_LENGTH);
+}
+
+// Relevance of one entry to the query words. Tag and category hits weigh close
+// to title hits because merchants use them to label what an entry answers.
+function scoreEntry(entry, words, phrase) {
+  const title = entry.title.toLowerCase();
+  const content = entry.content.toLowerCase();
+  const category = (entry.category || '').toLowerCase();
+  const tags = parseTags(entry.tags);
+
+  let score = 0;
+  if (phrase && (title.includes(phrase) || content.includes(phrase))) score += 20;
+  words.forEach(word => {
+    if (title.includes(word)) score += 10;
+    if (tags.some(tag => tag.includes(word))) score += 8;
+    if (category.includes(word)) score += 6;
+    if (content.includes(word)) score += 3;
+  });
+  return score;
+}
+
+// Active entries matching the query, best first. Relevance decides the order
+// and `priority` breaks ties and lifts merchant-flagged entries. Without a
+// query the highest-priority entries are returned.
+export async function searchKnowledgeBase(shopId, { query = '', category, limit = 3 } = {}) {
+  try {
+    const entries = await prisma.knowledgeBase.findMany({
+      where: {
+        shopId,
+        isActive: true,
+        ...(category ? { category } : {}),
+      },
+      orderBy: [{ priority: 'desc' }, { updatedAt: 'desc' }],
+    });
+
+    const words = queryWords(query);
+    const phrase = (query || '').trim().toLowerCase();
+
+    const ranked = entries
+      .map(entry => ({ entry, score: words.length ? scoreEntry(entry, words, phrase) : 0 }))
+      .filter(({ score }) => score > 0 || words.length === 0)
+      .sort((a, b) => (b.score + b.entry.priority * 5) - (a.score + a.entry.priority * 5))
+      .slice(0, limit);
+
+    return ranked.map(({ entry, score }) => ({
+      id: entry.id,
+      title: entry.title,
+      content: entry.content,
+      category: entry.category,
+      tags: parseTags(entry.tags),
+      priority: entry.priority,
+      // 0 when the entry was listed for priority alone, not for matching
+      score,
+    }));
+  } catch (error) {
+    console.error('Error searching knowledge base:', error);
+    return [];
+  }
+}
+
+// System prompt section for the entries relevant to a customer message
+export function buildKnowledgeContext(entries) {
+  if (!entries || entries.length === 0) return '';
+
+  return `
+
+MERCHANT KNOWLEDGE (written by the store owner; authoritative):
+${entries.map((entry, i) => `${i + 1}. [${entry.category}] ${entry.title}: ${entry.content.slice(0, 600)}`).join('\n')}
+
+When these entries answer the question, use them and prefer them over scraped store content if the two disagree.`;
+}
@@ -0,0 +1,101 @@
+// Checks for merchant-supplied LLM endpoint URLs
+// A shop's `llmBaseUrl` is requested from the app server, so it must not be
+// usable to reach the server's own network: only https URLs on public hosts
+// are accepted. The operator's LLM_BASE_URL is trusted and not checked.
+
+import dns from "node:dns/promises";
+import net from "node:net";
+
+// [network, prefix length] for IPv4 ranges that aren't publicly routable
+const PRIVATE_IPV4_RANGES = [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+];
+
+const LOCAL_HOSTNAME_PATTERN = /(^|\.)(localhost|local|internal|localdomain|home\.arpa)$/;
+
+function ipv4ToInt(ip) {
+  return ip.split(".").reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+function isPrivateIPv4(ip) {
+  const value = ipv4ToInt(ip);
+  return PRIVATE_IPV4_RANGES.some(([network, prefix]) => {
+    const blockSize = 2 ** (32 - prefix);
+    return Math.floor(value / blockSize) === Math.floor(ipv4ToInt(network) / blockSize);
+  });
+}
+
+function isPrivateIPv6(ip) {
+  const address = ip.toLowerCase();
+  // IPv4-mapped addresses (::ffff:10.0.0.1, or ::ffff:a00:1 as URLs write
+  // them) are checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateIPv4(mapped[1]);
+  const mappedHex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const [high, low] = mappedHex.slice(1).map(part => parseInt(part, 16));
+    return isPrivateIPv4([high >> 8, high & 255, low >> 8, low & 255].join("."));
+  }
+  return address === "::" ||
+    address === "::1" ||
+    /^f[cd]/.test(address) || // Unique local fc00::/7
+    /^fe[89ab]/.test(address) || // Link-local fe80::/10
+    /^ff/.test(address); // Multicast
+}
+
+// Whether an IP address literal is loopback, private, link-local or otherwise
+// not a public internet address
+export function isPrivateAddress(ip) {
+  const version = net.isIP(ip);
+  if (version === 4) return isPrivateIPv4(ip);
+  if (version === 6) return isPrivateIPv6(ip);
+  return false;
+}
+
+// Why a merchant's endpoint URL can't be used, or null when it can
+export function checkEndpointUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return "Endpoint Base URL is not a valid URL";
+  }
+
+  if (parsed.protocol !== "https:") {
+    return "Endpoint Base URL must use https";
+  }
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (!hostname.includes(".") && !net.isIP(hostname)) {
+    return "Endpoint Base URL must be a public host name";
+  }
+  if (LOCAL_HOSTNAME_PATTERN.test(hostname) || isPrivateAddress(hostname)) {
+    return "Endpoint Base URL must not point at a local or private network address";
+  }
+  return null;
+}
+
+// Throws unless the URL passes checkEndpointUrl and its host resolves only to
+// public addresses. Run before each request so a DNS change can't redirect a
+// saved URL into the private network.
+export async function assertPublicEndpoint(url) {
+  const problem = checkEndpointUrl(url);
+  if (problem) throw new Error(problem);
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(hostname)) return;
+
+  const addresses = await dns.lookup(hostname, { all: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(`LLM endpoint host ${hostname} resolves to a private network address`);
+  }
+}
@@ -0,0 +1,50 @@
+// Local embedder used when no embedding model is available (offline, mock
+// provider, or a self-hosted endpoint without one configured).
+//
+// Feature hashing of words and character trigrams into a fixed-size vector.
+// It captures spelling overlap ("choco" ~ "chocolate"), not meaning, but needs
+// no network and gives the hybrid retriever something to blend.
+
+const DIMENSIONS = 512;
+export const HASHING_EMBEDDING_MODEL = `hashing-${DIMENSIONS}-v1`;
+
+// 32-bit FNV-1a
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function addFeature(vector, feature, weight) {
+  const h = hash(feature);
+  // The top bit picks the sign so colliding features tend to cancel out
+  vector[h % DIMENSIONS] += (h & 0x80000000) ? -weight : weight;
+}
+
+export function hashingEmbed(text) {
+  const vector = new Array(DIMENSIONS).fill(0);
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+  for (const word of words) {
+    addFeature(vector, `w:${word}`, 1);
+    const padded = `^${word}$`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      addFeature(vector, `t:${padded.slice(i, i + 3)}`, 0.5);
+    }
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+export function createHashingEmbedder() {
+  return {
+    model: HASHING_EMBEDDING_MODEL,
+    async embed(texts) {
+      return texts.map(hashingEmbed);
+    },
+  };
+}
@@ -0,0 +1,56 @@
+// Helpers shared by the LLM provider implementations
+
+// Retry a provider call on 429s with a short capped wait. `error.status` and
+// `error.headers` follow the OpenAI SDK error shape.
+export async function withRateLimitRetry(fn, maxRetries = 2) {
+  let attempt = 0;
+  while (true) {
+    try {
+      return await fn();
+    } catch (error) {
+      const status = error?.status;
+      if (status === 429 && attempt < maxRetries) {
+        const retryAfterMs = Number(error?.headers?.["retry-after-ms"]) ||
+          (Number(error?.headers?.["retry-after"]) * 1000) ||
+          (1000 * (attempt + 1));
+        const waitMs = Math.min(retryAfterMs || 1000, 5000);
+        console.warn(`⚠️ LLM rate limited. Retrying in ${waitMs}ms (attempt ${attempt + 1}/${maxRetries})`);
+        await new Promise(r => setTimeout(r, waitMs));
+        attempt += 1;
+        continue;
+      }
+      throw error;
+    }
+  }
+}
+
+// Assemble an assistant message from streamed chat-completion deltas,
+// forwarding content to `onToken` as it arrives
+export function createMessageAccumulator(onToken) {
+  const message = { role: 'assistant', content: '', tool_calls: [] };
+
+  return {
+    push(delta = {}) {
+      if (delta.content) {
+        message.content += delta.content;
+        onToken(delta.content);
+      }
+      for (const toolDelta of delta.tool_calls || []) {
+        if (!message.tool_calls[toolDelta.index]) {
+          message.tool_calls[toolDelta.index] = { id: toolDelta.id, type: 'function', function: { name: '', arguments: '' } };
+        }
+        const toolCall = message.tool_calls[toolDelta.index];
+        if (toolDelta.id) toolCall.id = toolDelta.id;
+        if (toolDelta.function?.name) toolCall.function.name += toolDelta.function.name;
+        if (toolDelta.function?.arguments) toolCall.function.arguments += toolDelta.function.arguments;
+      }
+    },
+    message() {
+      if (message.tool_calls.length === 0) {
+        const { tool_calls: _toolCalls, ...rest } = message;
+        return rest;
+      }
+      return message;
+    },
+  };
+}
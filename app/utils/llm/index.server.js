@@ -0,0 +1,112 @@
+// LLM provider layer
+// Routes, the chat engine and analytics ask for a provider here instead of
+// constructing SDK clients, so the backend and models are chosen per shop in
+// BotConfig.
+//
+// A provider exposes:
+//   complete(params)         -> { id, message }  (OpenAI chat-completion params/message shape)
+//   stream(params, onToken)  -> { message }      (calls onToken with each content delta)
+//   embed({ model, input })  -> number[][]       (optional; one vector per input string)
+
+import { createOpenAIProvider } from "./openai-provider.server";
+import { createOpenAICompatibleProvider } from "./openai-compatible-provider.server";
+import { createMockProvider } from "./mock-provider.server";
+import { createHashingEmbedder } from "./hashing-embedder.server";
+import { decryptSecret } from "../secrets.server";
+import { checkEndpointUrl } from "./endpoint-url.server";
+
+// Providers getLLMProvider can build, as offered in the admin
+export const LLM_PROVIDERS = [
+  { value: "openai", label: "OpenAI" },
+  { value: "openai_compatible", label: "OpenAI-compatible (self-hosted)" },
+  { value: "mock", label: "Mock (offline, scripted replies)" },
+];
+
+export const DEFAULT_MODEL = "gpt-4o-mini";
+export const DEFAULT_EMBEDDING_MODEL = "text-embedding-3-small";
+
+// Model for a task ("chat", "followUp" or "analytics"): the per-task override,
+// then the shop's default model
+export function resolveModel(botConfig, task) {
+  const taskModels = {
+    chat: botConfig?.chatModel,
+    followUp: botConfig?.followUpModel,
+    analytics: botConfig?.analyticsModel,
+  };
+  return taskModels[task] || botConfig?.llmModel || DEFAULT_MODEL;
+}
+
+// The shop's own API key, decrypted. This is the only place stored secrets are
+// decrypted. A key that can't be decrypted (master key missing or rotated
+// away) is logged and treated as unset, so the env key takes over or the
+// shop gets its configured error message.
+function shopApiKey(botConfig) {
+  if (!botConfig?.openaiApiKey) return null;
+  try {
+    return decryptSecret(botConfig.openaiApiKey);
+  } catch (error) {
+    console.error(`🔐 Can't decrypt the API key for shop ${botConfig.shopId}:`, error.message);
+    return null;
+  }
+}
+
+// Provider for a shop's BotConfig, or null when it is not configured (e.g. no
+// API key). LLM_PROVIDER in the environment overrides every shop, which lets
+// the whole app run against the mock provider offline.
+export function getLLMProvider(botConfig) {
+  const providerName = process.env.LLM_PROVIDER || botConfig?.llmProvider || "openai";
+
+  switch (providerName) {
+    case "mock":
+      return createMockProvider();
+
+    // A shop's own endpoint needs the shop's own key and a public https URL.
+    // LLM_API_KEY only ever goes to the operator's LLM_BASE_URL.
+    case "openai_compatible": {
+      if (botConfig?.llmBaseUrl) {
+        const problem = checkEndpointUrl(botConfig.llmBaseUrl);
+        const apiKey = shopApiKey(botConfig);
+        if (problem || !apiKey) {
+          console.log("🔐 OpenAI-compatible endpoint:", problem || "shop endpoint without a shop API key");
+          return null;
+        }
+        return createOpenAICompatibleProvider({ baseUrl: botConfig.llmBaseUrl, apiKey, publicOnly: true });
+      }
+
+      if (!process.env.LLM_BASE_URL) {
+        console.log("🔐 OpenAI-compatible endpoint: missing base URL");
+        return null;
+      }
+      return createOpenAICompatibleProvider({
+        baseUrl: process.env.LLM_BASE_URL,
+        apiKey: shopApiKey(botConfig) || process.env.LLM_API_KEY,
+      });
+    }
+
+    default: {
+      const shopKey = shopApiKey(botConfig);
+      const apiKey = shopKey || process.env.OPENAI_API_KEY;
+      console.log("🔐 OpenAI key source:", shopKey ? "shop-configured" : process.env.OPENAI_API_KEY ? "env" : "missing");
+      if (!apiKey) return null;
+      return createOpenAIProvider({ apiKey });
+    }
+  }
+}
+
+// Embedder for a shop: `{ model, embed(texts) -> number[][] }`. Uses the
+// provider's embeddings endpoint when it has one and a model is known (OpenAI
+// defaults to DEFAULT_EMBEDDING_MODEL; compatible endpoints need
+// `embeddingModel` set), otherwise the local hashing embedder. Vectors are
+// stored with their model name, so switching embedders never mixes spaces.
+export function getEmbedder(botConfig) {
+  const provider = getLLMProvider(botConfig);
+  const model = botConfig?.embeddingModel || (provider?.name === "openai" ? DEFAULT_EMBEDDING_MODEL : null);
+
+  if (!provider?.embed || !model) {
+    return createHashingEmbedder();
+  }
+  return {
+    model,
+    embed: (texts) => provider.embed({ model, input: texts }),
+  };
+}
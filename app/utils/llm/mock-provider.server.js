@@ -0,0 +1,105 @@
+// Deterministic scripted provider for running and testing the app offline.
+//
+// A script is an ordered list of rules matched against the latest user message:
+//   { "match": "regex", "reply": "text" }
+//   { "match": "regex", "toolCall": { "name": "recommend_products", "arguments": { "query": "$message" } } }
+// `$message` is replaced with the user's message. Tool-call rules only fire
+// when the request offers that tool; after tool results come back the mock
+// replies with `afterToolReply`. Set MOCK_LLM_SCRIPT to a JSON file path to
+// replace the default script.
+
+import fs from "node:fs";
+
+const DEFAULT_SCRIPT = [
+  {
+    match: "\\b(show|recommend|buy|looking for|products?|shakes?|bars?|soups?|flavou?rs?)\\b",
+    toolCall: { name: "recommend_products", arguments: { query: "$message" } },
+  },
+  {
+    match: "\\b(shipping|delivery|returns?|refund|faq|how|what|why)\\b",
+    toolCall: { name: "search_store_content", arguments: { query: "$message" } },
+  },
+  { match: ".*", reply: "Thanks! Could you tell me a bit more about what you're looking for?" },
+];
+
+const DEFAULT_AFTER_TOOL_REPLY = "Here's what I found in the store.";
+
+function loadScriptFromEnv() {
+  const scriptPath = process.env.MOCK_LLM_SCRIPT;
+  if (!scriptPath) return null;
+  try {
+    return JSON.parse(fs.readFileSync(scriptPath, "utf8"));
+  } catch (error) {
+    console.error("Failed to load MOCK_LLM_SCRIPT, using default script:", error);
+    return null;
+  }
+}
+
+function substitute(value, message) {
+  if (typeof value === "string") return value.split("$message").join(message);
+  if (Array.isArray(value)) return value.map(v => substitute(v, message));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, substitute(v, message)]));
+  }
+  return value;
+}
+
+export function createMockProvider({ script, afterToolReply = DEFAULT_AFTER_TOOL_REPLY } = {}) {
+  const rules = script || loadScriptFromEnv() || DEFAULT_SCRIPT;
+  let callCount = 0;
+
+  const respond = (params) => {
+    callCount += 1;
+    const messages = params.messages || [];
+    const last = messages[messages.length - 1];
+
+    if (last?.role === "tool") {
+      return { role: "assistant", content: afterToolReply };
+    }
+
+    const userMessage = [...messages].reverse().find(m => m.role === "user")?.content || "";
+    const toolNames = (params.tools || []).map(t => t.function?.name);
+
+    for (const rule of rules) {
+      if (!new RegExp(rule.match, "i").test(userMessage)) continue;
+
+      if (rule.toolCall) {
+        if (!toolNames.includes(rule.toolCall.name)) continue;
+        return {
+          role: "assistant",
+          content: null,
+          tool_calls: [{
+            id: `mock_call_${callCount}`,
+            type: "function",
+            function: {
+              name: rule.toolCall.name,
+              arguments: JSON.stringify(substitute(rule.toolCall.arguments || {}, userMessage)),
+            },
+          }],
+        };
+      }
+
+      return { role: "assistant", content: substitute(rule.reply || "", userMessage) };
+    }
+
+    return { role: "assistant", content: "" };
+  };
+
+  return {
+    name: "mock",
+
+    async complete(params) {
+      const message = respond(params);
+      return { id: `mock-completion-${callCount}`, message };
+    },
+
+    async stream(params, onToken) {
+      const message = respond(params);
+      // Emit word by word so streaming clients behave as with a real model
+      for (const token of (message.content || "").split(/(?<=\s)/)) {
+        if (token) onToken(token);
+      }
+      return { message };
+    },
+  };
+}
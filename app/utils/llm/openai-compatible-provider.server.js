@@ -0,0 +1,77 @@
+// Provider for self-hosted models behind an OpenAI-compatible HTTP API
+// (vLLM, Ollama, LM Studio, llama.cpp server, ...). Talks plain HTTP so it
+// does not depend on SDK behaviour those servers may not implement.
+
+import { createMessageAccumulator, withRateLimitRetry } from "./helpers.server";
+import { assertPublicEndpoint } from "./endpoint-url.server";
+
+// `publicOnly` endpoints (merchant-supplied URLs) are checked before every
+// request and may not redirect
+async function postToEndpoint({ baseUrl, apiKey, publicOnly }, path, body) {
+  if (publicOnly) await assertPublicEndpoint(baseUrl);
+
+  const response = await fetch(`${baseUrl.replace(/\/+$/, '')}${path}`, {
+    method: "POST",
+    redirect: publicOnly ? "error" : "follow",
+    headers: {
+      "Content-Type": "application/json",
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const error = new Error(`LLM endpoint responded ${response.status}: ${await response.text()}`);
+    error.status = response.status;
+    error.headers = Object.fromEntries(response.headers.entries());
+    throw error;
+  }
+
+  return response;
+}
+
+export function createOpenAICompatibleProvider({ baseUrl, apiKey, publicOnly = false }) {
+  const endpoint = { baseUrl, apiKey, publicOnly };
+
+  return {
+    name: "openai_compatible",
+
+    async complete(params) {
+      const response = await withRateLimitRetry(() => postToEndpoint(endpoint, "/chat/completions", params));
+      const completion = await response.json();
+      return { id: completion.id, message: completion.choices[0].message };
+    },
+
+    async stream(params, onToken) {
+      const response = await withRateLimitRetry(() => postToEndpoint(endpoint, "/chat/completions", { ...params, stream: true }));
+      const accumulator = createMessageAccumulator(onToken);
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        for (const line of lines) {
+          const data = line.match(/^data:\s*(.*)$/)?.[1];
+          if (!data || data === "[DONE]") continue;
+          accumulator.push(JSON.parse(data).choices?.[0]?.delta);
+        }
+      }
+
+      return { message: accumulator.message() };
+    },
+
+    async embed({ model, input }) {
+      const response = await withRateLimitRetry(() => postToEndpoint(endpoint, "/embeddings", { model, input }));
+      const result = await response.json();
+      return result.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    },
+  };
+}
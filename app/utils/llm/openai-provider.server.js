@@ -0,0 +1,31 @@
+// OpenAI provider backed by the official SDK
+
+import OpenAI from "openai";
+import { createMessageAccumulator, withRateLimitRetry } from "./helpers.server";
+
+export function createOpenAIProvider({ apiKey }) {
+  const openai = new OpenAI({ apiKey });
+
+  return {
+    name: "openai",
+
+    async complete(params) {
+      const completion = await withRateLimitRetry(() => openai.chat.completions.create(params));
+      return { id: completion.id, message: completion.choices[0].message };
+    },
+
+    async stream(params, onToken) {
+      const stream = await withRateLimitRetry(() => openai.chat.completions.create({ ...params, stream: true }));
+      const accumulator = createMessageAccumulator(onToken);
+      for await (const chunk of stream) {
+        accumulator.push(chunk.choices[0]?.delta);
+      }
+      return { message: accumulator.message() };
+    },
+
+    async embed({ model, input }) {
+      const response = await withRateLimitRetry(() => openai.embeddings.create({ model, input }));
+      return response.data.map(item => item.embedding);
+    },
+  };
+}
@@ -0,0 +1,179 @@
+// Order status lookups for shoppers in chat
+// An order is only shown when the shopper proves it is theirs: the order
+// number must come with the order's email or shipping/billing zip. Every
+// attempt is logged in OrderLookup and failed attempts are rate-limited per
+// chat session and per shop, so order numbers can't be enumerated.
+
+import prisma from "../db.server";
+
+const LOOKUP_WINDOW_MS = 60 * 60 * 1000;
+// Per chat session, per hour
+const MAX_SESSION_LOOKUPS = 10;
+const MAX_SESSION_FAILURES = 5;
+// Across all sessions of a shop, per hour; stops guessing with fresh sessions
+const MAX_SHOP_FAILURES = 50;
+
+// Tracking pages for carriers whose tracking info comes without a URL
+const CARRIER_TRACKING_URLS = {
+  ups: number => `https://www.ups.com/track?tracknum=${number}`,
+  usps: number => `https://tools.usps.com/go/TrackConfirmAction?tLabels=${number}`,
+  fedex: number => `https://www.fedex.com/fedextrack/?trknbr=${number}`,
+  dhl: number => `https://www.dhl.com/global-en/home/tracking.html?tracking-id=${number}`,
+  "canada post": number => `https://www.canadapost-postescanada.ca/track-reperage/en#/search?searchFor=${number}`,
+  "royal mail": number => `https://www.royalmail.com/track-your-item#/tracking-results/${number}`,
+};
+
+// "#1001", "1001" and "order 1001" all become "1001"
+export function normalizeOrderNumber(orderNumber) {
+  return String(orderNumber || '').replace(/[^0-9A-Za-z-]/g, '').replace(/^order/i, '');
+}
+
+function normalizeZip(zip) {
+  return String(zip || '').replace(/\s+/g, '').toUpperCase();
+}
+
+function trackingUrl({ company, number, url }) {
+  if (url) return url;
+  const carrier = Object.keys(CARRIER_TRACKING_URLS).find(name => (company || '').toLowerCase().includes(name));
+  return carrier && number ? CARRIER_TRACKING_URLS[carrier](encodeURIComponent(number)) : null;
+}
+
+// Whether the lookup may run. Returns `{ allowed, retryAfterMinutes }`.
+export async function checkOrderLookupLimit({ shopId, sessionId }) {
+  const since = new Date(Date.now() - LOOKUP_WINDOW_MS);
+
+  const [sessionLookups, sessionFailures, shopFailures] = await Promise.all([
+    prisma.orderLookup.count({ where: { sessionId, createdAt: { gte: since } } }),
+    prisma.orderLookup.count({ where: { sessionId, verified: false, createdAt: { gte: since } } }),
+    prisma.orderLookup.count({ where: { shopId, verified: false, createdAt: { gte: since } } }),
+  ]);
+
+  if (sessionLookups >= MAX_SESSION_LOOKUPS || sessionFailures >= MAX_SESSION_FAILURES || shopFailures >= MAX_SHOP_FAILURES) {
+    return { allowed: false, retryAfterMinutes: LOOKUP_WINDOW_MS / 60000 };
+  }
+  return { allowed: true };
+}
+
+export async function recordOrderLookup({ shopId, sessionId, orderName, verified }) {
+  await prisma.orderLookup.create({
+    data: { shopId, sessionId, orderName, verified },
+  });
+}
+
+async function fetchOrderByNumber(admin, orderNumber) {
+  const response = await admin.graphql(`
+    query getOrderStatus($query: String!) {
+      orders(first: 1, query: $query) {
+        edges {
+          node {
+            id
+            name
+            email
+            createdAt
+            cancelledAt
+            displayFinancialStatus
+            displayFulfillmentStatus
+            customer { email }
+            shippingAddress { zip city countryCodeV2 }
+            billingAddress { zip }
+            totalPriceSet { shopMoney { amount currencyCode } }
+            lineItems(first: 20) {
+              edges { node { title quantity variantTitle } }
+            }
+            fulfillments(first: 10) {
+              displayStatus
+              createdAt
+              estimatedDeliveryAt
+              deliveredAt
+              trackingInfo(first: 5) { company number url }
+            }
+          }
+        }
+      }
+    }
+  `, {
+    variables: { query: `name:#${orderNumber}` },
+  });
+
+  const data = await response.json();
+  return data.data?.orders?.edges[0]?.node || null;
+}
+
+// Which contact detail matches the order: "email", "zip" or null
+function contactMatches(order, { email, zip }) {
+  const wantedEmail = (email || '').trim().toLowerCase();
+  if (wantedEmail) {
+    const emails = [order.email, order.customer?.email].filter(Boolean).map(e => e.toLowerCase());
+    if (emails.includes(wantedEmail)) return "email";
+  }
+
+  const wantedZip = normalizeZip(zip);
+  if (wantedZip) {
+    const zips = [order.shippingAddress?.zip, order.billingAddress?.zip].filter(Boolean).map(normalizeZip);
+    if (zips.includes(wantedZip)) return "zip";
+  }
+
+  return null;
+}
+
+function summarizeOrder(order) {
+  return {
+    name: order.name,
+    createdAt: order.createdAt,
+    cancelled: Boolean(order.cancelledAt),
+    financialStatus: order.displayFinancialStatus,
+    fulfillmentStatus: order.displayFulfillmentStatus,
+    total: order.totalPriceSet?.shopMoney?.amount,
+    currency: order.totalPriceSet?.shopMoney?.currencyCode,
+    shipTo: order.shippingAddress
+      ? [order.shippingAddress.city, order.shippingAddress.countryCodeV2].filter(Boolean).join(', ')
+      : null,
+    items: order.lineItems.edges.map(({ node }) => ({
+      title: node.title,
+      variantTitle: node.variantTitle,
+      quantity: node.quantity,
+    })),
+    fulfillments: (order.fulfillments || []).map(fulfillment => ({
+      status: fulfillment.displayStatus,
+      shippedAt: fulfillment.createdAt,
+      estimatedDeliveryAt: fulfillment.estimatedDeliveryAt,
+      deliveredAt: fulfillment.deliveredAt,
+      tracking: (fulfillment.trackingInfo || []).map(info => ({
+        company: info.company,
+        number: info.number,
+        url: trackingUrl(info),
+      })),
+    })),
+  };
+}
+
+// Look up an order for a shopper. Returns `{ order, matchedBy }` when the
+// contact details match (`matchedBy` is "email" or "zip"), otherwise `{ error }`. "Not found" and "doesn't match" share one
+// message so a failed lookup doesn't reveal that an order number exists.
+export async function lookupOrderStatus(admin, { shopId, sessionId, orderNumber, email, zip }) {
+  const orderName = normalizeOrderNumber(orderNumber);
+  if (!orderName) {
+    return { error: "An order number is needed to look up an order." };
+  }
+  if (!(email || '').trim() && !normalizeZip(zip)) {
+    return { error: "Ask the customer for the email address or zip/postal code used on the order." };
+  }
+
+  const limit = await checkOrderLookupLimit({ shopId, sessionId });
+  if (!limit.allowed) {
+    return {
+      error: `Too many order lookups. The customer can try again in about ${limit.retryAfterMinutes} minutes or contact the store.`,
+      rateLimited: true,
+    };
+  }
+
+  const order = await fetchOrderByNumber(admin, orderName);
+  const matchedBy = order ? contactMatches(order, { email, zip }) : null;
+  const verified = Boolean(matchedBy);
+  await recordOrderLookup({ shopId, sessionId, orderName, verified });
+
+  if (!verified) {
+    return { error: "No order matches that order number and email or zip. Ask the customer to double-check both." };
+  }
+  return { order: summarizeOrder(order), matchedBy };
+}
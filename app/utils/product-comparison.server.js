@@ -0,0 +1,198 @@
+// Side-by-side product comparisons for chat
+// Specs come from three places: variant data (price, options, stock), product
+// metafields with displayable types in merchant-facing namespaces, and
+// "Label: value" lines in the description (e.g. "<li>Protein: 20 g</li>").
+
+import { loadRankedContent } from "./content-search.server";
+import { retrieveContent } from "./hybrid-retriever.server";
+
+export const MIN_COMPARED_PRODUCTS = 2;
+export const MAX_COMPARED_PRODUCTS = 4;
+const MAX_SPEC_ROWS = 12;
+
+const DISPLAYABLE_METAFIELD_TYPES = new Set([
+  'single_line_text_field',
+  'multi_line_text_field',
+  'number_integer',
+  'number_decimal',
+  'boolean',
+  'dimension',
+  'weight',
+  'volume',
+  'rating',
+  'list.single_line_text_field',
+]);
+
+// Namespaces merchants fill in for shoppers. Metafields elsewhere belong to
+// apps or internal tooling and are never shown.
+const SPEC_METAFIELD_NAMESPACES = new Set(['custom', 'descriptors', 'specs', 'specifications']);
+
+const SPEC_LINE = /^([A-Za-z][\w ()/&-]{1,30}):\s*(.{1,80})$/;
+
+// "serving_size" -> "Serving size"
+function humanize(key) {
+  const text = key.replace(/[_-]+/g, ' ').trim();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function metafieldValue({ type, value }) {
+  try {
+    if (type === 'boolean') return value === 'true' ? 'Yes' : 'No';
+    if (type === 'dimension' || type === 'weight' || type === 'volume') {
+      const measurement = JSON.parse(value);
+      return `${measurement.value} ${measurement.unit.toLowerCase()}`;
+    }
+    if (type === 'rating') {
+      const rating = JSON.parse(value);
+      return `${rating.value} / ${rating.scale_max}`;
+    }
+    if (type.startsWith('list.')) return JSON.parse(value).join(', ');
+  } catch (_) {
+    // Malformed JSON values are shown as stored
+  }
+  return value;
+}
+
+function metafieldSpecs(metafields) {
+  return (metafields?.edges || [])
+    .map(edge => edge.node)
+    .filter(metafield => SPEC_METAFIELD_NAMESPACES.has(metafield.namespace) &&
+      DISPLAYABLE_METAFIELD_TYPES.has(metafield.type) && metafield.value)
+    .map(metafield => ({ label: humanize(metafield.key), value: metafieldValue(metafield) }));
+}
+
+function descriptionSpecs(html) {
+  return (html || '')
+    .replace(/<br\s*\/?>|<\/(p|li|div|tr|h[1-6])>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ': ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .split('\n')
+    .map(line => line.trim().replace(/:\s*$/, ''))
+    .map(line => line.match(SPEC_LINE))
+    .filter(Boolean)
+    .map(match => ({ label: humanize(match[1].trim()), value: match[2].trim() }));
+}
+
+function priceLabel(variants) {
+  const prices = variants.map(variant => Number(variant.price)).filter(price => !Number.isNaN(price));
+  if (prices.length === 0) return null;
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
+  return min === max ? min.toFixed(2) : `${min.toFixed(2)} - ${max.toFixed(2)}`;
+}
+
+function toComparedProduct(product) {
+  const variants = product.variants.edges.map(edge => edge.node);
+  const available = variants.filter(variant => variant.availableForSale).length;
+  const image = product.images.edges[0]?.node;
+
+  // First source wins when the same label appears twice
+  const specs = new Map();
+  [...metafieldSpecs(product.metafields), ...descriptionSpecs(product.descriptionHtml)].forEach(spec => {
+    if (!specs.has(spec.label.toLowerCase())) specs.set(spec.label.toLowerCase(), spec);
+  });
+
+  return {
+    id: product.id,
+    title: product.title,
+    handle: product.handle,
+    image: image ? { url: image.url, alt: image.altText || product.title } : null,
+    fixed: {
+      Price: priceLabel(variants),
+      Type: product.productType || null,
+      Options: product.options
+        .filter(option => !(option.name === 'Title' && option.values.length === 1))
+        .map(option => `${option.name}: ${option.values.join(', ')}`)
+        .join('; ') || null,
+      Availability: variants.length > 1
+        ? `${available} of ${variants.length} variants in stock`
+        : available ? 'In stock' : 'Sold out',
+    },
+    specs: [...specs.values()],
+  };
+}
+
+// Comparison rows `[{ label, values }]` (one value per product, null when a
+// product lacks it). Fixed rows come first, then specs shared by most
+// products, capped at MAX_SPEC_ROWS.
+function buildRows(products) {
+  const fixedRows = Object.keys(products[0].fixed)
+    .map(label => ({ label, values: products.map(p => p.fixed[label]) }))
+    .filter(row => row.values.some(Boolean));
+
+  const specLabels = new Map();
+  products.forEach(product => product.specs.forEach(spec => {
+    const key = spec.label.toLowerCase();
+    if (!specLabels.has(key)) specLabels.set(key, spec.label);
+  }));
+
+  const specRows = [...specLabels.entries()]
+    .map(([key, label]) => ({
+      label,
+      values: products.map(p => p.specs.find(spec => spec.label.toLowerCase() === key)?.value ?? null),
+    }))
+    .sort((a, b) => b.values.filter(Boolean).length - a.values.filter(Boolean).length);
+
+  return [...fixedRows, ...specRows].slice(0, MAX_SPEC_ROWS);
+}
+
+// Product GIDs for references that are GIDs already or product names
+async function resolveProductIds(shopId, references, botConfig) {
+  const ids = [];
+  for (const reference of references) {
+    if (String(reference).startsWith('gid://shopify/Product/')) {
+      ids.push(reference);
+      continue;
+    }
+    const ranked = await retrieveContent(shopId, { query: reference, contentTypes: ['product'], limit: 1, botConfig });
+    const [match] = ranked ? await loadRankedContent(ranked.hits) : [];
+    if (match) ids.push(match.externalId);
+  }
+  return [...new Set(ids)];
+}
+
+// Compare 2-4 products given as ids or names. Returns `{ comparison:
+// { products, rows } }` or `{ error }`.
+export async function compareProducts(admin, shopId, { products: references = [], botConfig }) {
+  if (!Array.isArray(references)) {
+    return { error: "Pass the products to compare as a list of ids or names." };
+  }
+  const validReferences = references.filter(reference => typeof reference === 'string' && reference.trim());
+  const ids = await resolveProductIds(shopId, validReferences.slice(0, MAX_COMPARED_PRODUCTS), botConfig);
+  if (ids.length < MIN_COMPARED_PRODUCTS) {
+    return { error: "Couldn't find at least two of those products. Search for them first." };
+  }
+
+  const response = await admin.graphql(`
+    query getProductsToCompare($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Product {
+          id
+          title
+          handle
+          descriptionHtml
+          productType
+          options { name values }
+          images(first: 1) { edges { node { url altText } } }
+          metafields(first: 50) { edges { node { namespace key type value } } }
+          variants(first: 100) { edges { node { price availableForSale } } }
+        }
+      }
+    }
+  `, { variables: { ids } });
+
+  const data = await response.json();
+  const products = (data.data?.nodes || []).filter(Boolean).map(toComparedProduct);
+  if (products.length < MIN_COMPARED_PRODUCTS) {
+    return { error: "Couldn't load enough of those products to compare." };
+  }
+
+  return {
+    comparison: {
+      products: products.map(({ id, title, handle, image }) => ({ id, title, handle, image })),
+      rows: buildRows(products),
+    },
+  };
+}
@@ -0,0 +1,166 @@
+// Rate limiting and IP blocklist for the chat, analytics and scrape endpoints
+// Limits are fixed windows counted in a store chosen by RATE_LIMIT_STORE:
+// "memory" (default, per process) or "sqlite" (shared through the database).
+// Each shop tunes its limits and blocklist in BotConfig; 0 turns a limit off.
+//
+// A store exposes:
+//   hit(key, windowMs) -> { count, resetAt }  (counts this request, resetAt in epoch ms)
+
+import { createMemoryStore } from "./memory-store.server";
+import { createSqliteStore } from "./sqlite-store.server";
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Shown in the widget when a visitor is throttled
+export const RATE_LIMITED_MESSAGE = "You're sending messages a little too quickly. Please wait a moment and try again.";
+
+// Transcript reads per visitor IP per minute, well above the widget's
+// handoff polling rate
+const HISTORY_READS_PER_MINUTE = 30;
+
+// Upper bound for limits entered in the admin
+export const MAX_RATE_LIMIT = 100000;
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    const storeName = process.env.RATE_LIMIT_STORE || "memory";
+    store = storeName === "sqlite" ? createSqliteStore() : createMemoryStore();
+    console.log(`🚦 Rate limit store: ${store.name}`);
+  }
+  return store;
+}
+
+// Count a request against `{ key, limit, windowMs }` rules, listed narrowest
+// first. Returns `{ ok: true }`, or `{ ok: false, rule, retryAfter }` (seconds)
+// for the first rule over its limit; the rules after it are not counted, so a
+// throttled visitor doesn't use up the storefront's budget. Rules with no limit
+// are skipped. Counting fails open: if the store errors the request is allowed
+// and the error logged.
+export async function checkRateLimits(rules) {
+  try {
+    for (const rule of rules.filter(rule => rule.limit > 0)) {
+      const { count, resetAt } = await getStore().hit(rule.key, rule.windowMs);
+      if (count > rule.limit) {
+        const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+        return { ok: false, rule: rule.key, retryAfter };
+      }
+    }
+    return { ok: true };
+  } catch (error) {
+    console.error("🚦 Rate limit store error, allowing request:", error);
+    return { ok: true };
+  }
+}
+
+// "30 seconds", "1 minute", "12 minutes" for error messages
+export function formatRetryAfter(seconds) {
+  if (seconds < 60) return `${seconds} ${seconds === 1 ? "second" : "seconds"}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} ${minutes === 1 ? "minute" : "minutes"}`;
+}
+
+// Limits on widget chat messages: per conversation, per visitor IP and for
+// the whole storefront
+export function chatRateLimitRules(botConfig, { shopId, sessionId, ip }) {
+  return [
+    { key: `chat:session:${shopId}:${sessionId}`, limit: botConfig?.rateLimitSessionPerMinute, windowMs: MINUTE_MS },
+    { key: `chat:ip:${shopId}:${ip}`, limit: ip ? botConfig?.rateLimitIpPerHour : 0, windowMs: HOUR_MS },
+    { key: `chat:shop:${shopId}`, limit: botConfig?.rateLimitShopPerHour, windowMs: HOUR_MS },
+  ];
+}
+
+// Transcript reads (GET /api/chat) per visitor IP. The widget polls every few
+// seconds during a handoff, so reads get their own per-minute budget; it is
+// on whenever the shop limits messages per IP.
+export function historyRateLimitRules(botConfig, { shopId, ip }) {
+  return [
+    { key: `history:ip:${shopId}:${ip}`, limit: ip && botConfig?.rateLimitIpPerHour > 0 ? HISTORY_READS_PER_MINUTE : 0, windowMs: MINUTE_MS },
+  ];
+}
+
+// Limits on widget token refreshes, per visitor IP and for the whole storefront
+export function tokenRateLimitRules(botConfig, { shopId, ip }) {
+  return [
+    { key: `token:ip:${shopId}:${ip}`, limit: ip ? botConfig?.rateLimitIpPerHour : 0, windowMs: HOUR_MS },
+    { key: `token:shop:${shopId}`, limit: botConfig?.rateLimitShopPerHour, windowMs: HOUR_MS },
+  ];
+}
+
+// Limit on expensive admin actions (`scope` is "analytics" or "scrape"), per shop
+export function adminRateLimitRules(botConfig, { shopId, scope }) {
+  return [
+    { key: `admin:${scope}:${shopId}`, limit: botConfig?.rateLimitAdminPerHour, windowMs: HOUR_MS },
+  ];
+}
+
+// Visitor IP as reported by the proxies in front of the app, or null. Only
+// what those proxies write is trusted, never what the client sent along:
+// - RATE_LIMIT_IP_HEADER names a header the proxy sets to the client IP
+//   (e.g. "cf-connecting-ip"); on Fly (FLY_APP_NAME set) it defaults to
+//   Fly-Client-IP.
+// - Otherwise X-Forwarded-For is read from the right. RATE_LIMIT_TRUSTED_PROXIES
+//   (default 1) is the number of proxies that append to it; entries left of
+//   theirs are client-supplied. Set it to 0 when nothing sits in front of the
+//   app, which turns per-IP limits and the blocklist off.
+export function clientIp(request) {
+  const ipHeader = process.env.RATE_LIMIT_IP_HEADER || (process.env.FLY_APP_NAME ? "fly-client-ip" : null);
+
+  let ip;
+  if (ipHeader) {
+    ip = request.headers.get(ipHeader);
+  } else {
+    const trustedProxies = parseInt(process.env.RATE_LIMIT_TRUSTED_PROXIES ?? "1", 10);
+    const hops = (request.headers.get("x-forwarded-for") || "").split(",").map(hop => hop.trim()).filter(Boolean);
+    ip = trustedProxies > 0 ? hops[hops.length - trustedProxies] : null;
+  }
+  return (ip || "").trim().replace(/^::ffff:/, "") || null;
+}
+
+function ipv4ToInt(ip) {
+  const parts = ip.split(".");
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) return null;
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+// Entries of a blocklist as typed in the admin: one per line or comma-separated,
+// `#` starts a comment
+export function parseIpBlocklist(blocklist) {
+  return (blocklist || "")
+    .split(/[\n,]/)
+    .map(line => line.replace(/#.*/, "").trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// `{ network, blockSize }` for an IPv4 CIDR entry like "203.0.113.0/24", or null
+function parseCidr(entry) {
+  const [network, bits] = entry.split("/");
+  const networkValue = ipv4ToInt(network);
+  const prefix = Number(bits);
+  if (networkValue === null || !/^\d{1,2}$/.test(bits) || prefix > 32) return null;
+  const blockSize = 2 ** (32 - prefix);
+  return { network: Math.floor(networkValue / blockSize), blockSize };
+}
+
+// Whether `ip` matches an exact address or an IPv4 CIDR range in the blocklist
+export function isIpBlocked(ip, blocklist) {
+  if (!ip) return false;
+  const address = ip.toLowerCase();
+  const addressValue = ipv4ToInt(address);
+
+  return parseIpBlocklist(blocklist).some(entry => {
+    if (!entry.includes("/")) return entry === address;
+    const range = parseCidr(entry);
+    return Boolean(range) && addressValue !== null && Math.floor(addressValue / range.blockSize) === range.network;
+  });
+}
+
+// Blocklist entries the matcher can't use, so the admin can point them out
+export function invalidBlocklistEntries(blocklist) {
+  return parseIpBlocklist(blocklist).filter(entry => {
+    if (entry.includes("/")) return parseCidr(entry) === null;
+    return ipv4ToInt(entry) === null && !/^[0-9a-f:]+$/.test(entry);
+  });
+}
@@ -0,0 +1,37 @@
+// In-process rate limit store. Fast and dependency-free, but counters are
+// per process and reset on restart; use the SQLite store when the app runs
+// more than one process.
+
+// Buckets are swept at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export function createMemoryStore() {
+  const buckets = new Map();
+  let lastSweep = Date.now();
+
+  function sweep(now) {
+    if (now - lastSweep < SWEEP_INTERVAL_MS) return;
+    lastSweep = now;
+    for (const [key, bucket] of buckets) {
+      if (bucket.resetAt <= now) buckets.delete(key);
+    }
+  }
+
+  return {
+    name: "memory",
+
+    async hit(key, windowMs) {
+      const now = Date.now();
+      sweep(now);
+
+      const bucket = buckets.get(key);
+      if (!bucket || bucket.resetAt <= now) {
+        const fresh = { count: 1, resetAt: now + windowMs };
+        buckets.set(key, fresh);
+        return { ...fresh };
+      }
+      bucket.count += 1;
+      return { ...bucket };
+    },
+  };
+}
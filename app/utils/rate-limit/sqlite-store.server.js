@@ -0,0 +1,34 @@
+// Rate limit store in the app's SQLite database (RateLimitBucket). Counters
+// survive restarts and are shared by every process using the database. Each
+// hit is one atomic upsert, so concurrent requests can't both slip under a
+// limit.
+
+import prisma from "../../db.server";
+
+// Chance per hit of deleting expired buckets
+const CLEANUP_PROBABILITY = 0.01;
+
+export function createSqliteStore() {
+  return {
+    name: "sqlite",
+
+    async hit(key, windowMs) {
+      const now = Date.now();
+      const rows = await prisma.$queryRaw`
+        INSERT INTO "rate_limit_buckets" ("key", "count", "resetAt")
+        VALUES (${key}, 1, ${now + windowMs})
+        ON CONFLICT ("key") DO UPDATE SET
+          "count" = CASE WHEN "resetAt" <= ${now} THEN 1 ELSE "count" + 1 END,
+          "resetAt" = CASE WHEN "resetAt" <= ${now} THEN excluded."resetAt" ELSE "resetAt" END
+        RETURNING "count", "resetAt"
+      `;
+
+      if (Math.random() < CLEANUP_PROBABILITY) {
+        prisma.$executeRaw`DELETE FROM "rate_limit_buckets" WHERE "resetAt" <= ${now}`
+          .catch(error => console.error("Error cleaning up rate limit buckets:", error));
+      }
+
+      return { count: Number(rows[0].count), resetAt: Number(rows[0].resetAt) };
+    },
+  };
+}
@@ -0,0 +1,100 @@
+// Envelope encryption for per-shop secrets (BotConfig.openaiApiKey)
+// Each secret is encrypted with its own random data key (AES-256-GCM), and
+// the data key is wrapped with an app-level master key from SECRETS_MASTER_KEYS.
+// Stored values are tagged with the master key id, so keys can be rotated:
+// put a new key first in SECRETS_MASTER_KEYS, run `npm run secrets:rotate`
+// (scripts/rotate-secrets.mjs), then drop the old key.
+//
+//   SECRETS_MASTER_KEYS="k2:<base64 32 bytes>,k1:<base64 32 bytes>"
+//
+// The first key encrypts; all listed keys decrypt. Only node:crypto is used
+// so the rotation script can load this module outside of Vite.
+
+import crypto from "node:crypto";
+
+const ENVELOPE_PREFIX = "enc1";
+const ALGORITHM = "aes-256-gcm";
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+// Master keys by id, current key first. Parsed on each call so a rotated
+// environment is picked up by long-running scripts and tests alike.
+function loadMasterKeys() {
+  const keys = new Map();
+  (process.env.SECRETS_MASTER_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [id, encoded] = entry.split(':');
+    const key = Buffer.from(encoded || '', 'base64');
+    if (!id || key.length !== KEY_BYTES) {
+      console.error(`🔐 Ignoring malformed master key "${id || entry.slice(0, 4)}" in SECRETS_MASTER_KEYS`);
+      return;
+    }
+    keys.set(id, key);
+  });
+  return keys;
+}
+
+export function currentMasterKeyId() {
+  return loadMasterKeys().keys().next().value || null;
+}
+
+export function isSecretsEncryptionConfigured() {
+  return currentMasterKeyId() !== null;
+}
+
+export function isEncryptedSecret(stored) {
+  return typeof stored === 'string' && stored.startsWith(`${ENVELOPE_PREFIX}:`);
+}
+
+// Master key id a stored secret is wrapped with, or null for plaintext
+export function secretKeyId(stored) {
+  return isEncryptedSecret(stored) ? stored.split(':')[1] : null;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function open(key, sealed) {
+  const data = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_BYTES));
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + 16));
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES + 16)), decipher.final()]);
+}
+
+// "enc1:<key id>:<wrapped data key>:<encrypted secret>". Throws when no
+// master key is configured; secrets are never stored in plaintext.
+export function encryptSecret(plaintext) {
+  const keys = loadMasterKeys();
+  const [keyId, masterKey] = keys.entries().next().value || [];
+  if (!masterKey) {
+    throw new Error("SECRETS_MASTER_KEYS is not set; secrets can't be stored");
+  }
+
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  return [ENVELOPE_PREFIX, keyId, seal(masterKey, dataKey), seal(dataKey, Buffer.from(plaintext, 'utf8'))].join(':');
+}
+
+// Plaintext of a stored secret. Values saved before encryption existed are
+// returned as they are. Throws when the master key is missing or the value
+// was tampered with.
+export function decryptSecret(stored) {
+  if (!stored) return null;
+  if (!isEncryptedSecret(stored)) return stored;
+
+  const [, keyId, wrappedKey, payload] = stored.split(':');
+  const masterKey = loadMasterKeys().get(keyId);
+  if (!masterKey) {
+    throw new Error(`Master key "${keyId}" is not in SECRETS_MASTER_KEYS`);
+  }
+  return open(open(masterKey, wrappedKey), payload).toString('utf8');
+}
+
+// Re-encrypt under the current master key with a fresh data key. Returns
+// null when the value already uses the current key.
+export function reencryptSecret(stored) {
+  if (!stored || secretKeyId(stored) === currentMasterKeyId()) return null;
+  return encryptSecret(decryptSecret(stored));
+}
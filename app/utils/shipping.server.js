@@ -0,0 +1,243 @@
+// Shipping zones, rates and free-shipping thresholds for chat answers
+// Rates come from the shop's default delivery profile (Admin API,
+// `read_shipping`) and are cached per shop in ShippingCache as JSON. The cache
+// is refreshed with each content sync and lazily when it is older than a day.
+
+import prisma from "../db.server";
+
+const SHIPPING_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const countryNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+// Common ways of naming a country that aren't its code or English name
+const COUNTRY_ALIASES = {
+  uk: 'GB',
+  'great britain': 'GB',
+  england: 'GB',
+  scotland: 'GB',
+  wales: 'GB',
+  usa: 'US',
+  america: 'US',
+  'united states of america': 'US',
+  holland: 'NL',
+  uae: 'AE',
+};
+
+function isKnownRegion(code) {
+  const name = countryNames.of(code);
+  return Boolean(name) && name !== code && name !== 'Unknown Region';
+}
+
+// Every ISO 3166 alpha-2 code Intl knows a name for, by lower-case name
+let countryCodesByName = null;
+
+function countryCodeForName(name) {
+  if (!countryCodesByName) {
+    countryCodesByName = new Map();
+    const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    for (const first of letters) {
+      for (const second of letters) {
+        const code = first + second;
+        if (isKnownRegion(code)) countryCodesByName.set(countryNames.of(code).toLowerCase(), code);
+      }
+    }
+  }
+  return countryCodesByName.get(name.toLowerCase()) || null;
+}
+
+// "Norway", "norway" and "NO" all resolve to `{ code: "NO", name: "Norway" }`
+export function resolveCountry(input) {
+  const text = (input || '').trim();
+  if (!text) return null;
+
+  const code = COUNTRY_ALIASES[text.toLowerCase()] ||
+    (/^[a-z]{2}$/i.test(text) ? text.toUpperCase() : countryCodeForName(text));
+  return code && isKnownRegion(code) ? { code, name: countryNames.of(code) } : null;
+}
+
+// "Standard (3-5 business days)" -> { minDays: 3, maxDays: 5, businessDays: true }
+function parseDeliveryDays(...texts) {
+  const text = texts.filter(Boolean).join(' ');
+  const range = text.match(/(\d+)\s*(?:-|–|to)\s*(\d+)\s*(business\s+|working\s+)?days?/i);
+  if (range) {
+    return { minDays: Number(range[1]), maxDays: Number(range[2]), businessDays: Boolean(range[3]) };
+  }
+  const single = text.match(/(\d+)\s*(business\s+|working\s+)?days?/i);
+  if (single) {
+    return { minDays: Number(single[1]), maxDays: Number(single[1]), businessDays: Boolean(single[2]) };
+  }
+  return null;
+}
+
+function parseConditions(methodConditions) {
+  const conditions = {};
+  (methodConditions || []).forEach(({ field, operator, conditionCriteria }) => {
+    const value = Number(conditionCriteria?.amount ?? conditionCriteria?.value);
+    if (Number.isNaN(value)) return;
+    const bound = operator === 'GREATER_THAN_OR_EQUAL_TO' ? 'min' : 'max';
+    const key = field === 'TOTAL_WEIGHT' ? `${bound}Weight` : `${bound}Subtotal`;
+    conditions[key] = value;
+    if (field === 'TOTAL_WEIGHT') conditions.weightUnit = conditionCriteria.unit;
+  });
+  return conditions;
+}
+
+function toRate(method) {
+  const provider = method.rateProvider || {};
+  const carrierCalculated = !provider.price;
+  return {
+    name: method.name,
+    price: carrierCalculated ? null : Number(provider.price.amount),
+    currency: provider.price?.currencyCode || provider.fixedFee?.currencyCode || null,
+    carrierCalculated,
+    ...parseConditions(method.methodConditions),
+    delivery: parseDeliveryDays(method.name, method.description),
+  };
+}
+
+async function fetchShippingZones(admin) {
+  const response = await admin.graphql(`
+    query getShippingZones {
+      deliveryProfiles(first: 10) {
+        edges {
+          node {
+            default
+            profileLocationGroups {
+              locationGroupZones(first: 50) {
+                edges {
+                  node {
+                    zone {
+                      name
+                      countries { name code { countryCode restOfWorld } }
+                    }
+                    methodDefinitions(first: 20) {
+                      edges {
+                        node {
+                          name
+                          description
+                          active
+                          rateProvider {
+                            ... on DeliveryRateDefinition { price { amount currencyCode } }
+                            ... on DeliveryParticipant { fixedFee { amount currencyCode } }
+                          }
+                          methodConditions {
+                            field
+                            operator
+                            conditionCriteria {
+                              ... on MoneyV2 { amount currencyCode }
+                              ... on Weight { unit value }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `);
+
+  const data = await response.json();
+  // A failed read (missing scope, throttling) must not be cached as "ships nowhere"
+  if (data.errors) {
+    throw new Error(`Shipping zones GraphQL errors: ${JSON.stringify(data.errors)}`);
+  }
+  if (!data.data?.deliveryProfiles) {
+    throw new Error("Shipping zones response has no delivery profiles");
+  }
+  const profiles = data.data.deliveryProfiles.edges.map(edge => edge.node);
+  // Product-specific profiles only apply to some items; the default one is
+  // what a typical order ships with
+  const profile = profiles.find(p => p.default) || profiles[0];
+  if (!profile) return [];
+
+  return profile.profileLocationGroups.flatMap(group =>
+    group.locationGroupZones.edges.map(({ node }) => ({
+      name: node.zone.name,
+      restOfWorld: node.zone.countries.some(country => country.code.restOfWorld),
+      countries: node.zone.countries
+        .filter(country => country.code.countryCode)
+        .map(country => ({ code: country.code.countryCode, name: country.name })),
+      rates: node.methodDefinitions.edges
+        .map(edge => edge.node)
+        .filter(method => method.active)
+        .map(toRate),
+    })),
+  );
+}
+
+// Re-read the shop's shipping zones into the cache. Called after syncs;
+// failures are logged and leave the previous cache in place.
+export async function refreshShippingCache(admin, shopId) {
+  try {
+    const zones = await fetchShippingZones(admin);
+    await prisma.shippingCache.upsert({
+      where: { shopId },
+      update: { zones: JSON.stringify(zones), refreshedAt: new Date() },
+      create: { shopId, zones: JSON.stringify(zones), refreshedAt: new Date() },
+    });
+    console.log(`🚚 Cached ${zones.length} shipping zones`);
+    return zones;
+  } catch (error) {
+    console.error('Error refreshing shipping cache:', error);
+    return null;
+  }
+}
+
+// Cached zones, refreshed first when missing or stale and `admin` is available.
+// Null when the zones have never been read.
+export async function getShippingZones(admin, shopId) {
+  const cache = await prisma.shippingCache.findUnique({ where: { shopId } });
+  const stale = !cache || Date.now() - cache.refreshedAt.getTime() > SHIPPING_CACHE_TTL_MS;
+
+  if (stale && admin) {
+    const zones = await refreshShippingCache(admin, shopId);
+    if (zones) return zones;
+  }
+  return cache ? JSON.parse(cache.zones) : null;
+}
+
+// Shipping options to `country` as `{ destination, zone, rates,
+// freeShippingThreshold, amountToFreeShipping }`, or `{ error }`. With a
+// `cartTotal`, rates whose subtotal conditions exclude the cart are dropped.
+export async function estimateShipping(admin, shopId, { country, cartTotal = null }) {
+  const destination = resolveCountry(country);
+  if (!destination) {
+    return { error: `Unknown country "${country}". Ask the customer which country to ship to.` };
+  }
+
+  const zones = await getShippingZones(admin, shopId);
+  if (!zones) {
+    return { destination, error: "Shipping rates aren't available right now. Suggest checking them at checkout." };
+  }
+  const zone = zones.find(z => z.countries.some(c => c.code === destination.code)) ||
+    zones.find(z => z.restOfWorld);
+  if (!zone || zone.rates.length === 0) {
+    return { destination, error: `The store doesn't ship to ${destination.name}.` };
+  }
+
+  const freeRates = zone.rates.filter(rate => rate.price === 0);
+  const freeShippingThreshold = freeRates.length > 0
+    ? Math.min(...freeRates.map(rate => rate.minSubtotal || 0))
+    : null;
+
+  const rates = zone.rates
+    .filter(rate => cartTotal == null ||
+      ((rate.minSubtotal == null || cartTotal >= rate.minSubtotal) &&
+       (rate.maxSubtotal == null || cartTotal <= rate.maxSubtotal)))
+    .sort((a, b) => (a.price ?? Infinity) - (b.price ?? Infinity));
+
+  return {
+    destination,
+    zone: zone.name,
+    rates,
+    freeShippingThreshold,
+    amountToFreeShipping: cartTotal != null && freeShippingThreshold > cartTotal
+      ? Number((freeShippingThreshold - cartTotal).toFixed(2))
+      : null,
+  };
+}
@@ -0,0 +1,262 @@
+// Store content retrieval shared by the chat engine
+// Reads pre-scraped ShopContent rows and enriches products with live Admin API data
+
+import prisma from "../db.server";
+import { loadRankedContent, loadRankedPassages } from "./content-search.server";
+import { retrieveContent, retrievePassages } from "./hybrid-retriever.server";
+import { embedQuery } from "./embeddings.server";
+
+// Basic store facts for the system prompt. Falls back to a minimal context when
+// no Admin API client is available or the query fails.
+export async function getStoreContext(admin, shopDomain) {
+  const fallback = {
+    shop: { name: shopDomain.replace('.myshopify.com', ''), currencyCode: 'EUR' },
+    collections: [],
+    productCount: "Many",
+  };
+
+  if (!admin) return fallback;
+
+  try {
+    const response = await admin.graphql(`
+      query getStoreInfo {
+        shop {
+          name
+          primaryDomain {
+            host
+          }
+          currencyCode
+          myshopifyDomain
+        }
+        collections(first: 10) {
+          edges {
+            node {
+              id
+              title
+              handle
+            }
+          }
+        }
+        products(first: 100) {
+          edges {
+            node {
+              id
+            }
+          }
+        }
+      }
+    `);
+
+    const data = await response.json();
+    const productCount = data.data.products.edges.length;
+
+    return {
+      shop: data.data.shop,
+      collections: data.data.collections.edges.map(edge => edge.node),
+      productCount: productCount > 0 ? productCount.toString() : "0",
+    };
+  } catch (error) {
+    console.error("Error fetching store context:", error);
+    return fallback;
+  }
+}
+
+const CONTENT_ITEM_SELECT = {
+  id: true,
+  contentType: true,
+  title: true,
+  excerpt: true,
+  url: true,
+  publishedAt: true,
+};
+
+// Passages kept per item in search results
+const PASSAGES_PER_ITEM = 2;
+
+// Attach the best-matching passages to each item and add items that only
+// matched through a passage (e.g. a long article whose title doesn't match)
+async function withBestPassages(shopId, items, { query, contentTypes, limit, botConfig, queryEmbedding }) {
+  const ranked = await retrievePassages(shopId, { query, contentTypes, limit: limit * 3, botConfig, queryEmbedding });
+  if (!ranked || ranked.hits.length === 0) return items;
+
+  const passages = await loadRankedPassages(ranked.hits);
+  const passagesByContent = new Map();
+  passages.forEach(passage => {
+    const list = passagesByContent.get(passage.contentId) || [];
+    if (list.length < PASSAGES_PER_ITEM) {
+      list.push({ heading: passage.heading, text: passage.text });
+    }
+    passagesByContent.set(passage.contentId, list);
+  });
+
+  const missingIds = [...passagesByContent.keys()].filter(id => !items.some(item => item.id === id));
+  const extraItems = items.length < limit
+    ? await loadRankedContent(missingIds.slice(0, limit - items.length).map(id => ({ id })), CONTENT_ITEM_SELECT)
+    : [];
+
+  return [...items, ...extraItems].map(item => (
+    passagesByContent.has(item.id) ? { ...item, passages: passagesByContent.get(item.id) } : item
+  ));
+}
+
+// Search pre-scraped store content (products, articles, collections, pages),
+// ranked by blended keyword and semantic relevance. Long articles and pages
+// come with their best-matching passages. Without a query the latest content
+// is listed. `botConfig` selects the embedding model.
+export async function searchStoreContent(shopId, { query, contentTypes = [], limit = 5, botConfig }) {
+  const text = (query || '').trim();
+  try {
+    // One query embedding serves both the item and the passage search
+    const queryEmbedding = await embedQuery(text, botConfig);
+    const ranked = await retrieveContent(shopId, { query: text, contentTypes, limit, botConfig, queryEmbedding });
+
+    let items;
+    let total;
+    if (ranked) {
+      items = await loadRankedContent(ranked.hits, CONTENT_ITEM_SELECT);
+      items = await withBestPassages(shopId, items, { query: text, contentTypes, limit, botConfig, queryEmbedding });
+      total = Math.max(ranked.total, items.length);
+    } else {
+      const where = { shopId, isActive: true };
+      if (contentTypes && contentTypes.length > 0) {
+        where.contentType = { in: contentTypes };
+      }
+      items = await prisma.shopContent.findMany({
+        where,
+        orderBy: { updatedAt: 'desc' },
+        take: limit,
+        select: CONTENT_ITEM_SELECT,
+      });
+      total = await prisma.shopContent.count({ where });
+    }
+
+    return {
+      items,
+      query: text,
+      total,
+      contentTypes: contentTypes.length ? contentTypes : undefined,
+    };
+  } catch (error) {
+    console.error('Error searching store content:', error);
+    return { items: [], query, total: 0, error: 'Failed to search content' };
+  }
+}
+
+// Recommend products using store content (not a raw search)
+// At or below this many units a tracked variant shows as low stock
+const LOW_STOCK_THRESHOLD = 5;
+
+// "in_stock", "low_stock" or "sold_out". Variants that don't track inventory or
+// keep selling when out of stock are always in stock while purchasable.
+function stockState(variant) {
+  if (!variant.availableForSale) return 'sold_out';
+  const tracked = variant.inventoryItem?.tracked && variant.inventoryPolicy === 'DENY';
+  return tracked && variant.inventoryQuantity <= LOW_STOCK_THRESHOLD ? 'low_stock' : 'in_stock';
+}
+
+function toCardVariant(variant) {
+  const stock = stockState(variant);
+  return {
+    id: variant.id,
+    title: variant.title,
+    price: variant.price,
+    compareAtPrice: variant.compareAtPrice,
+    available: variant.availableForSale,
+    stock,
+    ...(stock === 'low_stock' ? { quantityLeft: variant.inventoryQuantity } : {}),
+    options: Object.fromEntries((variant.selectedOptions || []).map(option => [option.name, option.value])),
+    image: variant.image ? { url: variant.image.url, alt: variant.image.altText || variant.title } : null,
+  };
+}
+
+export async function recommendProducts(admin, shopId, { query = "", limit = 5, botConfig }) {
+  // 1) Rank scraped products by keyword and semantic relevance; a generic
+  //    request with no searchable terms gets the latest products
+  const take = Math.max(limit, 8);
+  const ranked = await retrieveContent(shopId, { query, contentTypes: ['product'], limit: take, botConfig });
+  const matches = ranked
+    ? await loadRankedContent(ranked.hits)
+    : await prisma.shopContent.findMany({
+        where: { shopId, contentType: 'product', isActive: true },
+        orderBy: { updatedAt: 'desc' },
+        take,
+      });
+
+  const topIds = matches.map(p => p.externalId);
+  if (topIds.length === 0) {
+    return { products: [], total: 0, query };
+  }
+
+  // Without an Admin API client, cards are built from scraped content only
+  if (!admin) {
+    const products = matches.map(p => ({
+      id: p.externalId,
+      title: p.title,
+      handle: p.url?.replace('/products/', ''),
+      description: (p.content || '').substring(0, 150) + (p.content?.length > 150 ? '...' : ''),
+      price: 'Price on request',
+      compareAtPrice: null,
+      available: true,
+      image: null,
+    }));
+    return { products, total: products.length, query };
+  }
+
+  // 2) Enrich with live details (options, variants, stock, images) by IDs
+  const resp = await admin.graphql(`
+    query getProductsByIds($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Product {
+          id
+          title
+          handle
+          description
+          options { name values }
+          images(first: 1) { edges { node { url altText } } }
+          variants(first: 100) {
+            edges {
+              node {
+                id
+                title
+                availableForSale
+                price
+                compareAtPrice
+                inventoryQuantity
+                inventoryPolicy
+                inventoryItem { tracked }
+                selectedOptions { name value }
+                image { url altText }
+              }
+            }
+          }
+        }
+      }
+    }
+  `, { variables: { ids: topIds } });
+
+  const data = await resp.json();
+  const products = (data.data?.nodes || [])
+    .filter(Boolean)
+    .map(prod => {
+      const variants = (prod.variants?.edges || []).map(edge => toCardVariant(edge.node));
+      // Cards open on the first variant that can be bought
+      const v = variants.find(variant => variant.available) || variants[0] || {};
+      const img = prod.images?.edges?.[0]?.node || null;
+      return {
+        id: prod.id,
+        title: prod.title,
+        handle: prod.handle,
+        description: (prod.description || '').substring(0, 150) + (prod.description?.length > 150 ? '...' : ''),
+        price: v.price || 'Price on request',
+        compareAtPrice: v.compareAtPrice,
+        available: variants.some(variant => variant.available),
+        image: img ? { url: img.url, alt: img.altText || prod.title } : null,
+        // Options with more than one value get a picker on the card;
+        // "Title: Default Title" is Shopify's placeholder for no options
+        options: (prod.options || []).filter(option => !(option.name === 'Title' && option.values.length === 1)),
+        variants,
+      };
+    });
+
+  return { products, total: products.length, query };
+}
@@ -0,0 +1,119 @@
+// Request handling shared by the public chat endpoints (/api/chat and /api/chat/stream)
+
+import { json } from "@remix-run/node";
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { loadChatShop } from "./chat-engine.server";
+import { issueWidgetToken, verifyWidgetToken, widgetOrigin } from "./widget-token.server";
+import {
+  RATE_LIMITED_MESSAGE,
+  chatRateLimitRules,
+  checkRateLimits,
+  clientIp,
+  isIpBlocked,
+} from "./rate-limit/index.server";
+
+const SHOP_DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+
+// Admin API client for storefront requests, backed by the shop's offline session.
+// Returns null when the shop has no stored session so the engine can degrade.
+export async function getStorefrontAdmin(shopDomain) {
+  try {
+    const { admin } = await unauthenticated.admin(shopDomain);
+    return admin;
+  } catch (error) {
+    console.warn("⚠️ No offline session for shop, continuing without Admin API:", shopDomain);
+    return null;
+  }
+}
+
+// The shop behind a storefront `?shop=` value when the app is installed
+// there, or null. Installed means a Shop row that the app/uninstalled webhook
+// hasn't deactivated, with a bot config and an offline session (created when
+// the merchant installs the app). Shops are never created from storefront
+// requests, so nobody can spin up a bot for an arbitrary domain.
+export async function findInstalledShop(shopDomain) {
+  const domain = (shopDomain || '').trim().toLowerCase();
+  const allowedCustomDomain = process.env.SHOP_CUSTOM_DOMAIN && domain.endsWith(`.${process.env.SHOP_CUSTOM_DOMAIN}`);
+  if (!SHOP_DOMAIN_PATTERN.test(domain) && !allowedCustomDomain) return null;
+
+  const [shop, offlineSession] = await Promise.all([
+    loadChatShop(domain),
+    prisma.session.findFirst({ where: { shop: domain, isOnline: false }, select: { id: true } }),
+  ]);
+  if (!shop?.isActive || !shop.botConfig || !offlineSession) return null;
+  return shop;
+}
+
+// Resolve the shop a widget request is for. Only the `shop` query parameter
+// is used. Throws a JSON Response when the request cannot be served, including
+// a 403 with code `blocked` for visitors on the shop's IP blocklist.
+export async function loadStorefrontShop(request) {
+  const shopDomain = new URL(request.url).searchParams.get("shop");
+
+  if (!shopDomain) {
+    throw json({ error: "Shop domain not found" }, { status: 400 });
+  }
+
+  const shop = await findInstalledShop(shopDomain);
+
+  if (!shop) {
+    console.warn("🚫 Rejected storefront request for unknown or inactive shop:", shopDomain);
+    throw json({
+      error: "Chat is not available for this store"
+    }, { status: 404 });
+  }
+
+  const ip = clientIp(request);
+  if (isIpBlocked(ip, shop.botConfig.ipBlocklist)) {
+    console.warn(`🚫 Blocked storefront request from ${ip} for ${shop.shopDomain}`);
+    throw json({ error: "Chat is not available", code: "blocked" }, { status: 403 });
+  }
+
+  return shop;
+}
+
+// Parse a widget chat POST, check its widget token and resolve its shop and
+// Admin API client. `nextToken` is the token for the widget's next request.
+// Throws a 401 JSON Response with a `token_*` code when the token is rejected,
+// and a 429 with code `rate_limited`, a Retry-After header and the next token
+// when the shop's message limits are used up.
+export async function readStorefrontChatRequest(request) {
+  const formData = await request.formData();
+  const message = formData.get("message");
+  const sessionId = formData.get("sessionId");
+  const fingerprint = formData.get("fingerprint");
+
+  const shop = await loadStorefrontShop(request);
+
+  const verification = await verifyWidgetToken(request, {
+    token: formData.get("token"),
+    shopDomain: shop.shopDomain,
+    sessionId,
+  });
+  if (!verification.ok) {
+    console.warn(`🚫 Rejected chat request for ${shop.shopDomain}: ${verification.code}`);
+    throw json({ error: "Chat session needs a new token", code: verification.code }, { status: 401 });
+  }
+  const nextToken = issueWidgetToken({ shopDomain: shop.shopDomain, sessionId, origin: widgetOrigin(request) });
+
+  const rateLimit = await checkRateLimits(chatRateLimitRules(shop.botConfig, {
+    shopId: shop.id,
+    sessionId,
+    ip: clientIp(request),
+  }));
+  if (!rateLimit.ok) {
+    console.warn(`🚦 Rate limited chat request for ${shop.shopDomain}: ${rateLimit.rule}`);
+    throw json(
+      { error: RATE_LIMITED_MESSAGE, code: "rate_limited", retryAfter: rateLimit.retryAfter, token: nextToken },
+      { status: 429, headers: { "Retry-After": String(rateLimit.retryAfter) } },
+    );
+  }
+
+  console.log("📝 Message:", message);
+  console.log("🏪 Shop:", shop.shopDomain);
+
+  const admin = await getStorefrontAdmin(shop.shopDomain);
+
+  return { shop, admin, message, sessionId, fingerprint, nextToken };
+}
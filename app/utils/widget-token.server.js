@@ -0,0 +1,145 @@
+// Signed tokens for the public chat API
+// The /chatbot loader issues a short-lived token bound to the shop, the chat
+// session id and the origin the widget runs on, signed with HMAC-SHA256.
+// Chat POSTs must carry one; each token is accepted once (its id is recorded
+// in WidgetTokenUse until it expires) and every reply hands the widget the
+// next one. When a token is rejected the response carries a `token_*` error
+// code and the widget gets a fresh one from /api/chat/token, which trades in a
+// token this app signed for the same shop and origin once, for the same chat
+// session.
+
+import crypto from "node:crypto";
+import prisma from "../db.server";
+
+const TOKEN_VERSION = "v1";
+const TOKEN_TTL_MS = 15 * 60 * 1000;
+// How old a token may be and still be traded in for a new one
+const REFRESH_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+export const WIDGET_TOKEN_ERRORS = {
+  MISSING: "token_missing",
+  INVALID: "token_invalid",
+  EXPIRED: "token_expired",
+  REPLAYED: "token_replayed",
+};
+
+function signingSecret() {
+  const secret = process.env.WIDGET_TOKEN_SECRET || process.env.SHOPIFY_API_SECRET;
+  if (!secret) {
+    throw new Error("WIDGET_TOKEN_SECRET or SHOPIFY_API_SECRET must be set to sign widget tokens");
+  }
+  return secret;
+}
+
+function sign(payload) {
+  return crypto.createHmac("sha256", signingSecret()).update(payload).digest("base64url");
+}
+
+// Origin the widget page is served from, as the browser sees it. Behind a
+// proxy request.url may not match, so the configured app URL wins.
+export function widgetOrigin(request) {
+  return new URL(process.env.SHOPIFY_APP_URL || request.url).origin;
+}
+
+// Origin a widget request came from: the Origin header, or the Referer's
+// origin for requests that don't send one
+function requestOrigin(request) {
+  const origin = request.headers.get("origin");
+  if (origin && origin !== "null") return origin;
+  try {
+    return new URL(request.headers.get("referer")).origin;
+  } catch (_) {
+    return null;
+  }
+}
+
+export function issueWidgetToken({ shopDomain, sessionId, origin }) {
+  const now = Date.now();
+  const payload = Buffer.from(JSON.stringify({
+    shop: shopDomain,
+    sid: sessionId,
+    origin,
+    iat: now,
+    exp: now + TOKEN_TTL_MS,
+    jti: crypto.randomUUID(),
+  })).toString("base64url");
+  return `${TOKEN_VERSION}.${payload}.${sign(payload)}`;
+}
+
+// Claims of a token this app signed, or null
+function readToken(token) {
+  const [version, payload, signature] = String(token || "").split(".");
+  if (version !== TOKEN_VERSION || !payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    return JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch (_) {
+    return null;
+  }
+}
+
+// Record the token as used, for a chat request or a refresh. False when it
+// was used before. The record outlives the token by the refresh window so a
+// spent token can't be traded in later.
+async function claimToken(claims) {
+  try {
+    await prisma.widgetTokenUse.create({
+      data: { jti: claims.jti, expiresAt: new Date(claims.iat + REFRESH_WINDOW_MS) },
+    });
+  } catch (error) {
+    if (error.code === "P2002") return false;
+    throw error;
+  }
+
+  // Used ids only matter until their token can no longer be refreshed
+  if (Math.random() < 0.01) {
+    prisma.widgetTokenUse.deleteMany({ where: { expiresAt: { lt: new Date() } } })
+      .catch(cleanupError => console.error("Error cleaning up widget token uses:", cleanupError));
+  }
+  return true;
+}
+
+// Check the token on a chat request and use it up. With `consume: false` the
+// token must still be unused but stays valid (for requests such as cart syncs
+// that run alongside chat and don't hand out a next token). Returns
+// `{ ok: true }` or `{ ok: false, code }` with one of WIDGET_TOKEN_ERRORS.
+export async function verifyWidgetToken(request, { token, shopDomain, sessionId, consume = true }) {
+  if (!token) return { ok: false, code: WIDGET_TOKEN_ERRORS.MISSING };
+
+  const claims = readToken(token);
+  if (!claims || claims.shop !== shopDomain || claims.sid !== sessionId || claims.origin !== requestOrigin(request)) {
+    return { ok: false, code: WIDGET_TOKEN_ERRORS.INVALID };
+  }
+  if (Date.now() > claims.exp) {
+    return { ok: false, code: WIDGET_TOKEN_ERRORS.EXPIRED };
+  }
+  const unused = consume
+    ? await claimToken(claims)
+    : !(await prisma.widgetTokenUse.findUnique({ where: { jti: claims.jti }, select: { jti: true } }));
+  if (!unused) {
+    return { ok: false, code: WIDGET_TOKEN_ERRORS.REPLAYED };
+  }
+  return { ok: true };
+}
+
+// A new token for the same chat session in exchange for an unused earlier one
+// from the same shop and origin (expired is fine, within REFRESH_WINDOW_MS).
+// The old token is used up. Returns `{ token, sessionId }` or `{ code }`.
+export async function refreshWidgetToken(request, { token, shopDomain }) {
+  const claims = readToken(token);
+  const origin = requestOrigin(request);
+  if (!claims || claims.shop !== shopDomain || claims.origin !== origin) {
+    return { code: WIDGET_TOKEN_ERRORS.INVALID };
+  }
+  if (Date.now() - claims.iat > REFRESH_WINDOW_MS) {
+    return { code: WIDGET_TOKEN_ERRORS.EXPIRED };
+  }
+  if (!(await claimToken(claims))) {
+    return { code: WIDGET_TOKEN_ERRORS.REPLAYED };
+  }
+  return { token: issueWidgetToken({ shopDomain, sessionId: claims.sid, origin }), sessionId: claims.sid };
+}
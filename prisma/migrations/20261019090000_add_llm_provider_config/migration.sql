@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "bot_configs" ADD COLUMN "llmProvider" TEXT NOT NULL DEFAULT 'openai';
+ALTER TABLE "bot_configs" ADD COLUMN "llmBaseUrl" TEXT;
+ALTER TABLE "bot_configs" ADD COLUMN "llmModel" TEXT NOT NULL DEFAULT 'gpt-4o-mini';
+ALTER TABLE "bot_configs" ADD COLUMN "chatModel" TEXT;
+ALTER TABLE "bot_configs" ADD COLUMN "followUpModel" TEXT;
+ALTER TABLE "bot_configs" ADD COLUMN "analyticsModel" TEXT;
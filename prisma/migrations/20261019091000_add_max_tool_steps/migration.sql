@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "bot_configs" ADD COLUMN "maxToolSteps" INTEGER NOT NULL DEFAULT 4;
@@ -0,0 +1,34 @@
+-- CreateVirtualTable
+-- Full-text index over shop_content. Not modelled in schema.prisma; queried
+-- with raw SQL from app/utils/content-search.server.js.
+CREATE VIRTUAL TABLE "shop_content_fts" USING fts5(
+    "contentId" UNINDEXED,
+    "title",
+    "searchableContent",
+    "keywords",
+    "tags",
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+);
+
+-- Backfill
+INSERT INTO "shop_content_fts" ("contentId", "title", "searchableContent", "keywords", "tags")
+SELECT "id", "title", "searchableContent", COALESCE("keywords", ''), COALESCE("tags", '') FROM "shop_content";
+
+-- CreateTrigger
+CREATE TRIGGER "shop_content_fts_insert" AFTER INSERT ON "shop_content" BEGIN
+    INSERT INTO "shop_content_fts" ("contentId", "title", "searchableContent", "keywords", "tags")
+    VALUES (NEW."id", NEW."title", NEW."searchableContent", COALESCE(NEW."keywords", ''), COALESCE(NEW."tags", ''));
+END;
+
+-- CreateTrigger
+CREATE TRIGGER "shop_content_fts_update" AFTER UPDATE OF "title", "searchableContent", "keywords", "tags" ON "shop_content" BEGIN
+    DELETE FROM "shop_content_fts" WHERE "contentId" = OLD."id";
+    INSERT INTO "shop_content_fts" ("contentId", "title", "searchableContent", "keywords", "tags")
+    VALUES (NEW."id", NEW."title", NEW."searchableContent", COALESCE(NEW."keywords", ''), COALESCE(NEW."tags", ''));
+END;
+
+-- CreateTrigger
+CREATE TRIGGER "shop_content_fts_delete" AFTER DELETE ON "shop_content" BEGIN
+    DELETE FROM "shop_content_fts" WHERE "contentId" = OLD."id";
+END;
@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "bot_configs" ADD COLUMN "embeddingModel" TEXT;
+
+-- CreateTable
+CREATE TABLE "content_embeddings" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "contentId" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "dimensions" INTEGER NOT NULL,
+    "vector" BLOB NOT NULL,
+    "contentHash" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "content_embeddings_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "shops" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "content_embeddings_contentId_fkey" FOREIGN KEY ("contentId") REFERENCES "shop_content" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "content_embeddings_contentId_key" ON "content_embeddings"("contentId");
+
+-- CreateIndex
+CREATE INDEX "content_embeddings_shopId_model_idx" ON "content_embeddings"("shopId", "model");
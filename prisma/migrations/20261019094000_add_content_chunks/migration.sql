@@ -0,0 +1,50 @@
+-- CreateTable
+CREATE TABLE "content_chunks" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "contentId" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "heading" TEXT,
+    "text" TEXT NOT NULL,
+    "sourceHash" TEXT NOT NULL,
+    "embeddingModel" TEXT,
+    "vector" BLOB,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "content_chunks_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "shops" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "content_chunks_contentId_fkey" FOREIGN KEY ("contentId") REFERENCES "shop_content" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "content_chunks_contentId_position_idx" ON "content_chunks"("contentId", "position");
+
+-- CreateIndex
+CREATE INDEX "content_chunks_shopId_embeddingModel_idx" ON "content_chunks"("shopId", "embeddingModel");
+
+-- CreateVirtualTable
+-- Full-text index over content_chunks, kept in sync by the triggers below
+-- (see add_shop_content_fts for the shop_content equivalent).
+CREATE VIRTUAL TABLE "content_chunks_fts" USING fts5(
+    "chunkId" UNINDEXED,
+    "heading",
+    "text",
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+);
+
+-- CreateTrigger
+CREATE TRIGGER "content_chunks_fts_insert" AFTER INSERT ON "content_chunks" BEGIN
+    INSERT INTO "content_chunks_fts" ("chunkId", "heading", "text")
+    VALUES (NEW."id", COALESCE(NEW."heading", ''), NEW."text");
+END;
+
+-- CreateTrigger
+CREATE TRIGGER "content_chunks_fts_update" AFTER UPDATE OF "heading", "text" ON "content_chunks" BEGIN
+    DELETE FROM "content_chunks_fts" WHERE "chunkId" = OLD."id";
+    INSERT INTO "content_chunks_fts" ("chunkId", "heading", "text")
+    VALUES (NEW."id", COALESCE(NEW."heading", ''), NEW."text");
+END;
+
+-- CreateTrigger
+CREATE TRIGGER "content_chunks_fts_delete" AFTER DELETE ON "content_chunks" BEGIN
+    DELETE FROM "content_chunks_fts" WHERE "chunkId" = OLD."id";
+END;
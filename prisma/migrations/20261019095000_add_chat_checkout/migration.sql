@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "chat_sessions" ADD COLUMN "checkoutUrl" TEXT;
+ALTER TABLE "chat_sessions" ADD COLUMN "checkoutCreatedAt" DATETIME;
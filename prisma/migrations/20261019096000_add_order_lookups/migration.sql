@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "order_lookups" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "orderName" TEXT NOT NULL,
+    "verified" BOOLEAN NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "order_lookups_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "shops" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "order_lookups_shopId_createdAt_idx" ON "order_lookups"("shopId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "order_lookups_sessionId_createdAt_idx" ON "order_lookups"("sessionId", "createdAt");
@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "bot_configs" ADD COLUMN "discountEnabled" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "bot_configs" ADD COLUMN "discountPercentage" INTEGER NOT NULL DEFAULT 10;
+ALTER TABLE "bot_configs" ADD COLUMN "discountMaxPerSession" INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE "bot_configs" ADD COLUMN "discountExpiryHours" INTEGER NOT NULL DEFAULT 48;
+ALTER TABLE "bot_configs" ADD COLUMN "discountMinCartAmount" REAL NOT NULL DEFAULT 0;
+ALTER TABLE "bot_configs" ADD COLUMN "discountTriggers" TEXT NOT NULL DEFAULT 'first_time_visitor,cart_abandonment';
+ALTER TABLE "bot_configs" ADD COLUMN "discountDailyBudget" INTEGER NOT NULL DEFAULT 20;
+
+-- CreateTable
+CREATE TABLE "discount_issuances" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "discountId" TEXT NOT NULL,
+    "percentage" INTEGER NOT NULL,
+    "trigger" TEXT NOT NULL,
+    "expiresAt" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "discount_issuances_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "shops" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "discount_issuances_code_key" ON "discount_issuances"("code");
+
+-- CreateIndex
+CREATE INDEX "discount_issuances_shopId_createdAt_idx" ON "discount_issuances"("shopId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "discount_issuances_sessionId_idx" ON "discount_issuances"("sessionId");
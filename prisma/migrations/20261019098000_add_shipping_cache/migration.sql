@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "shipping_caches" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "zones" TEXT NOT NULL,
+    "refreshedAt" DATETIME NOT NULL,
+    CONSTRAINT "shipping_caches_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "shops" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "shipping_caches_shopId_key" ON "shipping_caches"("shopId");
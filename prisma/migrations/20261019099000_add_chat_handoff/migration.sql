@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "chat_sessions" ADD COLUMN "handoffStatus" TEXT;
+ALTER TABLE "chat_sessions" ADD COLUMN "handoffReason" TEXT;
+ALTER TABLE "chat_sessions" ADD COLUMN "handoffRequestedAt" DATETIME;
+ALTER TABLE "chat_sessions" ADD COLUMN "assignedAgent" TEXT;
+ALTER TABLE "chat_sessions" ADD COLUMN "failedTurns" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "chat_sessions_shopId_handoffStatus_idx" ON "chat_sessions"("shopId", "handoffStatus");
@@ -0,0 +1,39 @@
+-- CreateIndex
+CREATE INDEX "chat_sessions_shopId_createdAt_idx" ON "chat_sessions"("shopId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "chat_messages_sessionId_timestamp_idx" ON "chat_messages"("sessionId", "timestamp");
+
+-- CreateVirtualTable
+-- Full-text index over chat_messages for the admin Conversations page, kept in
+-- sync by the triggers below (see add_shop_content_fts). Queried with raw SQL
+-- from app/utils/conversations.server.js. Each row shares its rowid with its
+-- message so updates and deletes find it through the rowid, not by scanning
+-- the unindexed "messageId" column; the "messageId" check guards against
+-- rowids renumbered by a VACUUM.
+CREATE VIRTUAL TABLE "chat_messages_fts" USING fts5(
+    "messageId" UNINDEXED,
+    "content",
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+);
+
+-- Backfill
+INSERT INTO "chat_messages_fts" ("rowid", "messageId", "content")
+SELECT "rowid", "id", "content" FROM "chat_messages";
+
+-- CreateTrigger
+CREATE TRIGGER "chat_messages_fts_insert" AFTER INSERT ON "chat_messages" BEGIN
+    INSERT INTO "chat_messages_fts" ("rowid", "messageId", "content") VALUES (NEW."rowid", NEW."id", NEW."content");
+END;
+
+-- CreateTrigger
+CREATE TRIGGER "chat_messages_fts_update" AFTER UPDATE OF "content" ON "chat_messages" BEGIN
+    DELETE FROM "chat_messages_fts" WHERE "rowid" = OLD."rowid" AND "messageId" = OLD."id";
+    INSERT INTO "chat_messages_fts" ("rowid", "messageId", "content") VALUES (NEW."rowid", NEW."id", NEW."content");
+END;
+
+-- CreateTrigger
+CREATE TRIGGER "chat_messages_fts_delete" AFTER DELETE ON "chat_messages" BEGIN
+    DELETE FROM "chat_messages_fts" WHERE "rowid" = OLD."rowid" AND "messageId" = OLD."id";
+END;
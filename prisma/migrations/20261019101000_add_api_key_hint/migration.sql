@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "bot_configs" ADD COLUMN "openaiApiKeyHint" TEXT;
@@ -0,0 +1,9 @@
+-- CreateTable
+CREATE TABLE "widget_token_uses" (
+    "jti" TEXT NOT NULL PRIMARY KEY,
+    "expiresAt" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "widget_token_uses_expiresAt_idx" ON "widget_token_uses"("expiresAt");
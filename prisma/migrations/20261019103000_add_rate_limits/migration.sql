@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "bot_configs" ADD COLUMN "rateLimitSessionPerMinute" INTEGER NOT NULL DEFAULT 10;
+ALTER TABLE "bot_configs" ADD COLUMN "rateLimitIpPerHour" INTEGER NOT NULL DEFAULT 60;
+ALTER TABLE "bot_configs" ADD COLUMN "rateLimitShopPerHour" INTEGER NOT NULL DEFAULT 1000;
+ALTER TABLE "bot_configs" ADD COLUMN "rateLimitAdminPerHour" INTEGER NOT NULL DEFAULT 30;
+ALTER TABLE "bot_configs" ADD COLUMN "ipBlocklist" TEXT NOT NULL DEFAULT '';
+
+-- CreateTable
+CREATE TABLE "rate_limit_buckets" (
+    "key" TEXT NOT NULL PRIMARY KEY,
+    "count" INTEGER NOT NULL,
+    "resetAt" BIGINT NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "rate_limit_buckets_resetAt_idx" ON "rate_limit_buckets"("resetAt");
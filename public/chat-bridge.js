@@ -0,0 +1,88 @@
+// Storefront bridge for the Nupo chat widget.
+//
+// The widget runs in an iframe on the app's domain, so it cannot call the
+// storefront's AJAX Cart API itself. Add this script to the storefront page
+// next to the widget iframe; the widget sends it cart requests with
+// postMessage and receives the resulting cart back.
+//
+//   widget -> page: { source: "nupo-chat", type: "bridge:ping" | "cart:get" | "cart:add" | "cart:change", requestId, items, line }
+//   page -> widget: { source: "nupo-chat-bridge", type: "bridge:ready" | "cart:result", requestId, ok, cart, error }
+(function () {
+  if (window.__nupoChatBridge) return;
+  window.__nupoChatBridge = true;
+
+  // Only the app the script was loaded from may drive the cart. Without a
+  // known origin the bridge stays off rather than answering any frame.
+  var script = document.currentScript || document.querySelector('script[src$="/chat-bridge.js"]');
+  var appOrigin = script && script.src ? new URL(script.src, window.location.href).origin : null;
+  if (!appOrigin) return;
+  var root = (window.Shopify && window.Shopify.routes && window.Shopify.routes.root) || "/";
+
+  function cartRequest(path, body) {
+    return fetch(root + path, {
+      method: body ? "POST" : "GET",
+      headers: { "Content-Type": "application/json", Accept: "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+      credentials: "same-origin",
+    }).then(function (response) {
+      return response.json().then(function (data) {
+        if (!response.ok) {
+          throw new Error(data.description || data.message || "Cart request failed");
+        }
+        return data;
+      });
+    });
+  }
+
+  function getCart() {
+    return cartRequest("cart.js");
+  }
+
+  function reply(event, message) {
+    message.source = "nupo-chat-bridge";
+    event.source.postMessage(message, event.origin);
+  }
+
+  window.addEventListener("message", function (event) {
+    var data = event.data;
+    if (!data || data.source !== "nupo-chat") return;
+    if (event.origin !== appOrigin) return;
+
+    var result;
+    switch (data.type) {
+      case "bridge:ping":
+        getCart()
+          .then(function (cart) {
+            reply(event, { type: "bridge:ready", cart: cart });
+          })
+          .catch(function () {
+            reply(event, { type: "bridge:ready", cart: null });
+          });
+        return;
+      case "cart:get":
+        result = getCart();
+        break;
+      case "cart:add":
+        result = cartRequest("cart/add.js", { items: data.items }).then(getCart);
+        break;
+      case "cart:change":
+        // `line` is { id: <line item key>, quantity }; quantity 0 removes it
+        result = cartRequest("cart/change.js", data.line);
+        break;
+      default:
+        return;
+    }
+
+    result
+      .then(function (cart) {
+        reply(event, { type: "cart:result", requestId: data.requestId, ok: true, cart: cart });
+        if (data.type !== "cart:get") {
+          // Lets themes refresh their cart drawer/count
+          document.dispatchEvent(new CustomEvent("nupo-chat:cart-updated", { detail: cart }));
+        }
+      })
+      .catch(function (error) {
+        reply(event, { type: "cart:result", requestId: data.requestId, ok: false, error: error.message });
+      });
+  });
+})();
@@ -0,0 +1,62 @@
+// Re-encrypt every stored shop secret under the current master key
+//
+//   npm run secrets:rotate            # rewrite rows
+//   npm run secrets:rotate -- --dry-run
+//
+// Run after putting a new key first in SECRETS_MASTER_KEYS (keep the old key
+// listed until this finishes). Plaintext keys saved before encryption are
+// encrypted too. Rows that can't be decrypted are reported and left alone.
+
+import { PrismaClient } from "@prisma/client";
+import {
+  currentMasterKeyId,
+  decryptSecret,
+  reencryptSecret,
+  secretKeyId,
+} from "../app/utils/secrets.server.js";
+
+const dryRun = process.argv.includes("--dry-run");
+const prisma = new PrismaClient();
+
+async function main() {
+  const keyId = currentMasterKeyId();
+  if (!keyId) {
+    console.error("SECRETS_MASTER_KEYS is not set");
+    process.exitCode = 1;
+    return;
+  }
+
+  const configs = await prisma.botConfig.findMany({
+    where: { openaiApiKey: { not: null } },
+    select: { id: true, shopId: true, openaiApiKey: true, openaiApiKeyHint: true },
+  });
+
+  let rotated = 0;
+  let failed = 0;
+  for (const config of configs) {
+    try {
+      const reencrypted = reencryptSecret(config.openaiApiKey);
+      if (!reencrypted) continue;
+
+      console.log(`🔐 ${config.shopId}: ${secretKeyId(config.openaiApiKey) || "plaintext"} -> ${keyId}`);
+      if (!dryRun) {
+        await prisma.botConfig.update({
+          where: { id: config.id },
+          data: {
+            openaiApiKey: reencrypted,
+            openaiApiKeyHint: config.openaiApiKeyHint || decryptSecret(config.openaiApiKey).slice(-4),
+          },
+        });
+      }
+      rotated += 1;
+    } catch (error) {
+      console.error(`❌ ${config.shopId}: ${error.message}`);
+      failed += 1;
+    }
+  }
+
+  console.log(`${dryRun ? "Would re-encrypt" : "Re-encrypted"} ${rotated} of ${configs.length} secrets${failed ? `, ${failed} failed` : ""}`);
+  if (failed) process.exitCode = 1;
+}
+
+main().finally(() => prisma.$disconnect());
@@ -17,7 +17,14 @@ const viteDevServer =
 
 const app = express();
 
-app.use(compression());
+// Compression buffers responses, which would hold back streamed chat tokens
+app.use(
+  compression({
+    filter: (req, res) =>
+      !String(res.getHeader("Content-Type") || "").startsWith("text/event-stream") &&
+      compression.filter(req, res),
+  })
+);
 
 // http://expressjs.com/en/advanced/best-practice-security.html#at-a-minimum-disable-x-powered-by-header
 app.disable("x-powered-by");